@@ -7,6 +7,15 @@ const jwt = require("jsonwebtoken");
 const multer = require("multer");
 const { parse } = require("csv-parse/sync");
 const { v4: uuid } = require("uuid");
+const PDFDocument = require("pdfkit");
+const ExcelJS = require("exceljs");
+const nodemailer = require("nodemailer");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const sharp = require("sharp");
+const { dbConfig, migrateOnStart } = require("./migrate");
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -31,915 +40,10126 @@ app.use(
 		credentials: true,
 	}),
 );
-app.use(express.json());
+// rawBody is kept for webhook signature checks
+app.use(
+	express.json({
+		verify: (req, res, buf) => {
+			req.rawBody = buf;
+		},
+	}),
+);
+app.use(express.urlencoded({ extended: false }));
 
 // ── DB POOL ───────────────────────────────────────────────────────────────────
 let pool;
 async function db() {
 	if (!pool) {
 		pool = mysql.createPool(
-			process.env.DATABASE_URL
-				? {
-						uri: process.env.DATABASE_URL,
-						waitForConnections: true,
-						connectionLimit: 10,
-					}
-				: {
-						host: process.env.DB_HOST || "localhost",
-						port: +process.env.DB_PORT || 3306,
-						user: process.env.DB_USER || "root",
-						password: process.env.DB_PASSWORD || "",
-						database: process.env.DB_NAME || "estateiq",
-						waitForConnections: true,
-						connectionLimit: 10,
-					},
+			dbConfig({ waitForConnections: true, connectionLimit: 10 }),
 		);
 	}
 	return pool;
 }
 
+// Runs fn(conn) inside a transaction on a dedicated pool connection
+async function withTransaction(fn) {
+	const conn = await (await db()).getConnection();
+	try {
+		await conn.beginTransaction();
+		const result = await fn(conn);
+		await conn.commit();
+		return result;
+	} catch (e) {
+		await conn.rollback();
+		throw e;
+	} finally {
+		conn.release();
+	}
+}
+
 // ── AUTH MIDDLEWARE ───────────────────────────────────────────────────────────
 function auth(roles = []) {
-	return (req, res, next) => {
+	return async (req, res, next) => {
 		const token = req.headers.authorization?.split(" ")[1];
 		if (!token) return res.status(401).json({ error: "No token" });
+		let decoded;
 		try {
-			const decoded = jwt.verify(token, JWT_SECRET);
-			if (roles.length && !roles.includes(decoded.role))
-				return res.status(403).json({ error: "Forbidden" });
-			req.user = decoded;
-			next();
+			decoded = jwt.verify(token, JWT_SECRET);
 		} catch {
-			res.status(401).json({ error: "Invalid token" });
+			return res.status(401).json({ error: "Invalid token" });
+		}
+		// Tenant portal tokens only open /api/portal/me routes
+		if (decoded.portal) return res.status(401).json({ error: "Invalid token" });
+		if (roles.length && !roles.includes(decoded.role))
+			return res.status(403).json({ error: "Forbidden" });
+		try {
+			// Deactivation and "log out all devices" apply to live tokens too
+			const d = await db();
+			const [[u]] = await d.query(
+				`SELECT u.is_active, u.token_version, u.all_properties, u.org_id, u.platform_admin, o.is_active as org_active
+         FROM users u JOIN organisations o ON u.org_id = o.id WHERE u.id=?`,
+				[decoded.id],
+			);
+			if (!u || !u.is_active || !u.org_active || u.token_version !== decoded.tv)
+				return res.status(401).json({ error: "Session ended, log in again" });
+			// The organisation always comes from the database, never the token
+			decoded.org_id = u.org_id;
+			decoded.platform_admin = !!u.platform_admin;
+			decoded.properties = null;
+			if (decoded.role !== "admin" && !u.all_properties) {
+				const [rows] = await d.query(
+					"SELECT property_id FROM user_properties WHERE user_id=?",
+					[decoded.id],
+				);
+				decoded.properties = rows.map((r) => r.property_id);
+			}
+		} catch (e) {
+			return res.status(500).json({ error: e.message });
 		}
+		req.user = decoded;
+		next();
 	};
 }
 
-// ── HEALTH ────────────────────────────────────────────────────────────────────
-app.get("/", (req, res) => res.json({ status: "EstateIQ API v2 ✓" }));
-app.get("/api/health", async (req, res) => {
-	try {
-		await (await db()).query("SELECT 1");
-		res.json({ status: "ok", db: "connected", version: "2.0.0" });
-	} catch (e) {
-		res.status(500).json({ status: "error", db: e.message });
-	}
-});
+// ── REQUEST VALIDATION ───────────────────────────────────────────────────────
+// validate({ body, query }) checks the request against field rules and answers
+// 400 { error, details: [{ field, message }] } listing every problem. Optional
+// fields may be missing, null or "" (handlers treat those as unset); values
+// are checked, not converted, and fields without a rule are ignored. Forms
+// and query strings carry text, so "12.5" passes as a number and "1" as true.
+// A rule's check(v) adds a test of its own, returning a message or null.
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = [
+	true,
+	false,
+	0,
+	1,
+	"0",
+	"1",
+	"true",
+	"false",
+	"yes",
+	"no",
+];
 
-// ─────────────────────────────────────────────────────────────────────────────
-// AUTH
-// ─────────────────────────────────────────────────────────────────────────────
-app.post("/api/auth/login", async (req, res) => {
-	try {
-		const { email, password } = req.body;
-		if (!email || !password)
-			return res.status(400).json({ error: "Email and password required" });
-		const d = await db();
-		const [[user]] = await d.query(
-			"SELECT * FROM users WHERE email = ? AND is_active = 1",
-			[email],
-		);
-		if (!user) return res.status(401).json({ error: "Invalid credentials" });
-		const valid = await bcrypt.compare(password, user.password_hash);
-		if (!valid) return res.status(401).json({ error: "Invalid credentials" });
-		await d.query("UPDATE users SET last_login = NOW() WHERE id = ?", [
-			user.id,
-		]);
-		const token = jwt.sign(
-			{ id: user.id, name: user.name, email: user.email, role: user.role },
-			JWT_SECRET,
-			{ expiresIn: "7d" },
-		);
-		res.json({
-			token,
-			user: {
-				id: user.id,
-				name: user.name,
-				email: user.email,
-				role: user.role,
-				phone: user.phone,
-			},
-		});
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+const field = {
+	text: (o = {}) => ({ type: "text", max: 255, ...o }),
+	number: (o = {}) => ({ type: "number", ...o }),
+	integer: (o = {}) => ({ type: "integer", ...o }),
+	// Money: never negative unless allowed, and "positive" excludes 0
+	amount: (o = {}) => ({ type: "number", min: 0, ...o }),
+	boolean: (o = {}) => ({ type: "boolean", ...o }),
+	date: (o = {}) => ({ type: "date", ...o }),
+	email: (o = {}) => ({ type: "email", ...o }),
+	id: (o = {}) => ({ type: "text", max: 36, ...o }),
+	oneOf: (values, o = {}) => ({ type: "enum", values, ...o }),
+	list: (of, o = {}) => ({ type: "array", of, ...o }),
+	// { fields: schema } checks the object's own fields too (as "outer.inner")
+	object: (o = {}) => ({ type: "object", ...o }),
+};
 
-app.post("/api/auth/register", auth(["admin"]), async (req, res) => {
-	try {
-		const { name, email, password, role, phone } = req.body;
-		if (!name || !email || !password)
-			return res.status(400).json({ error: "name, email, password required" });
-		const hash = await bcrypt.hash(password, 10);
-		const id = uuid();
-		const d = await db();
-		await d.query(
-			"INSERT INTO users (id,name,email,phone,password_hash,role) VALUES (?,?,?,?,?,?)",
-			[id, name, email, phone || "", hash, role || "staff"],
-		);
-		const [[u]] = await d.query(
-			"SELECT id,name,email,role,phone FROM users WHERE id=?",
-			[id],
-		);
-		res.status(201).json(u);
-	} catch (e) {
-		if (e.code === "ER_DUP_ENTRY")
-			return res.status(400).json({ error: "Email already exists" });
-		res.status(500).json({ error: e.message });
+const blank = (v) =>
+	v === undefined || v === null || (typeof v === "string" && !v.trim());
+
+function fieldError(rule, v) {
+	switch (rule.type) {
+		case "text":
+			if (typeof v !== "string" && typeof v !== "number") return "must be text";
+			if (rule.max && String(v).length > rule.max)
+				return `must be at most ${rule.max} characters`;
+			if (rule.pattern && !rule.pattern.test(String(v)))
+				return rule.message || "is not in the expected format";
+			return null;
+		case "number":
+		case "integer": {
+			const n =
+				typeof v === "number" ? v : typeof v === "string" ? Number(v) : NaN;
+			if (!Number.isFinite(n)) return "must be a number";
+			if (rule.type === "integer" && !Number.isInteger(n))
+				return "must be a whole number";
+			if (rule.positive && n <= 0) return "must be greater than 0";
+			if (rule.min !== undefined && n < rule.min)
+				return `must be at least ${rule.min}`;
+			if (rule.max !== undefined && n > rule.max)
+				return `must be at most ${rule.max}`;
+			return null;
+		}
+		case "boolean":
+			return BOOLEAN_VALUES.includes(v) ? null : "must be true or false";
+		case "date":
+			return typeof v === "string" &&
+				/^\d{4}-\d{2}-\d{2}/.test(v) &&
+				parseDate(v)
+				? null
+				: "must be a date (YYYY-MM-DD)";
+		case "email":
+			return typeof v === "string" && v.length <= 255 && EMAIL_RE.test(v)
+				? null
+				: "must be an email address";
+		case "enum":
+			return rule.values.includes(v)
+				? null
+				: `must be one of ${rule.values.join(", ")}`;
+		case "array": {
+			if (!Array.isArray(v)) return "must be a list";
+			if (rule.min && v.length < rule.min)
+				return `must have at least ${rule.min} item(s)`;
+			if (rule.max && v.length > rule.max)
+				return `must have at most ${rule.max} items`;
+			for (const [i, item] of v.entries()) {
+				const [first] = rule.of?.fields
+					? fieldErrors(rule.of.fields, item || {})
+					: [];
+				const error = rule.of
+					? fieldError(rule.of, item) ||
+						(first && `${first.field} ${first.message}`)
+					: null;
+				if (error) return `item ${i + 1} ${error}`;
+			}
+			return null;
+		}
+		case "object":
+			return v && typeof v === "object" && !Array.isArray(v)
+				? null
+				: "must be an object";
 	}
-});
+	return null;
+}
 
-app.get("/api/auth/me", auth(), async (req, res) => {
-	try {
-		const [[u]] = await (
-			await db()
-		).query("SELECT id,name,email,role,phone FROM users WHERE id=?", [
-			req.user.id,
-		]);
-		res.json(u);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+function fieldErrors(schema, source = {}) {
+	const details = [];
+	for (const [name, rule] of Object.entries(schema)) {
+		const v = source[name];
+		const message = blank(v)
+			? rule.required
+				? "is required"
+				: rule.notBlank && v !== undefined
+					? "cannot be empty"
+					: null
+			: fieldError(rule, v) || rule.check?.(v);
+		if (message) details.push({ field: name, message });
+		else if (rule.fields && !blank(v))
+			for (const d of fieldErrors(rule.fields, v))
+				details.push({ ...d, field: `${name}.${d.field}` });
 	}
+	return details;
+}
+
+const validationError = (details) => ({
+	error: details.map((d) => `${d.field} ${d.message}`).join("; "),
+	details,
 });
 
-app.put("/api/auth/me", auth(), async (req, res) => {
-	try {
-		const { name, phone } = req.body;
-		await (
-			await db()
-		).query("UPDATE users SET name=?,phone=? WHERE id=?", [
-			name,
-			phone,
-			req.user.id,
-		]);
-		res.json({ success: true });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
+function validate({ body, query }) {
+	return (req, res, next) => {
+		const details = [
+			...(body ? fieldErrors(body, req.body) : []),
+			...(query ? fieldErrors(query, req.query) : []),
+		];
+		if (!details.length) return next();
+		res.status(400).json(validationError(details));
+	};
+}
+
+// For PATCH: nothing is required, but required fields cannot be emptied
+const partial = (schema) =>
+	Object.fromEntries(
+		Object.entries(schema).map(([k, rule]) => [
+			k,
+			rule.required ? { ...rule, required: false, notBlank: true } : rule,
+		]),
+	);
+
+// Date range filters shared by the list, report and export routes
+const DATE_RANGE = { from: field.date(), to: field.date() };
+
+// Declared here because routes ahead of MESSAGING (payment links, portal
+// links) check channels too
+const MESSAGE_CHANNELS = ["whatsapp", "sms", "email", "manual"];
+
+// ── LIST PAGINATION & SORTING ────────────────────────────────────────────────
+// List endpoints take ?page=&limit=&sort=&order= and answer
+// { data, pagination: { page, limit, total, pages }, sort, order }. Each list
+// describes itself as { sorts: { name: sql }, sort, order, then }: the columns
+// it can be sorted by, its default, and a tie-break that keeps rows from
+// moving between pages. Only listed names reach ORDER BY.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PAGE_QUERY = {
+	page: field.integer({ min: 1 }),
+	limit: field.integer({ min: 1, max: MAX_PAGE_SIZE }),
+};
+
+const sortQuery = (list) => ({
+	sort: field.oneOf(Object.keys(list.sorts)),
+	order: field.oneOf(["asc", "desc"]),
 });
 
-app.put("/api/auth/change-password", auth(), async (req, res) => {
-	try {
-		const { currentPassword, newPassword } = req.body;
-		const d = await db();
-		const [[u]] = await d.query("SELECT password_hash FROM users WHERE id=?", [
-			req.user.id,
-		]);
-		const valid = await bcrypt.compare(currentPassword, u.password_hash);
-		if (!valid)
-			return res.status(400).json({ error: "Current password incorrect" });
-		const hash = await bcrypt.hash(newPassword, 10);
-		await d.query("UPDATE users SET password_hash=? WHERE id=?", [
-			hash,
-			req.user.id,
-		]);
-		res.json({ success: true });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
+const sortOf = (list, { sort, order } = {}) => ({
+	sort: list.sorts[sort] ? sort : list.sort,
+	order: ["asc", "desc"].includes(order) ? order : list.order,
 });
 
-// ── USERS ────────────────────────────────────────────────────────────────────
-app.get("/api/users", auth(["admin", "manager"]), async (req, res) => {
-	try {
+function orderBy(list, query) {
+	const { sort, order } = sortOf(list, query);
+	return ` ORDER BY ${list.sorts[sort]} ${order.toUpperCase()}, ${list.then}`;
+}
+
+// One page of a list query (already ordered by orderBy), with the total for
+// its filters
+async function paginate(d, { sql, params }, list, query) {
+	const page = +query.page || 1;
+	const limit = +query.limit || DEFAULT_PAGE_SIZE;
+	const [[{ total }]] = await d.query(
+		`SELECT COUNT(*) as total FROM (${sql}) as list`,
+		params,
+	);
+	const [data] = await d.query(sql + " LIMIT ? OFFSET ?", [
+		...params,
+		limit,
+		(page - 1) * limit,
+	]);
+	return {
+		data,
+		pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+		...sortOf(list, query),
+	};
+}
+
+// ── PERMISSIONS & PROPERTY SCOPE ─────────────────────────────────────────────
+// Admins can do everything in their organisation. Other roles get the
+// permissions their organisation grants them in role_permissions (seeded from
+// PERMISSIONS, editable by the organisation's admins).
+const PERMISSIONS = {
+	"properties:manage": ["manager"],
+	"tenants:create": ["manager", "staff"],
+	"tenants:edit": ["manager", "staff"],
+	"tenants:edit_financials": ["manager"],
+	"tenants:delete": ["manager"],
+	"tenants:import": ["manager", "staff"],
+	"payments:create": ["manager", "staff"],
+	"payments:delete": ["manager"],
+	"payments:reconcile": ["manager"],
+	"maintenance:manage": ["manager", "staff"],
+	"maintenance:delete": ["manager"],
+	"expenses:manage": ["manager"],
+	"owners:manage": ["manager"],
+	"messages:send": ["manager", "staff"],
+	"messages:bulk": ["manager"],
+	"messages:templates": ["manager"],
+	"portal:manage": ["manager", "staff"],
+};
+const PERMISSION_ROLES = ["manager", "staff"];
+
+const DEFAULT_ROLE_PERMISSIONS = Object.entries(PERMISSIONS).flatMap(
+	([permission, roles]) => roles.map((role) => ({ role, permission })),
+);
+
+// One entry per organisation: { manager: Set, staff: Set }
+const rolePermissionCache = new Map();
+async function rolePermissions(orgId) {
+	if (!rolePermissionCache.has(orgId)) {
 		const [rows] = await (
 			await db()
-		).query(
-			"SELECT id,name,email,role,phone,is_active,last_login,created_at FROM users ORDER BY created_at",
+		).query("SELECT role, permission FROM role_permissions WHERE org_id=?", [
+			orgId,
+		]);
+		// Until the organisation's grants are seeded, the built-in defaults apply
+		const source = rows.length ? rows : DEFAULT_ROLE_PERMISSIONS;
+		const granted = Object.fromEntries(
+			PERMISSION_ROLES.map((r) => [r, new Set()]),
 		);
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+		for (const { role, permission } of source) granted[role]?.add(permission);
+		rolePermissionCache.set(orgId, granted);
 	}
-});
+	return rolePermissionCache.get(orgId);
+}
 
-app.put("/api/users/:id", auth(["admin"]), async (req, res) => {
-	try {
-		const { name, email, role, phone, is_active } = req.body;
-		await (
-			await db()
-		).query(
-			"UPDATE users SET name=?,email=?,role=?,phone=?,is_active=? WHERE id=?",
-			[name, email, role, phone, is_active ? 1 : 0, req.params.id],
-		);
-		res.json({ success: true });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+async function hasPermission(user, permission) {
+	if (user.role === "admin") return true;
+	return !!(await rolePermissions(user.org_id))[user.role]?.has(permission);
+}
 
-app.delete("/api/users/:id", auth(["admin"]), async (req, res) => {
-	try {
-		if (req.params.id === "admin-001")
-			return res.status(403).json({ error: "Cannot delete primary admin" });
-		await (await db()).query("DELETE FROM users WHERE id=?", [req.params.id]);
-		res.json({ success: true });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+function can(permission) {
+	return async (req, res, next) => {
+		try {
+			if (await hasPermission(req.user, permission)) return next();
+			res.status(403).json({ error: `Not allowed (${permission})` });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	};
+}
 
-// ─────────────────────────────────────────────────────────────────────────────
-// TENANTS
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/tenants", auth(), async (req, res) => {
-	try {
-		const { search, status } = req.query;
-		let sql = "SELECT * FROM tenants WHERE 1=1";
-		const p = [];
-		if (search) {
-			sql +=
-				" AND (tenant_name LIKE ? OR accommodation_type LIKE ? OR property_address LIKE ? OR email LIKE ?)";
-			const l = `%${search}%`;
-			p.push(l, l, l, l);
-		}
-		if (status === "paid")
-			sql += " AND amount_paid >= rent_per_annum AND rent_per_annum > 0";
-		else if (status === "partial")
-			sql += " AND amount_paid > 0 AND amount_paid < rent_per_annum";
-		else if (status === "unpaid") sql += " AND amount_paid = 0";
-		else if (status === "quit") sql += " AND quit_notice = 1";
-		else if (status === "expiring")
-			sql +=
-				" AND lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)";
-		sql += " ORDER BY sn ASC";
-		const [rows] = await (await db()).query(sql, p);
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+// req.user.properties is null for users who see every property, otherwise the
+// ids they are assigned to. column is the property_id column in the query.
+function scopeFilter(user, column) {
+	if (!user?.properties) return { sql: "", params: [] };
+	if (!user.properties.length) return { sql: " AND 1=0", params: [] };
+	return { sql: ` AND ${column} IN (?)`, params: [user.properties] };
+}
+
+const inUserScope = (user, propertyId) =>
+	!user.properties || user.properties.includes(propertyId);
+
+// Organisation and property behind each kind of record, for single-record
+// routes. Records that belong to no property only select org_id.
+const SCOPE_LOOKUPS = {
+	user: "SELECT org_id FROM users WHERE id=?",
+	property: "SELECT org_id, id as property_id FROM properties WHERE id=?",
+	tenant: "SELECT org_id, property_id FROM tenants WHERE id=?",
+	payment:
+		"SELECT p.org_id, t.property_id FROM payments p JOIN tenants t ON p.tenant_id=t.id WHERE p.id=?",
+	ledger_entry:
+		"SELECT t.org_id, t.property_id FROM ledger_entries l JOIN tenants t ON l.tenant_id=t.id WHERE l.id=?",
+	maintenance: "SELECT org_id, property_id FROM maintenance WHERE id=?",
+	document:
+		"SELECT t.org_id, t.property_id FROM tenant_documents d JOIN tenants t ON d.tenant_id=t.id WHERE d.id=?",
+	portal_link:
+		"SELECT t.org_id, t.property_id FROM portal_links l JOIN tenants t ON l.tenant_id=t.id WHERE l.id=?",
+	notification: "SELECT org_id FROM notifications WHERE id=?",
+	message: "SELECT org_id FROM message_log WHERE id=?",
+	message_template: "SELECT org_id FROM message_templates WHERE id=?",
+	vendor: "SELECT org_id FROM vendors WHERE id=?",
+	maintenance_attachment:
+		"SELECT m.org_id, m.property_id FROM maintenance_attachments a JOIN maintenance m ON a.maintenance_id=m.id WHERE a.id=?",
+	expense: "SELECT org_id, property_id FROM expenses WHERE id=?",
+	owner: "SELECT org_id FROM owners WHERE id=?",
+	owner_remittance: "SELECT org_id FROM owner_remittances WHERE id=?",
+	bank_import: "SELECT org_id FROM bank_statement_imports WHERE id=?",
+	tenant_import: "SELECT org_id FROM tenant_imports WHERE id=?",
+};
+
+// Answers 404 for records in another organisation or outside the user's
+// properties, as if they did not exist. getId defaults to the :id param;
+// missing ids are left to the handler.
+function inScope(entity, getId = (req) => req.params.id) {
+	return async (req, res, next) => {
+		const id = getId(req);
+		if (!id) return next();
+		try {
+			const [[row]] = await (await db()).query(SCOPE_LOOKUPS[entity], [id]);
+			if (
+				row &&
+				(row.org_id !== req.user.org_id ||
+					("property_id" in row && !inUserScope(req.user, row.property_id)))
+			)
+				return res.status(404).json({ error: "Not found" });
+			next();
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	};
+}
+
+// ── AUDIT TRAIL ──────────────────────────────────────────────────────────────
+// audited(entityType, opts) goes after auth() on every mutating route. It
+// reads the row before the handler runs and again once the response is out,
+// and logs who changed which fields. Failed requests (4xx/5xx) are not logged.
+//   opts.action  defaults to create/update/delete from the HTTP method
+//   opts.param   route param holding the entity id ("id"; false when :id is a parent)
+//   opts.key     column the id is looked up by (default "id")
+//   opts.id      (req) => id, when it comes from somewhere else
+// Creates take the new id from the response body. Portal sign-ins are logged
+// in portal_access_log instead.
+const AUDIT_TABLES = {
+	user: "users",
+	property: "properties",
+	unit: "units",
+	tenant: "tenants",
+	ledger_entry: "ledger_entries",
+	payment: "payments",
+	payment_transaction: "payment_transactions",
+	bank_statement: "bank_statement_imports",
+	maintenance: "maintenance",
+	notification: "notifications",
+	message: "message_log",
+	message_template: "message_templates",
+	portal_link: "portal_links",
+	organisation: "organisations",
+	vendor: "vendors",
+	maintenance_attachment: "maintenance_attachments",
+	expense: "expenses",
+	owner: "owners",
+	owner_remittance: "owner_remittances",
+};
+
+const AUDIT_REDACT = new Set([
+	"password",
+	"refresh_token",
+	"password_hash",
+	"currentPassword",
+	"newPassword",
+	"token",
+	"token_hash",
+	"code",
+	"code_hash",
+]);
+const AUDIT_IGNORE = new Set(["created_at", "updated_at", "last_login"]);
+const AUDIT_ACTIONS = {
+	POST: "create",
+	PUT: "update",
+	PATCH: "update",
+	DELETE: "delete",
+};
+
+const auditValue = (v) =>
+	v instanceof Date
+		? v.toISOString()
+		: Buffer.isBuffer(v)
+			? v.toString("hex")
+			: v === undefined
+				? null
+				: v;
+
+// { field: { from, to } } for every column that differs
+function auditDiff(before, after) {
+	const changes = {};
+	const keys = new Set([
+		...Object.keys(before || {}),
+		...Object.keys(after || {}),
+	]);
+	for (const k of keys) {
+		if (AUDIT_IGNORE.has(k)) continue;
+		const from = auditValue(before?.[k]);
+		const to = auditValue(after?.[k]);
+		if (JSON.stringify(from) === JSON.stringify(to)) continue;
+		changes[k] = AUDIT_REDACT.has(k)
+			? { from: "[redacted]", to: "[redacted]" }
+			: { from, to };
 	}
-});
+	return changes;
+}
 
-app.get("/api/tenants/:id", auth(), async (req, res) => {
-	try {
-		const d = await db();
-		const [[t]] = await d.query("SELECT * FROM tenants WHERE id=?", [
-			req.params.id,
-		]);
-		if (!t) return res.status(404).json({ error: "Not found" });
-		const [payments] = await d.query(
-			"SELECT * FROM payments WHERE tenant_id=? ORDER BY payment_date DESC",
-			[req.params.id],
-		);
-		const [maintenance] = await d.query(
-			"SELECT * FROM maintenance WHERE tenant_id=? ORDER BY created_at DESC",
-			[req.params.id],
-		);
-		res.json({ ...t, payments, maintenance });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+// Top-level scalars and small objects only, secrets blanked, long text cut
+function auditDetails(obj) {
+	if (!obj || typeof obj !== "object") return null;
+	const out = {};
+	for (const [k, v] of Object.entries(obj)) {
+		if (Array.isArray(v)) out[k] = `[${v.length} items]`;
+		else if (AUDIT_REDACT.has(k)) out[k] = "[redacted]";
+		else if (typeof v === "string") out[k] = v.slice(0, 500);
+		else if (v && typeof v === "object")
+			out[k] = JSON.stringify(v).length <= 1000 ? v : "[object]";
+		else out[k] = v;
 	}
-});
+	return out;
+}
 
-app.post("/api/tenants", auth(), async (req, res) => {
+async function audit(req, e) {
+	const actor = e.actor ||
+		(req.user && {
+			type: "user",
+			id: req.user.id,
+			name: req.user.name,
+			role: req.user.role,
+		}) ||
+		(req.portal && { type: "tenant", id: req.portal.tenant_id }) || {
+			type: "system",
+		};
 	try {
-		const {
-			tenant_name,
-			accommodation_type,
-			property_address,
-			period,
-			lease_start,
-			lease_end,
-			rent_per_annum,
-			amount_paid,
-			phone,
-			email,
-			whatsapp,
-			notes,
-			quit_notice,
-		} = req.body;
-		if (!tenant_name)
-			return res.status(400).json({ error: "tenant_name required" });
-		const id = uuid();
 		await (
 			await db()
 		).query(
-			`INSERT INTO tenants (id,tenant_name,accommodation_type,property_address,period,lease_start,lease_end,rent_per_annum,amount_paid,phone,email,whatsapp,notes,quit_notice,created_by)
-       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+			`INSERT INTO audit_log (id,org_id,actor_type,user_id,user_name,user_role,action,entity_type,entity_id,tenant_id,changes,details,ip,user_agent)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
 			[
-				id,
-				tenant_name,
-				accommodation_type || "",
-				property_address || "",
-				period || "",
-				lease_start || null,
-				lease_end || null,
-				rent_per_annum || 0,
-				amount_paid || 0,
-				phone || "",
-				email || "",
-				whatsapp || "",
-				notes || "",
-				quit_notice ? 1 : 0,
-				req.user.id,
+				uuid(),
+				e.org_id || req.user?.org_id || req.portal?.org_id || null,
+				actor.type,
+				actor.id || null,
+				actor.name || null,
+				actor.role || null,
+				e.action,
+				e.entity_type,
+				e.entity_id || null,
+				e.tenant_id || null,
+				e.changes && Object.keys(e.changes).length
+					? JSON.stringify(e.changes)
+					: null,
+				e.details ? JSON.stringify(e.details) : null,
+				req.ip,
+				(req.headers["user-agent"] || "").slice(0, 255),
 			],
 		);
-		const [[row]] = await (
-			await db()
-		).query("SELECT * FROM tenants WHERE id=?", [id]);
-		res.status(201).json(row);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+	} catch (err) {
+		console.error("Audit log failed:", err.message);
 	}
-});
+}
 
-app.put("/api/tenants/:id", auth(), async (req, res) => {
-	try {
-		const {
-			tenant_name,
-			accommodation_type,
-			property_address,
-			period,
-			lease_start,
-			lease_end,
-			rent_per_annum,
-			amount_paid,
-			phone,
-			email,
-			whatsapp,
-			notes,
-			quit_notice,
-		} = req.body;
-		await (
-			await db()
-		).query(
-			`UPDATE tenants SET tenant_name=?,accommodation_type=?,property_address=?,period=?,
-       lease_start=?,lease_end=?,rent_per_annum=?,amount_paid=?,phone=?,email=?,whatsapp=?,notes=?,quit_notice=? WHERE id=?`,
-			[
-				tenant_name,
-				accommodation_type,
-				property_address,
-				period,
-				lease_start || null,
-				lease_end || null,
-				rent_per_annum || 0,
-				amount_paid || 0,
-				phone,
-				email,
-				whatsapp,
-				notes,
-				quit_notice ? 1 : 0,
-				req.params.id,
-			],
-		);
+function audited(entityType, opts = {}) {
+	const table = AUDIT_TABLES[entityType];
+	const param = opts.param ?? "id";
+	const key = opts.key || "id";
+	const entityId = (req) =>
+		opts.id ? opts.id(req) : param ? req.params[param] : null;
+	const load = async (id) => {
+		if (!table || !id) return null;
 		const [[row]] = await (
 			await db()
-		).query("SELECT * FROM tenants WHERE id=?", [req.params.id]);
-		res.json(row);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+		).query(`SELECT * FROM ${table} WHERE ${key}=?`, [id]);
+		return row || null;
+	};
+	return async (req, res, next) => {
+		let before = null;
+		try {
+			before = await load(entityId(req));
+		} catch (e) {
+			console.error("Audit snapshot failed:", e.message);
+		}
+		const json = res.json.bind(res);
+		res.json = (body) => {
+			res.locals.auditBody = body;
+			return json(body);
+		};
+		res.on("finish", async () => {
+			if (res.statusCode >= 400) return;
+			const body = res.locals.auditBody;
+			const id = entityId(req) || body?.id || null;
+			let after = null;
+			try {
+				after = await load(id);
+			} catch (e) {
+				console.error("Audit snapshot failed:", e.message);
+			}
+			await audit(req, {
+				action: opts.action || AUDIT_ACTIONS[req.method],
+				entity_type: entityType,
+				entity_id: id,
+				org_id: after?.org_id || before?.org_id,
+				tenant_id:
+					entityType === "tenant"
+						? id
+						: after?.tenant_id || before?.tenant_id || req.portal?.tenant_id,
+				changes: auditDiff(before, after),
+				details: {
+					request: auditDetails(req.body),
+					...(body && !body.id ? { result: auditDetails(body) } : {}),
+				},
+			});
+		});
+		next();
+	};
+}
 
-app.patch("/api/tenants/:id/payment", auth(), async (req, res) => {
+// ── HEALTH ────────────────────────────────────────────────────────────────────
+app.get("/", (req, res) => res.json({ status: "EstateIQ API v2 ✓" }));
+app.get("/api/health", async (req, res) => {
 	try {
-		const { amount_paid } = req.body;
-		await (
-			await db()
-		).query("UPDATE tenants SET amount_paid=? WHERE id=?", [
-			amount_paid || 0,
-			req.params.id,
-		]);
-		const [[row]] = await (
-			await db()
-		).query("SELECT * FROM tenants WHERE id=?", [req.params.id]);
-		res.json(row);
+		await (await db()).query("SELECT 1");
+		res.json({ status: "ok", db: "connected", version: "2.0.0" });
 	} catch (e) {
-		res.status(500).json({ error: e.message });
+		res.status(500).json({ status: "error", db: e.message });
 	}
 });
 
-app.patch("/api/tenants/:id/quit", auth(), async (req, res) => {
-	try {
-		const { quit_notice } = req.body;
-		await (
-			await db()
-		).query("UPDATE tenants SET quit_notice=?,quit_notice_date=? WHERE id=?", [
-			quit_notice ? 1 : 0,
-			quit_notice ? new Date().toISOString().split("T")[0] : null,
-			req.params.id,
-		]);
-		const [[row]] = await (
-			await db()
-		).query("SELECT * FROM tenants WHERE id=?", [req.params.id]);
-		res.json(row);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
+// ─────────────────────────────────────────────────────────────────────────────
+// AUTH
+// ─────────────────────────────────────────────────────────────────────────────
+// Access tokens are short-lived JWTs carrying the user's token_version, so
+// bumping it (log out everywhere, deactivation, password change) ends them at
+// once. Refresh tokens are random, stored hashed, and rotate on every use;
+// presenting an already-rotated one revokes its whole chain.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = +process.env.REFRESH_TOKEN_DAYS || 30;
+const LOGIN_MAX_ATTEMPTS = +process.env.LOGIN_MAX_ATTEMPTS || 5;
+const LOGIN_LOCK_MINUTES = +process.env.LOGIN_LOCK_MINUTES || 15;
+const RESET_TOKEN_MINUTES = 60;
+
+// Empty array when the password is acceptable
+function passwordProblems(password, user = {}) {
+	const pw = String(password || "");
+	const problems = [];
+	if (pw.length < 8) problems.push("must be at least 8 characters");
+	if (!/[a-z]/.test(pw) || !/[A-Z]/.test(pw))
+		problems.push("must mix upper and lower case letters");
+	if (!/\d/.test(pw)) problems.push("must contain a number");
+	const lower = pw.toLowerCase();
+	const emailName = (user.email || "").split("@")[0].toLowerCase();
+	if (
+		(emailName.length >= 3 && lower.includes(emailName)) ||
+		(user.name &&
+			user.name
+				.toLowerCase()
+				.split(/\s+/)
+				.some((w) => w.length >= 3 && lower.includes(w)))
+	)
+		problems.push("must not contain your name or email");
+	return problems;
+}
+
+const passwordError = (problems, name = "password") => ({
+	error: `Password ${problems.join(", ")}`,
+	details: problems.map((message) => ({ field: name, message })),
+	problems,
 });
 
-app.delete("/api/tenants/:id", auth(["admin", "manager"]), async (req, res) => {
+async function issueSession(d, user, req, familyId = uuid()) {
+	const token = jwt.sign(
+		{
+			id: user.id,
+			name: user.name,
+			email: user.email,
+			role: user.role,
+			org: user.org_id,
+			tv: user.token_version || 0,
+		},
+		JWT_SECRET,
+		{ expiresIn: ACCESS_TOKEN_TTL },
+	);
+	const refreshToken = crypto.randomBytes(32).toString("base64url");
+	const refreshId = uuid();
+	await d.query(
+		`INSERT INTO refresh_tokens (id,user_id,family_id,token_hash,expires_at,ip,user_agent)
+     VALUES (?,?,?,?,DATE_ADD(NOW(), INTERVAL ? DAY),?,?)`,
+		[
+			refreshId,
+			user.id,
+			familyId,
+			hashToken(refreshToken),
+			REFRESH_TOKEN_DAYS,
+			req.ip,
+			(req.headers["user-agent"] || "").slice(0, 255),
+		],
+	);
+	const { iat, exp } = jwt.decode(token);
+	return {
+		refreshId,
+		session: {
+			token,
+			refresh_token: refreshToken,
+			expires_in: exp - iat,
+			user: {
+				id: user.id,
+				name: user.name,
+				email: user.email,
+				role: user.role,
+				phone: user.phone,
+				org_id: user.org_id,
+			},
+		},
+	};
+}
+
+// Ends every session the user has, on every device
+async function revokeSessions(d, userId) {
+	await d.query(
+		"UPDATE users SET token_version = token_version + 1 WHERE id=?",
+		[userId],
+	);
+	await d.query(
+		"UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL",
+		[userId],
+	);
+}
+
+// Account email (password resets). MAIL_SENDER=smtp sends through the SMTP
+// settings used for messaging; the default "log" sender prints to the console.
+const mailSenders = {
+	log: {
+		async send({ to, subject, text }) {
+			console.log(`[mail] to ${to}: ${subject}\n${text}`);
+		},
+	},
+	smtp: {
+		send: ({ to, subject, text }) =>
+			messageProviders.smtp.send({ to, subject, message: text }),
+	},
+};
+const mailSender = () =>
+	mailSenders[process.env.MAIL_SENDER] || mailSenders.log;
+
+const LOGIN_FIELDS = {
+	email: field.text({ required: true }),
+	password: field.text({ required: true }),
+};
+
+app.post(
+	"/api/auth/login",
+	validate({ body: LOGIN_FIELDS }),
+	async (req, res) => {
+		try {
+			const { email, password } = req.body;
+			const d = await db();
+			const [[user]] = await d.query(
+				`SELECT u.*, u.locked_until > NOW() as locked FROM users u JOIN organisations o ON u.org_id = o.id
+       WHERE u.email = ? AND u.is_active = 1 AND o.is_active = 1`,
+				[email],
+			);
+			const actor = user
+				? { type: "user", id: user.id, name: user.name, role: user.role }
+				: { type: "anonymous" };
+			const attempt = {
+				actor,
+				org_id: user?.org_id,
+				entity_type: "user",
+				entity_id: user?.id,
+			};
+			if (user?.locked) {
+				await audit(req, {
+					...attempt,
+					action: "login.locked",
+					details: { email },
+				});
+				return res.status(423).json({
+					error:
+						"Account locked after too many failed logins. Try again later or reset your password.",
+				});
+			}
+			const valid =
+				user && (await bcrypt.compare(password, user.password_hash));
+			if (!valid) {
+				if (user) {
+					// The count restarts once the lock is applied
+					const failed = user.failed_logins + 1;
+					const lock = failed >= LOGIN_MAX_ATTEMPTS;
+					await d.query(
+						"UPDATE users SET failed_logins=?, locked_until=IF(?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until) WHERE id=?",
+						[lock ? 0 : failed, lock, LOGIN_LOCK_MINUTES, user.id],
+					);
+					if (lock)
+						await audit(req, {
+							...attempt,
+							action: "account.locked",
+							details: { minutes: LOGIN_LOCK_MINUTES },
+						});
+				}
+				await audit(req, {
+					...attempt,
+					action: "login.failed",
+					details: { email },
+				});
+				return res.status(401).json({ error: "Invalid credentials" });
+			}
+			await d.query(
+				"UPDATE users SET last_login = NOW(), failed_logins = 0, locked_until = NULL WHERE id = ?",
+				[user.id],
+			);
+			await audit(req, { ...attempt, action: "login", details: { email } });
+			res.json((await issueSession(d, user, req)).session);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Swaps a refresh token for a new access token and a new refresh token
+app.post(
+	"/api/auth/refresh",
+	validate({ body: { refresh_token: field.text({ required: true }) } }),
+	async (req, res) => {
+		try {
+			const { refresh_token } = req.body;
+			const session = await withTransaction(async (conn) => {
+				const [[rt]] = await conn.query(
+					"SELECT *, expires_at <= NOW() as expired FROM refresh_tokens WHERE token_hash=? FOR UPDATE",
+					[hashToken(refresh_token)],
+				);
+				if (!rt || rt.expired) return null;
+				if (rt.revoked_at) {
+					// A rotated token used again means it was copied: end that chain
+					if (rt.replaced_by)
+						await conn.query(
+							"UPDATE refresh_tokens SET revoked_at=NOW() WHERE family_id=? AND revoked_at IS NULL",
+							[rt.family_id],
+						);
+					return null;
+				}
+				const [[user]] = await conn.query(
+					`SELECT u.* FROM users u JOIN organisations o ON u.org_id = o.id
+         WHERE u.id=? AND u.is_active=1 AND o.is_active=1`,
+					[rt.user_id],
+				);
+				if (!user) return null;
+				const next = await issueSession(conn, user, req, rt.family_id);
+				await conn.query(
+					"UPDATE refresh_tokens SET revoked_at=NOW(), replaced_by=? WHERE id=?",
+					[next.refreshId, rt.id],
+				);
+				return next.session;
+			});
+			if (!session)
+				return res.status(401).json({ error: "Session expired, log in again" });
+			res.json(session);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Ends the session the refresh token belongs to (this device)
+app.post(
+	"/api/auth/logout",
+	validate({ body: { refresh_token: field.text({ required: true }) } }),
+	async (req, res) => {
+		try {
+			const { refresh_token } = req.body;
+			const d = await db();
+			const [[rt]] = await d.query(
+				`SELECT r.id, r.user_id, r.family_id, u.org_id FROM refresh_tokens r JOIN users u ON r.user_id=u.id
+       WHERE r.token_hash=?`,
+				[hashToken(refresh_token)],
+			);
+			if (rt) {
+				await d.query(
+					"UPDATE refresh_tokens SET revoked_at=NOW() WHERE family_id=? AND revoked_at IS NULL",
+					[rt.family_id],
+				);
+				await audit(req, {
+					actor: { type: "user", id: rt.user_id },
+					org_id: rt.org_id,
+					action: "logout",
+					entity_type: "user",
+					entity_id: rt.user_id,
+				});
+			}
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/auth/logout-all",
+	auth(),
+	audited("user", { id: (req) => req.user.id, action: "logout_all" }),
+	async (req, res) => {
+		try {
+			await revokeSessions(await db(), req.user.id);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Always answers the same way so it cannot be used to discover accounts
+app.post(
+	"/api/auth/forgot-password",
+	validate({ body: { email: field.email({ required: true }) } }),
+	async (req, res) => {
+		try {
+			const { email } = req.body;
+			const d = await db();
+			const [[user]] = await d.query(
+				"SELECT id,name,email,org_id FROM users WHERE email=? AND is_active=1",
+				[email],
+			);
+			if (user) {
+				const [[{ recent }]] = await d.query(
+					"SELECT COUNT(*) as recent FROM password_resets WHERE user_id=? AND created_at > NOW() - INTERVAL 15 MINUTE",
+					[user.id],
+				);
+				if (recent < 3) {
+					// Only the newest link works
+					await d.query(
+						"UPDATE password_resets SET used_at=NOW() WHERE user_id=? AND used_at IS NULL",
+						[user.id],
+					);
+					const token = crypto.randomBytes(32).toString("base64url");
+					await d.query(
+						"INSERT INTO password_resets (id,user_id,token_hash,expires_at,ip) VALUES (?,?,?,DATE_ADD(NOW(), INTERVAL ? MINUTE),?)",
+						[uuid(), user.id, hashToken(token), RESET_TOKEN_MINUTES, req.ip],
+					);
+					const base = (
+						process.env.CLIENT_URL || "http://localhost:5173"
+					).replace(/\/$/, "");
+					await mailSender().send({
+						to: user.email,
+						subject: "Reset your EstateIQ password",
+						text: `Hello ${user.name},\n\nUse this link to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes and works once:\n${base}/reset-password?token=${token}\n\nIf you did not ask for this, ignore this email; your password has not changed.`,
+					});
+					await audit(req, {
+						actor: { type: "anonymous" },
+						org_id: user.org_id,
+						action: "password.reset_request",
+						entity_type: "user",
+						entity_id: user.id,
+					});
+				}
+			}
+			res.json({
+				success: true,
+				message: "If that email has an account, a reset link is on its way.",
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/auth/reset-password",
+	validate({
+		body: {
+			token: field.text({ required: true }),
+			password: field.text({ required: true }),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { token, password } = req.body;
+			const d = await db();
+			const [[reset]] = await d.query(
+				`SELECT r.id, u.id as user_id, u.name, u.email, u.org_id FROM password_resets r JOIN users u ON r.user_id=u.id
+       WHERE r.token_hash=? AND r.used_at IS NULL AND r.expires_at > NOW() AND u.is_active=1`,
+				[hashToken(token)],
+			);
+			if (!reset)
+				return res
+					.status(400)
+					.json({ error: "Reset link is invalid or has expired" });
+			const problems = passwordProblems(password, reset);
+			if (problems.length) return res.status(400).json(passwordError(problems));
+			const hash = await bcrypt.hash(password, 10);
+			const done = await withTransaction(async (conn) => {
+				const [r] = await conn.query(
+					"UPDATE password_resets SET used_at=NOW() WHERE id=? AND used_at IS NULL",
+					[reset.id],
+				);
+				if (!r.affectedRows) return false;
+				await conn.query(
+					"UPDATE users SET password_hash=?, failed_logins=0, locked_until=NULL WHERE id=?",
+					[hash, reset.user_id],
+				);
+				await revokeSessions(conn, reset.user_id);
+				return true;
+			});
+			if (!done)
+				return res
+					.status(400)
+					.json({ error: "Reset link is invalid or has expired" });
+			await audit(req, {
+				actor: { type: "anonymous" },
+				org_id: reset.org_id,
+				action: "password.reset",
+				entity_type: "user",
+				entity_id: reset.user_id,
+			});
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+const USER_ROLES = ["admin", "manager", "staff"];
+const USER_FIELDS = {
+	name: field.text({ required: true }),
+	email: field.email({ required: true }),
+	role: field.oneOf(USER_ROLES),
+	phone: field.text({ max: 20 }),
+	is_active: field.boolean(),
+};
+
+app.post(
+	"/api/auth/register",
+	auth(["admin"]),
+	validate({
+		body: { ...USER_FIELDS, password: field.text({ required: true }) },
+	}),
+	audited("user"),
+	async (req, res) => {
+		try {
+			const { name, email, password, role, phone } = req.body;
+			const problems = passwordProblems(password, { name, email });
+			if (problems.length) return res.status(400).json(passwordError(problems));
+			const hash = await bcrypt.hash(password, 10);
+			const id = uuid();
+			const d = await db();
+			// New users join the organisation of the admin who adds them
+			await d.query(
+				"INSERT INTO users (id,org_id,name,email,phone,password_hash,role) VALUES (?,?,?,?,?,?,?)",
+				[id, req.user.org_id, name, email, phone || "", hash, role || "staff"],
+			);
+			const [[u]] = await d.query(
+				"SELECT id,name,email,role,phone FROM users WHERE id=?",
+				[id],
+			);
+			res.status(201).json(u);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res.status(400).json({ error: "Email already exists" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/auth/me", auth(), async (req, res) => {
+	try {
+		const [[u]] = await (
+			await db()
+		).query(
+			"SELECT id,org_id,name,email,role,phone,platform_admin FROM users WHERE id=?",
+			[req.user.id],
+		);
+		const granted = await rolePermissions(req.user.org_id);
+		res.json({
+			...u,
+			platform_admin: !!u.platform_admin,
+			organisation: await organisation(req.user.org_id),
+			permissions:
+				u.role === "admin"
+					? Object.keys(PERMISSIONS)
+					: [...(granted[u.role] || [])],
+			// null means every property
+			property_ids: req.user.properties,
+		});
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+app.put(
+	"/api/auth/me",
+	auth(),
+	validate({ body: { name: USER_FIELDS.name, phone: USER_FIELDS.phone } }),
+	audited("user", { id: (req) => req.user.id }),
+	async (req, res) => {
+		try {
+			const { name, phone } = req.body;
+			await (
+				await db()
+			).query("UPDATE users SET name=?,phone=? WHERE id=?", [
+				name,
+				phone || "",
+				req.user.id,
+			]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/auth/change-password",
+	auth(),
+	validate({
+		body: {
+			currentPassword: field.text({ required: true }),
+			newPassword: field.text({ required: true }),
+		},
+	}),
+	audited("user", { id: (req) => req.user.id, action: "password.change" }),
+	async (req, res) => {
+		try {
+			const { currentPassword, newPassword } = req.body;
+			const d = await db();
+			const [[u]] = await d.query("SELECT * FROM users WHERE id=?", [
+				req.user.id,
+			]);
+			const valid = await bcrypt.compare(
+				currentPassword || "",
+				u.password_hash,
+			);
+			if (!valid)
+				return res.status(400).json({ error: "Current password incorrect" });
+			const problems = passwordProblems(newPassword, u);
+			if (problems.length)
+				return res.status(400).json(passwordError(problems, "newPassword"));
+			const hash = await bcrypt.hash(newPassword, 10);
+			await d.query("UPDATE users SET password_hash=? WHERE id=?", [
+				hash,
+				req.user.id,
+			]);
+			// Other devices are signed out; this one gets a fresh session
+			await revokeSessions(d, req.user.id);
+			const [[user]] = await d.query("SELECT * FROM users WHERE id=?", [
+				req.user.id,
+			]);
+			res.json({
+				success: true,
+				...(await issueSession(d, user, req)).session,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── USERS ────────────────────────────────────────────────────────────────────
+// Every organisation keeps at least one active admin
+async function isLastAdmin(d, user) {
+	const [[{ n }]] = await d.query(
+		"SELECT COUNT(*) as n FROM users WHERE org_id=? AND role='admin' AND is_active=1 AND id!=?",
+		[user.org_id, user.id],
+	);
+	return user.role === "admin" && !!user.is_active && n === 0;
+}
+
+app.get("/api/users", auth(["admin", "manager"]), async (req, res) => {
+	try {
+		const [rows] = await (
+			await db()
+		).query(
+			"SELECT id,name,email,role,phone,is_active,all_properties,last_login,created_at FROM users WHERE org_id=? ORDER BY created_at",
+			[req.user.org_id],
+		);
+		res.json(rows);
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// PUT replaces name, email and phone; PATCH changes only the fields sent.
+// Either way a missing role or is_active leaves them as they are.
+function updateUser(patch) {
+	return async (req, res) => {
+		try {
+			const d = await db();
+			const [[before]] = await d.query(
+				"SELECT id,org_id,name,email,role,phone,is_active FROM users WHERE id=?",
+				[req.params.id],
+			);
+			if (!before) return res.status(404).json({ error: "Not found" });
+			const given = (k) => !blank(req.body[k]);
+			const pick = (k) => (k in req.body || !patch ? req.body[k] : before[k]);
+			const name = pick("name");
+			const email = pick("email");
+			const phone = pick("phone") || "";
+			const role = given("role") ? req.body.role : before.role;
+			const isActive = given("is_active")
+				? ["1", "true", "yes"].includes(String(req.body.is_active))
+				: !!before.is_active;
+			if ((!isActive || role !== "admin") && (await isLastAdmin(d, before)))
+				return res
+					.status(400)
+					.json({ error: "The organisation needs at least one active admin" });
+			await d.query(
+				"UPDATE users SET name=?,email=?,role=?,phone=?,is_active=? WHERE id=?",
+				[name, email, role, phone, isActive ? 1 : 0, req.params.id],
+			);
+			// Tokens carry the role, so a role change or deactivation ends sessions now
+			if (!isActive || role !== before.role)
+				await revokeSessions(d, req.params.id);
+			res.json({ success: true });
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res.status(400).json({ error: "Email already exists" });
+			res.status(500).json({ error: e.message });
+		}
+	};
+}
+
+app.put(
+	"/api/users/:id",
+	auth(["admin"]),
+	inScope("user"),
+	validate({ body: USER_FIELDS }),
+	audited("user"),
+	updateUser(false),
+);
+
+app.patch(
+	"/api/users/:id",
+	auth(["admin"]),
+	inScope("user"),
+	validate({ body: partial(USER_FIELDS) }),
+	audited("user"),
+	updateUser(true),
+);
+
+app.delete(
+	"/api/users/:id",
+	auth(["admin"]),
+	inScope("user"),
+	audited("user"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[u]] = await d.query(
+				"SELECT id,org_id,role,is_active FROM users WHERE id=?",
+				[req.params.id],
+			);
+			if (!u) return res.status(404).json({ error: "Not found" });
+			if (await isLastAdmin(d, u))
+				return res
+					.status(403)
+					.json({ error: "Cannot delete the organisation's last admin" });
+			await d.query("DELETE FROM users WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── ROLE PERMISSIONS & PROPERTY ASSIGNMENTS ──────────────────────────────────
+app.get("/api/permissions", auth(["admin"]), async (req, res) => {
+	try {
+		const granted = await rolePermissions(req.user.org_id);
+		res.json({
+			permissions: Object.keys(PERMISSIONS),
+			defaults: PERMISSIONS,
+			roles: Object.fromEntries(
+				PERMISSION_ROLES.map((r) => [r, [...granted[r]]]),
+			),
+		});
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// Replaces what a role may do: { permissions: ["payments:create", ...] }
+app.put(
+	"/api/permissions/:role",
+	auth(["admin"]),
+	validate({
+		body: {
+			permissions: field.list(field.oneOf(Object.keys(PERMISSIONS)), {
+				required: true,
+			}),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { role } = req.params;
+			const { permissions } = req.body;
+			if (!PERMISSION_ROLES.includes(role))
+				return res.status(400).json({
+					error: `role must be one of ${PERMISSION_ROLES.join(", ")}`,
+				});
+			const orgId = req.user.org_id;
+			const granted = await rolePermissions(orgId);
+			const before = [...granted[role]];
+			await withTransaction(async (conn) => {
+				// The other role's grants are written out too, so an organisation
+				// still on the built-in defaults keeps them once it has any rows
+				await conn.query("DELETE FROM role_permissions WHERE org_id=?", [
+					orgId,
+				]);
+				const rows = PERMISSION_ROLES.flatMap((r) =>
+					[...(r === role ? new Set(permissions) : granted[r])].map((p) => [
+						orgId,
+						r,
+						p,
+					]),
+				);
+				if (rows.length)
+					await conn.query(
+						"INSERT INTO role_permissions (org_id, role, permission) VALUES ?",
+						[rows],
+					);
+			});
+			rolePermissionCache.delete(orgId);
+			await audit(req, {
+				action: "permissions.update",
+				entity_type: "role",
+				entity_id: role,
+				changes: { permissions: { from: before, to: permissions } },
+			});
+			res.json({
+				role,
+				permissions: [...(await rolePermissions(orgId))[role]],
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/users/:id/properties",
+	auth(["admin"]),
+	inScope("user"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[u]] = await d.query(
+				"SELECT id, role, all_properties FROM users WHERE id=?",
+				[req.params.id],
+			);
+			if (!u) return res.status(404).json({ error: "Not found" });
+			const [rows] = await d.query(
+				`SELECT p.id, p.name FROM user_properties up JOIN properties p ON up.property_id=p.id
+       WHERE up.user_id=? ORDER BY p.name`,
+				[req.params.id],
+			);
+			res.json({
+				all_properties: u.role === "admin" || !!u.all_properties,
+				properties: rows,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// { all_properties: true } or { property_ids: [...] } (replaces the list)
+app.put(
+	"/api/users/:id/properties",
+	auth(["admin"]),
+	inScope("user"),
+	validate({
+		body: {
+			all_properties: field.boolean(),
+			property_ids: field.list(field.id()),
+		},
+	}),
+	audited("user"),
+	async (req, res) => {
+		try {
+			const { all_properties } = req.body;
+			const property_ids = req.body.property_ids || [];
+			const d = await db();
+			const [[u]] = await d.query("SELECT id FROM users WHERE id=?", [
+				req.params.id,
+			]);
+			if (!u) return res.status(404).json({ error: "Not found" });
+			if (property_ids.length) {
+				const [found] = await d.query(
+					"SELECT id FROM properties WHERE id IN (?) AND org_id=?",
+					[property_ids, req.user.org_id],
+				);
+				if (found.length !== new Set(property_ids).size)
+					return res.status(400).json({ error: "Unknown property_ids" });
+			}
+			await withTransaction(async (conn) => {
+				await conn.query("UPDATE users SET all_properties=? WHERE id=?", [
+					all_properties ? 1 : 0,
+					req.params.id,
+				]);
+				await conn.query("DELETE FROM user_properties WHERE user_id=?", [
+					req.params.id,
+				]);
+				if (property_ids.length)
+					await conn.query(
+						"INSERT INTO user_properties (user_id, property_id) VALUES ?",
+						[[...new Set(property_ids)].map((p) => [req.params.id, p])],
+					);
+			});
+			res.json({
+				success: true,
+				all_properties: !!all_properties,
+				property_ids,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── AUDIT LOG ────────────────────────────────────────────────────────────────
+async function auditQuery(where, params, { limit, offset } = {}) {
+	const [rows] = await (
+		await db()
+	).query(
+		`SELECT * FROM audit_log WHERE ${where.join(" AND ") || "1=1"}
+     ORDER BY created_at DESC, id LIMIT ? OFFSET ?`,
+		[...params, Math.min(+limit || 100, 500), Math.max(+offset || 0, 0)],
+	);
+	const json = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+	return rows.map((r) => ({
+		...r,
+		changes: json(r.changes),
+		details: json(r.details),
+	}));
+}
+
+const AUDIT_QUERY = {
+	user_id: field.id(),
+	entity_type: field.text({ max: 50 }),
+	entity_id: field.text({ max: 100 }),
+	action: field.text({ max: 50 }),
+	tenant_id: field.id(),
+	...DATE_RANGE,
+	limit: field.integer({ min: 1, max: 500 }),
+	offset: field.integer({ min: 0 }),
+};
+
+// ?user_id, entity_type, entity_id, action, tenant_id, from, to, limit, offset
+app.get(
+	"/api/audit",
+	auth(["admin"]),
+	validate({ query: AUDIT_QUERY }),
+	async (req, res) => {
+		try {
+			const where = ["org_id=?"];
+			const p = [req.user.org_id];
+			for (const f of [
+				"user_id",
+				"entity_type",
+				"entity_id",
+				"action",
+				"tenant_id",
+			])
+				if (req.query[f]) {
+					where.push(`${f}=?`);
+					p.push(req.query[f]);
+				}
+			if (req.query.from) {
+				where.push("created_at >= ?");
+				p.push(req.query.from);
+			}
+			if (req.query.to) {
+				where.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+				p.push(req.query.to);
+			}
+			res.json(await auditQuery(where, p, req.query));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ORGANISATIONS — each agency's users and records are invisible to the others
+// ─────────────────────────────────────────────────────────────────────────────
+// Users, properties, tenants, payments, maintenance, notifications, messages
+// and templates carry org_id; queries filter on the signed-in user's
+// organisation and inScope() rejects records from another one. Admins manage
+// their own organisation's settings. Platform admins (users.platform_admin)
+// can also create organisations, but see their own organisation's data only.
+const DEFAULT_ORG_ID = "org-default";
+const ORG_SLUG_RE = /^[a-z0-9][a-z0-9-]{1,49}$/;
+// Organisations and properties (see nextReceiptNumber)
+const RECEIPT_PREFIX_RE = /^[A-Z0-9]{1,10}$/;
+
+const ORG_SETTINGS = [
+	"name",
+	"company_name",
+	"address",
+	"phone",
+	"email",
+	"brand_color",
+	"receipt_prefix",
+	"currency_code",
+	"currency_symbol",
+	"currency_locale",
+	"currency_unit",
+	"currency_subunit",
+	"sender_name",
+	"sms_sender_id",
+	"email_from",
+];
+
+// Settings with the blanks filled in. The original organisation falls back to
+// the COMPANY_* and RECEIPT_LOGO variables it used before it had settings;
+// logo_path is only ever that variable, never something an admin typed.
+const orgCache = new Map();
+async function organisation(orgId) {
+	if (!orgCache.has(orgId)) {
+		const [[o]] = await (
+			await db()
+		).query("SELECT * FROM organisations WHERE id=?", [orgId]);
+		if (!o) return null;
+		const env = o.id === DEFAULT_ORG_ID ? process.env : {};
+		orgCache.set(orgId, {
+			...o,
+			company_name: o.company_name || env.COMPANY_NAME || o.name,
+			address: o.address || env.COMPANY_ADDRESS || "",
+			phone: o.phone || env.COMPANY_PHONE || "",
+			email: o.email || env.COMPANY_EMAIL || "",
+			logo_path: o.logo_key ? null : env.RECEIPT_LOGO || null,
+			receipt_prefix: o.receipt_prefix || DEFAULT_RECEIPT_PREFIX,
+			sender_name: o.sender_name || o.name,
+			sms_sender_id: o.sms_sender_id || process.env.SMS_SENDER_ID || null,
+			email_from:
+				o.email_from || process.env.SMTP_FROM || process.env.SMTP_USER || null,
+		});
+	}
+	return orgCache.get(orgId);
+}
+
+// 150000 -> "₦150,000" in the organisation's currency
+const formatMoney = (org, n) =>
+	org.currency_symbol + money(n).toLocaleString(org.currency_locale);
+
+function platformAdmin(req, res, next) {
+	if (!req.user.platform_admin)
+		return res.status(403).json({ error: "Platform admins only" });
+	next();
+}
+
+// Every setting is optional; sending "" clears one, except name
+const ORG_FIELDS = {
+	name: field.text({ notBlank: true }),
+	company_name: field.text(),
+	address: field.text({ max: 1000 }),
+	phone: field.text({ max: 50 }),
+	email: field.email(),
+	brand_color: field.text({
+		pattern: /^#[0-9a-fA-F]{6}$/,
+		message: "must be a hex colour, e.g. #1a73e8",
+	}),
+	receipt_prefix: field.text({
+		pattern: RECEIPT_PREFIX_RE,
+		message: "must be 1-10 capital letters or digits",
+	}),
+	currency_code: field.text({
+		pattern: /^[A-Z]{3}$/,
+		message: "must be a 3-letter ISO code, e.g. NGN",
+	}),
+	currency_symbol: field.text({ max: 5 }),
+	currency_locale: field.text({
+		max: 20,
+		check: (v) => {
+			try {
+				(0).toLocaleString(v);
+				return null;
+			} catch {
+				return "is not a known locale";
+			}
+		},
+	}),
+	currency_unit: field.text({ max: 30 }),
+	currency_subunit: field.text({ max: 30 }),
+	sender_name: field.text({ max: 100 }),
+	sms_sender_id: field.text({ max: 11 }),
+	email_from: field.text(),
+};
+
+const orgSettingsFrom = (body) =>
+	Object.fromEntries(
+		ORG_SETTINGS.filter((k) => k in body).map((k) => [
+			k,
+			body[k] === "" ? null : body[k],
+		]),
+	);
+
+// ── Own organisation ─────────────────────────────────────────────────────────
+app.get("/api/organisation", auth(), async (req, res) => {
+	try {
+		res.json(await organisation(req.user.org_id));
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// Partial update: send only the settings to change ("" clears one)
+app.put(
+	"/api/organisation",
+	auth(["admin"]),
+	validate({ body: ORG_FIELDS }),
+	audited("organisation", { id: (req) => req.user.org_id }),
+	async (req, res) => {
+		try {
+			const settings = orgSettingsFrom(req.body);
+			if (Object.keys(settings).length)
+				await (
+					await db()
+				).query("UPDATE organisations SET ? WHERE id=?", [
+					settings,
+					req.user.org_id,
+				]);
+			orgCache.delete(req.user.org_id);
+			res.json(await organisation(req.user.org_id));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// The receipt logo, uploaded as `logo` and kept in storage
+const LOGO_TYPES = ["image/png", "image/jpeg"];
+const logoUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: 1024 * 1024 },
+	fileFilter: (req, file, cb) =>
+		LOGO_TYPES.includes(file.mimetype)
+			? cb(null, true)
+			: cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)),
+});
+
+// Points the organisation at a new logo (or none) and removes the old file
+async function setOrgLogo(orgId, key, mimeType) {
+	const { logo_key } = await organisation(orgId);
+	await (
+		await db()
+	).query("UPDATE organisations SET logo_key=?, logo_mime_type=? WHERE id=?", [
+		key,
+		mimeType,
+		orgId,
+	]);
+	orgCache.delete(orgId);
+	if (logo_key !== key) await removeStoredFile(logo_key);
+}
+
+app.get("/api/organisation/logo", auth(), async (req, res) => {
+	try {
+		const org = await organisation(req.user.org_id);
+		if (!org.logo_key)
+			return res.status(404).json({ error: "No logo uploaded" });
+		await sendStoredFile(
+			res,
+			org.logo_key,
+			{ mime_type: org.logo_mime_type, filename: path.basename(org.logo_key) },
+			true,
+		);
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+app.put(
+	"/api/organisation/logo",
+	auth(["admin"]),
+	audited("organisation", { id: (req) => req.user.org_id }),
+	logoUpload.single("logo"),
+	async (req, res) => {
+		try {
+			if (!req.file) return res.status(400).json({ error: "No file" });
+			const ext = req.file.mimetype === "image/png" ? ".png" : ".jpg";
+			const key = `logos/${req.user.org_id}/${uuid()}${ext}`;
+			await storage().put(key, req.file.buffer, req.file.mimetype);
+			await setOrgLogo(req.user.org_id, key, req.file.mimetype);
+			res.json(await organisation(req.user.org_id));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/organisation/logo",
+	auth(["admin"]),
+	audited("organisation", { id: (req) => req.user.org_id }),
+	async (req, res) => {
+		try {
+			await setOrgLogo(req.user.org_id, null, null);
+			res.json(await organisation(req.user.org_id));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── Platform: all organisations ──────────────────────────────────────────────
+app.get(
+	"/api/organisations",
+	auth(["admin"]),
+	platformAdmin,
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				`SELECT o.id, o.name, o.slug, o.is_active, o.created_at,
+              (SELECT COUNT(*) FROM users u WHERE u.org_id = o.id) as users,
+              (SELECT COUNT(*) FROM tenants t WHERE t.org_id = o.id) as tenants
+       FROM organisations o ORDER BY o.created_at`,
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// { name, slug, ...settings, admin: { name, email, password, phone } }
+// Creates the organisation with its first admin and the starter templates.
+// Role permissions start on the built-in defaults.
+app.post(
+	"/api/organisations",
+	auth(["admin"]),
+	platformAdmin,
+	validate({
+		body: {
+			...ORG_FIELDS,
+			name: field.text({ required: true }),
+			slug: field.text({
+				required: true,
+				pattern: ORG_SLUG_RE,
+				message: "must be 2-50 lowercase letters, digits or dashes",
+			}),
+			admin: field.object({
+				required: true,
+				fields: {
+					name: field.text({ required: true }),
+					email: field.email({ required: true }),
+					password: field.text({ required: true }),
+					phone: field.text({ max: 20 }),
+				},
+			}),
+		},
+	}),
+	audited("organisation"),
+	async (req, res) => {
+		try {
+			const { slug, admin } = req.body;
+			const problems = passwordProblems(admin.password, admin);
+			if (problems.length)
+				return res.status(400).json(passwordError(problems, "admin.password"));
+			const hash = await bcrypt.hash(admin.password, 10);
+			const id = uuid();
+			await withTransaction(async (conn) => {
+				await conn.query("INSERT INTO organisations SET ?", [
+					{ ...orgSettingsFrom(req.body), id, slug },
+				]);
+				await conn.query(
+					"INSERT INTO users (id,org_id,name,email,phone,password_hash,role) VALUES (?,?,?,?,?,?,?)",
+					[
+						uuid(),
+						id,
+						admin.name,
+						admin.email,
+						admin.phone || "",
+						hash,
+						"admin",
+					],
+				);
+				await conn.query(
+					"INSERT INTO message_templates (id,org_id,name,purpose,channel,subject,body,created_by) VALUES ?",
+					[
+						STARTER_TEMPLATES.map((t) => [
+							uuid(),
+							id,
+							t.name,
+							t.purpose,
+							null,
+							t.subject,
+							t.body,
+							req.user.id,
+						]),
+					],
+				);
+			});
+			res.status(201).json(await organisation(id));
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res.status(400).json({
+					error: /key '(users\.)?email'/.test(e.message)
+						? "Email already exists"
+						: "Slug already taken",
+				});
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Suspending an organisation signs its users out (auth() checks it on every
+// request) and stops its scheduled notifications.
+app.patch(
+	"/api/organisations/:id",
+	auth(["admin"]),
+	platformAdmin,
+	validate({ body: { is_active: field.boolean({ required: true }) } }),
+	audited("organisation"),
+	async (req, res) => {
+		try {
+			const is_active = ["1", "true", "yes"].includes(
+				String(req.body.is_active),
+			);
+			if (req.params.id === req.user.org_id && !is_active)
+				return res
+					.status(400)
+					.json({ error: "Cannot suspend your own organisation" });
+			const [r] = await (
+				await db()
+			).query("UPDATE organisations SET is_active=? WHERE id=?", [
+				is_active,
+				req.params.id,
+			]);
+			if (!r.affectedRows) return res.status(404).json({ error: "Not found" });
+			orgCache.delete(req.params.id);
+			res.json(await organisation(req.params.id));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROPERTIES & UNITS
+// ─────────────────────────────────────────────────────────────────────────────
+const UNIT_STATUSES = ["vacant", "occupied", "under_repair"];
+
+const PROPERTY_FIELDS = {
+	name: field.text({ required: true }),
+	address: field.text({ max: 1000 }),
+	receipt_prefix: ORG_FIELDS.receipt_prefix,
+};
+
+const UNIT_FIELDS = {
+	label: field.text({ required: true, max: 100 }),
+	unit_type: field.text({ max: 100 }),
+	default_rent: field.amount(),
+	status: field.oneOf(UNIT_STATUSES),
+	notes: field.text({ max: 5000 }),
+};
+
+// Unit counts are derived from the units table so total_units never drifts
+const PROPERTY_SELECT = `
+  SELECT p.id, p.name, p.address, p.receipt_prefix, p.created_by, p.created_at,
+         p.owner_id, (SELECT name FROM owners WHERE id=p.owner_id) as owner_name,
+         p.commission_type, p.commission_rate,
+         COUNT(u.id) as total_units,
+         COALESCE(SUM(u.status='occupied'),0) as occupied_units,
+         COALESCE(SUM(u.status='vacant'),0) as vacant_units,
+         COALESCE(SUM(u.status='under_repair'),0) as under_repair_units
+  FROM properties p LEFT JOIN units u ON u.property_id = p.id`;
+
+// Looks up a unit with its property so a tenant can be linked to it
+async function findUnit(d, unitId, orgId) {
+	const [[unit]] = await d.query(
+		`SELECT u.*, p.name as property_name FROM units u
+     JOIN properties p ON u.property_id = p.id WHERE u.id=? AND p.org_id=?`,
+		[unitId, orgId],
+	);
+	return unit || null;
+}
+
+// Keeps a unit's status in step with whether a tenant is linked to it
+async function syncUnitStatus(d, unitId) {
+	if (!unitId) return;
+	const [[{ n }]] = await d.query(
+		"SELECT COUNT(*) as n FROM tenants WHERE unit_id=?",
+		[unitId],
+	);
+	if (n > 0)
+		await d.query("UPDATE units SET status='occupied' WHERE id=?", [unitId]);
+	else
+		await d.query(
+			"UPDATE units SET status='vacant' WHERE id=? AND status='occupied'",
+			[unitId],
+		);
+}
+
+app.get(
+	"/api/properties",
+	auth(),
+	validate({ query: { search: field.text() } }),
+	async (req, res) => {
+		try {
+			const { search } = req.query;
+			const scope = scopeFilter(req.user, "p.id");
+			let sql = PROPERTY_SELECT + " WHERE p.org_id=?" + scope.sql;
+			const p = [req.user.org_id, ...scope.params];
+			if (search) {
+				sql += " AND (p.name LIKE ? OR p.address LIKE ?)";
+				p.push(`%${search}%`, `%${search}%`);
+			}
+			sql += " GROUP BY p.id ORDER BY p.name ASC";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/properties/:id",
+	auth(),
+	inScope("property"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[property]] = await d.query(
+				PROPERTY_SELECT + " WHERE p.id=? GROUP BY p.id",
+				[req.params.id],
+			);
+			if (!property) return res.status(404).json({ error: "Not found" });
+			const [units] = await d.query(
+				`SELECT u.*, t.id as tenant_id, t.tenant_name FROM units u
+       LEFT JOIN tenants t ON t.unit_id = u.id
+       WHERE u.property_id=? ORDER BY u.label ASC`,
+				[req.params.id],
+			);
+			res.json({ ...property, units });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/properties",
+	auth(),
+	can("properties:manage"),
+	validate({ body: PROPERTY_FIELDS }),
+	audited("property"),
+	async (req, res) => {
+		try {
+			const { name, address, receipt_prefix } = req.body;
+			const id = uuid();
+			const d = await db();
+			await d.query(
+				"INSERT INTO properties (id,org_id,name,address,receipt_prefix,created_by) VALUES (?,?,?,?,?,?)",
+				[
+					id,
+					req.user.org_id,
+					name,
+					address || "",
+					receipt_prefix || null,
+					req.user.id,
+				],
+			);
+			// Someone limited to assigned properties gets the one they created
+			if (req.user.properties)
+				await d.query(
+					"INSERT INTO user_properties (user_id, property_id) VALUES (?,?)",
+					[req.user.id, id],
+				);
+			const [[row]] = await d.query(
+				PROPERTY_SELECT + " WHERE p.id=? GROUP BY p.id",
+				[id],
+			);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/properties/:id",
+	auth(),
+	can("properties:manage"),
+	inScope("property"),
+	validate({ body: PROPERTY_FIELDS }),
+	audited("property"),
+	async (req, res) => {
+		try {
+			const { name, address, receipt_prefix } = req.body;
+			const d = await db();
+			await d.query(
+				"UPDATE properties SET name=?,address=?,receipt_prefix=? WHERE id=?",
+				[name, address || "", receipt_prefix || null, req.params.id],
+			);
+			const [[row]] = await d.query(
+				PROPERTY_SELECT + " WHERE p.id=? GROUP BY p.id",
+				[req.params.id],
+			);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/properties/:id",
+	auth(),
+	can("properties:manage"),
+	inScope("property"),
+	audited("property"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[{ n }]] = await d.query(
+				"SELECT COUNT(*) as n FROM tenants t JOIN units u ON t.unit_id=u.id WHERE u.property_id=?",
+				[req.params.id],
+			);
+			if (n > 0)
+				return res
+					.status(400)
+					.json({ error: "Property still has tenants. Move them first" });
+			const [[{ expenses }]] = await d.query(
+				"SELECT COUNT(*) as expenses FROM expenses WHERE property_id=?",
+				[req.params.id],
+			);
+			if (expenses > 0)
+				return res.status(400).json({
+					error: `Property has ${expenses} expense(s) on record for the profit & loss report`,
+				});
+			await d.query("DELETE FROM properties WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── UNITS ────────────────────────────────────────────────────────────────────
+app.get(
+	"/api/properties/:id/units",
+	auth(),
+	inScope("property"),
+	validate({ query: { status: field.oneOf(UNIT_STATUSES) } }),
+	async (req, res) => {
+		try {
+			const { status } = req.query;
+			let sql = `SELECT u.*, t.id as tenant_id, t.tenant_name FROM units u
+               LEFT JOIN tenants t ON t.unit_id = u.id WHERE u.property_id=?`;
+			const p = [req.params.id];
+			if (status) {
+				sql += " AND u.status=?";
+				p.push(status);
+			}
+			sql += " ORDER BY u.label ASC";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/properties/:id/units",
+	auth(),
+	can("properties:manage"),
+	inScope("property"),
+	validate({ body: UNIT_FIELDS }),
+	audited("unit", { param: false }),
+	async (req, res) => {
+		try {
+			const { label, unit_type, default_rent, status, notes } = req.body;
+			const d = await db();
+			const [[property]] = await d.query(
+				"SELECT id FROM properties WHERE id=?",
+				[req.params.id],
+			);
+			if (!property) return res.status(404).json({ error: "Not found" });
+			const id = uuid();
+			await d.query(
+				"INSERT INTO units (id,property_id,label,unit_type,default_rent,status,notes) VALUES (?,?,?,?,?,?,?)",
+				[
+					id,
+					req.params.id,
+					label,
+					unit_type || "",
+					default_rent || 0,
+					status || "vacant",
+					notes || "",
+				],
+			);
+			const [[row]] = await d.query("SELECT * FROM units WHERE id=?", [id]);
+			res.status(201).json(row);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res
+					.status(400)
+					.json({ error: "Unit label already exists in this property" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/properties/:id/units/:unitId",
+	auth(),
+	can("properties:manage"),
+	inScope("property"),
+	validate({ body: UNIT_FIELDS }),
+	audited("unit", { param: "unitId" }),
+	async (req, res) => {
+		try {
+			const { label, unit_type, default_rent, status, notes } = req.body;
+			const d = await db();
+			const [[{ n }]] = await d.query(
+				"SELECT COUNT(*) as n FROM tenants WHERE unit_id=?",
+				[req.params.unitId],
+			);
+			if (n > 0 && status && status !== "occupied")
+				return res
+					.status(400)
+					.json({ error: "Unit has a tenant and must stay occupied" });
+			if (n === 0 && status === "occupied")
+				return res
+					.status(400)
+					.json({ error: "Link a tenant to mark a unit occupied" });
+			await d.query(
+				"UPDATE units SET label=?,unit_type=?,default_rent=?,status=COALESCE(?,status),notes=? WHERE id=? AND property_id=?",
+				[
+					label,
+					unit_type || "",
+					default_rent || 0,
+					status || null,
+					notes || "",
+					req.params.unitId,
+					req.params.id,
+				],
+			);
+			const [[row]] = await d.query(
+				"SELECT * FROM units WHERE id=? AND property_id=?",
+				[req.params.unitId, req.params.id],
+			);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res
+					.status(400)
+					.json({ error: "Unit label already exists in this property" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/properties/:id/units/:unitId",
+	auth(),
+	can("properties:manage"),
+	inScope("property"),
+	audited("unit", { param: "unitId" }),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[{ n }]] = await d.query(
+				"SELECT COUNT(*) as n FROM tenants WHERE unit_id=?",
+				[req.params.unitId],
+			);
+			if (n > 0)
+				return res
+					.status(400)
+					.json({ error: "Unit has a tenant. Move them first" });
+			await d.query("DELETE FROM units WHERE id=? AND property_id=?", [
+				req.params.unitId,
+				req.params.id,
+			]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LEDGER — charges (rent, service charge, fees) and credits (payments, adjustments)
+// ─────────────────────────────────────────────────────────────────────────────
+const CHARGE_CATEGORIES = ["rent", "service_charge", "other_fee"];
+const money = (n) => Math.round(Number(n || 0) * 100) / 100;
+// YYYY-MM-DD for a DATE column (mysql2 returns local-midnight Dates) or input string
+const ymd = (v) => {
+	if (!v) return null;
+	if (typeof v === "string") return v.slice(0, 10);
+	const d = new Date(v);
+	return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// "₦1,200,000.00" -> 1200000, "(500)" -> -500, anything unreadable -> null
+function parseAmount(v) {
+	if (v === undefined || v === null) return null;
+	const s = String(v).trim();
+	if (!s) return null;
+	const negative = /^\(.*\)$/.test(s) || s.startsWith("-");
+	const n = parseFloat(s.replace(/[^0-9.]/g, ""));
+	if (isNaN(n)) return null;
+	return money(negative ? -n : n);
+}
+
+// Dates as they appear in spreadsheets and bank exports: 2025-01-31,
+// 31/01/2025 (day first, as used in Nigeria), 31-Jan-2025, 31 Jan 25.
+// Returns YYYY-MM-DD or null.
+function parseDate(v) {
+	if (v instanceof Date) return isNaN(v) ? null : ymd(v);
+	const s = String(v || "").trim();
+	if (!s) return null;
+	let y, m, d;
+	let r;
+	if ((r = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) [, y, m, d] = r;
+	else if ((r = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/)))
+		[, d, m, y] = r;
+	else if (
+		(r = s.match(/^(\d{1,2})[-\s/.]([A-Za-z]{3,9})[-\s/.,]+(\d{2,4})/))
+	) {
+		[, d, m, y] = r;
+		m =
+			MONTHS.findIndex((n) => n.toLowerCase() === m.slice(0, 3).toLowerCase()) +
+			1;
+	} else return null;
+	y = +y < 100 ? 2000 + +y : +y;
+	const date = new Date(y, +m - 1, +d);
+	if (date.getMonth() !== +m - 1 || date.getDate() !== +d) return null;
+	return ymd(date);
+}
+
+// Per-tenant totals, joined onto `tenants t` wherever a balance is needed
+const LEDGER_JOIN = `
+  LEFT JOIN (
+    SELECT tenant_id,
+           SUM(CASE WHEN entry_type='charge' THEN amount ELSE 0 END) as total_charged,
+           SUM(CASE WHEN entry_type='credit' THEN amount ELSE 0 END) as total_credited
+    FROM ledger_entries GROUP BY tenant_id
+  ) lg ON lg.tenant_id = t.id`;
+const BALANCE_SQL =
+	"(COALESCE(lg.total_charged,0) - COALESCE(lg.total_credited,0))";
+const TENANT_SELECT = `SELECT t.*, COALESCE(lg.total_charged,0) as total_charged,
+  COALESCE(lg.total_credited,0) as total_credited, ${BALANCE_SQL} as balance
+  FROM tenants t ${LEDGER_JOIN}`;
+
+// Every charge with what has been credited against it, oldest first
+async function tenantCharges(d, tenantId) {
+	const [rows] = await d.query(
+		`SELECT c.*,
+            COALESCE((SELECT SUM(a.amount) FROM ledger_entries a WHERE a.applies_to = c.id),0) as paid
+     FROM ledger_entries c WHERE c.tenant_id=? AND c.entry_type='charge'
+     ORDER BY c.entry_date ASC, c.created_at ASC`,
+		[tenantId],
+	);
+	return rows.map((c) => ({
+		...c,
+		paid: money(c.paid),
+		outstanding: money(c.amount - c.paid),
+	}));
+}
+
+async function currentRentCharge(d, tenantId) {
+	const [[c]] = await d.query(
+		`SELECT * FROM ledger_entries WHERE tenant_id=? AND category='rent' AND entry_type='charge'
+     ORDER BY entry_date DESC, created_at DESC LIMIT 1`,
+		[tenantId],
+	);
+	return c || null;
+}
+
+async function postLedgerEntry(d, entry) {
+	const id = uuid();
+	await d.query(
+		`INSERT INTO ledger_entries (id,tenant_id,entry_type,category,description,amount,entry_date,period_start,period_end,applies_to,payment_id,created_by)
+     VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+		[
+			id,
+			entry.tenant_id,
+			entry.entry_type,
+			entry.category,
+			entry.description || "",
+			money(entry.amount),
+			entry.entry_date || new Date().toISOString().split("T")[0],
+			entry.period_start || null,
+			entry.period_end || null,
+			entry.applies_to || null,
+			entry.payment_id || null,
+			entry.created_by || null,
+		],
+	);
+	return id;
+}
+
+// Applies unallocated credits to open charges, oldest first (or preferChargeId
+// first), splitting a credit across periods when it covers more than one.
+// Call it on a transaction's connection, with the entries it settles, so a
+// failure part way never leaves half-applied credits.
+// Also keeps tenants.amount_paid as a cache of what was paid toward the
+// current rent period, for clients that still display it.
+async function settleLedger(d, tenantId, preferChargeId) {
+	const charges = await tenantCharges(d, tenantId);
+	// A charge that was reduced below what was credited gives the excess back
+	for (const c of charges.filter((c) => c.outstanding < 0)) {
+		await d.query(
+			"UPDATE ledger_entries SET applies_to=NULL WHERE applies_to=? AND amount > 0",
+			[c.id],
+		);
+		const [[{ pinned }]] = await d.query(
+			"SELECT COALESCE(SUM(amount),0) as pinned FROM ledger_entries WHERE applies_to=?",
+			[c.id],
+		);
+		c.outstanding = money(c.amount - pinned);
+	}
+	const open = charges.filter((c) => c.outstanding > 0);
+	if (preferChargeId)
+		open.sort((a, b) => (b.id === preferChargeId) - (a.id === preferChargeId));
+	const [credits] = await d.query(
+		`SELECT * FROM ledger_entries WHERE tenant_id=? AND entry_type='credit' AND applies_to IS NULL AND amount > 0
+     ORDER BY entry_date ASC, created_at ASC`,
+		[tenantId],
+	);
+	for (const cr of credits) {
+		let remaining = money(cr.amount);
+		let first = true;
+		for (const c of open) {
+			if (remaining <= 0) break;
+			if (c.outstanding <= 0) continue;
+			const part = Math.min(remaining, c.outstanding);
+			c.outstanding = money(c.outstanding - part);
+			remaining = money(remaining - part);
+			if (first) {
+				await d.query(
+					"UPDATE ledger_entries SET amount=?, applies_to=? WHERE id=?",
+					[part, c.id, cr.id],
+				);
+				first = false;
+			} else
+				await postLedgerEntry(d, { ...cr, amount: part, applies_to: c.id });
+		}
+		if (!first && remaining > 0)
+			await postLedgerEntry(d, { ...cr, amount: remaining, applies_to: null });
+	}
+	await d.query(
+		`UPDATE tenants SET amount_paid = COALESCE((
+       SELECT SUM(a.amount) FROM ledger_entries a WHERE a.applies_to = (
+         SELECT c.id FROM ledger_entries c WHERE c.tenant_id=? AND c.category='rent' AND c.entry_type='charge'
+         ORDER BY c.entry_date DESC, c.created_at DESC LIMIT 1)),0)
+     WHERE id=?`,
+		[tenantId, tenantId],
+	);
+}
+
+// Opens the rent charge for a tenant's lease when they are first recorded,
+// with anything they had already paid as an opening credit
+async function openTenantLedger(d, tenantId, t, userId) {
+	const chargeId =
+		money(t.rent_per_annum) > 0
+			? await postLedgerEntry(d, {
+					tenant_id: tenantId,
+					entry_type: "charge",
+					category: "rent",
+					description: `Rent ${t.period || ""}`.trim(),
+					amount: t.rent_per_annum,
+					entry_date: t.lease_start,
+					period_start: t.lease_start,
+					period_end: t.lease_end,
+					created_by: userId,
+				})
+			: null;
+	await d.query(
+		`INSERT INTO leases (id,tenant_id,term_no,period,lease_start,lease_end,rent_per_annum,rent_charge_id,created_by)
+     VALUES (?,?,1,?,?,?,?,?,?)`,
+		[
+			uuid(),
+			tenantId,
+			t.period || "",
+			t.lease_start || null,
+			t.lease_end || null,
+			money(t.rent_per_annum),
+			chargeId,
+			userId,
+		],
+	);
+	if (money(t.amount_paid) > 0)
+		await postLedgerEntry(d, {
+			tenant_id: tenantId,
+			entry_type: "credit",
+			category: "adjustment",
+			description: "Opening balance",
+			amount: t.amount_paid,
+			entry_date: t.lease_start,
+			created_by: userId,
+		});
+	await settleLedger(d, tenantId);
+}
+
+// Edits to rent or lease dates on the tenant record correct the current lease
+// term and its rent charge (renewals go through POST /api/tenants/:id/renew)
+async function syncRentCharge(d, tenantId, t, userId) {
+	const [[lease]] = await d.query(
+		"SELECT * FROM leases WHERE tenant_id=? AND status='active' ORDER BY term_no DESC LIMIT 1",
+		[tenantId],
+	);
+	if (!lease) return openTenantLedger(d, tenantId, t, userId);
+	let chargeId = lease.rent_charge_id;
+	if (chargeId)
+		await d.query(
+			"UPDATE ledger_entries SET amount=?,description=?,period_start=?,period_end=?,entry_date=COALESCE(?,entry_date) WHERE id=?",
+			[
+				money(t.rent_per_annum),
+				`Rent ${t.period || ""}`.trim(),
+				t.lease_start || null,
+				t.lease_end || null,
+				t.lease_start || null,
+				chargeId,
+			],
+		);
+	else if (money(t.rent_per_annum) > 0)
+		chargeId = await postLedgerEntry(d, {
+			tenant_id: tenantId,
+			entry_type: "charge",
+			category: "rent",
+			description: `Rent ${t.period || ""}`.trim(),
+			amount: t.rent_per_annum,
+			entry_date: t.lease_start,
+			period_start: t.lease_start,
+			period_end: t.lease_end,
+			created_by: userId,
+		});
+	await d.query(
+		"UPDATE leases SET period=?,lease_start=?,lease_end=?,rent_per_annum=?,rent_charge_id=? WHERE id=?",
+		[
+			t.period || "",
+			t.lease_start || null,
+			t.lease_end || null,
+			money(t.rent_per_annum),
+			chargeId,
+			lease.id,
+		],
+	);
+	await settleLedger(d, tenantId);
+}
+
+app.get(
+	"/api/tenants/:id/ledger",
+	auth(),
+	inScope("tenant"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [entries] = await d.query(
+				"SELECT * FROM ledger_entries WHERE tenant_id=? ORDER BY entry_date ASC, created_at ASC",
+				[req.params.id],
+			);
+			const charges = await tenantCharges(d, req.params.id);
+			const balance = money(
+				entries.reduce(
+					(s, e) => s + (e.entry_type === "charge" ? +e.amount : -e.amount),
+					0,
+				),
+			);
+			res.json({ balance, charges, entries });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Service charges, other fees, extra rent and manual adjustments.
+// Payments go through POST /api/payments.
+app.post(
+	"/api/tenants/:id/ledger",
+	auth(),
+	can("tenants:edit_financials"),
+	inScope("tenant"),
+	validate({
+		body: {
+			category: field.oneOf([...CHARGE_CATEGORIES, "adjustment"], {
+				required: true,
+			}),
+			// Adjustments can be negative (see postAdjustment)
+			amount: field.number({ required: true }),
+			description: field.text(),
+			entry_date: field.date(),
+			period_start: field.date(),
+			period_end: field.date(),
+			charge_id: field.id(),
+		},
+	}),
+	audited("ledger_entry", { param: false }),
+	async (req, res) => {
+		try {
+			const {
+				category,
+				amount,
+				description,
+				entry_date,
+				period_start,
+				period_end,
+				charge_id,
+			} = req.body;
+			if (!money(amount))
+				return res.status(400).json({ error: "amount cannot be 0" });
+			const isCharge = CHARGE_CATEGORIES.includes(category);
+			if (isCharge && money(amount) < 0)
+				return res.status(400).json({ error: "Charges must be positive" });
+			const result = await withTransaction(async (conn) => {
+				const [[t]] = await conn.query(
+					"SELECT id FROM tenants WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				if (!t) return { status: 404, error: "Not found" };
+				const entry = {
+					tenant_id: req.params.id,
+					category,
+					description,
+					entry_date,
+					period_start,
+					period_end,
+					created_by: req.user.id,
+				};
+				const id = isCharge
+					? await postLedgerEntry(conn, {
+							...entry,
+							entry_type: "charge",
+							amount,
+						})
+					: await postAdjustment(conn, { ...entry, amount, charge_id });
+				if (!id)
+					return { status: 400, error: "Adjustment exceeds what was paid" };
+				await settleLedger(conn, req.params.id, charge_id);
+				const [[row]] = await conn.query(
+					"SELECT * FROM ledger_entries WHERE id=?",
+					[id],
+				);
+				return { row };
+			});
+			if (result.error)
+				return res.status(result.status).json({ error: result.error });
+			res.status(201).json(result.row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Positive adjustments credit the tenant. Negative ones reverse credit already
+// applied to a charge (the current rent period unless charge_id is given).
+async function postAdjustment(d, entry) {
+	const amount = money(entry.amount);
+	if (amount > 0)
+		return postLedgerEntry(d, { ...entry, entry_type: "credit", amount });
+	const charge = entry.charge_id
+		? (await tenantCharges(d, entry.tenant_id)).find(
+				(c) => c.id === entry.charge_id,
+			)
+		: await currentRentCharge(d, entry.tenant_id);
+	if (!charge) return null;
+	const [[{ paid }]] = await d.query(
+		"SELECT COALESCE(SUM(amount),0) as paid FROM ledger_entries WHERE applies_to=?",
+		[charge.id],
+	);
+	if (-amount > money(paid)) return null;
+	return postLedgerEntry(d, {
+		...entry,
+		entry_type: "credit",
+		amount,
+		applies_to: charge.id,
+	});
+}
+
+app.delete(
+	"/api/ledger/:id",
+	auth(),
+	can("tenants:edit_financials"),
+	inScope("ledger_entry"),
+	audited("ledger_entry"),
+	async (req, res) => {
+		try {
+			const error = await withTransaction(async (conn) => {
+				const [[e]] = await conn.query(
+					"SELECT * FROM ledger_entries WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				if (!e) return "Not found";
+				if (e.payment_id)
+					return "Delete the payment instead of its ledger entry";
+				await conn.query("DELETE FROM ledger_entries WHERE id=?", [e.id]);
+				await settleLedger(conn, e.tenant_id);
+				return null;
+			});
+			if (error)
+				return res.status(error === "Not found" ? 404 : 400).json({ error });
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Statement of account with opening balance and running balance
+async function buildStatement(d, tenantId, from, to) {
+	const [[tenant]] = await d.query(TENANT_SELECT + " WHERE t.id=?", [tenantId]);
+	if (!tenant) return null;
+	const [[{ opening }]] = await d.query(
+		`SELECT COALESCE(SUM(CASE WHEN entry_type='charge' THEN amount ELSE -amount END),0) as opening
+     FROM ledger_entries WHERE tenant_id=? AND entry_date < ?`,
+		[tenantId, from || "0000-01-01"],
+	);
+	let sql = "SELECT * FROM ledger_entries WHERE tenant_id=?";
+	const p = [tenantId];
+	if (from) {
+		sql += " AND entry_date >= ?";
+		p.push(from);
+	}
+	if (to) {
+		sql += " AND entry_date <= ?";
+		p.push(to);
+	}
+	sql += " ORDER BY entry_date ASC, entry_type='credit' ASC, created_at ASC";
+	const [rows] = await d.query(sql, p);
+	let running = money(opening);
+	const entries = rows.map((e) => {
+		const debit = e.entry_type === "charge" ? money(e.amount) : 0;
+		const credit = e.entry_type === "credit" ? money(e.amount) : 0;
+		running = money(running + debit - credit);
+		return {
+			id: e.id,
+			date: e.entry_date,
+			category: e.category,
+			description: e.description,
+			period_start: e.period_start,
+			period_end: e.period_end,
+			payment_id: e.payment_id,
+			debit,
+			credit,
+			balance: running,
+		};
+	});
+	return {
+		tenant: {
+			id: tenant.id,
+			tenant_name: tenant.tenant_name,
+			property_address: tenant.property_address,
+			phone: tenant.phone,
+			email: tenant.email,
+		},
+		from: from || null,
+		to: to || null,
+		opening_balance: money(opening),
+		total_debits: money(entries.reduce((s, e) => s + e.debit, 0)),
+		total_credits: money(entries.reduce((s, e) => s + e.credit, 0)),
+		closing_balance: running,
+		entries,
+		periods: await tenantCharges(d, tenantId),
+	};
+}
+
+app.get(
+	"/api/tenants/:id/statement",
+	auth(),
+	inScope("tenant"),
+	validate({ query: DATE_RANGE }),
+	async (req, res) => {
+		try {
+			const { from, to } = req.query;
+			const statement = await buildStatement(
+				await db(),
+				req.params.id,
+				from,
+				to,
+			);
+			if (!statement) return res.status(404).json({ error: "Not found" });
+			res.json(statement);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LEASES — renewals create a new term; past terms keep their rent & payments
+// ─────────────────────────────────────────────────────────────────────────────
+const MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+
+// "Jan 2025 - Dec 2025", the format used for tenants.period
+function periodLabel(start, end) {
+	const fmt = (v) => {
+		const [y, m] = ymd(v).split("-");
+		return `${MONTHS[+m - 1]} ${y}`;
+	};
+	return start && end ? `${fmt(start)} - ${fmt(end)}` : "";
+}
+
+function addDays(v, n) {
+	const [y, m, d] = ymd(v).split("-").map(Number);
+	return ymd(new Date(y, m - 1, d + n));
+}
+
+// Default next term: starts the day after the current lease ends and runs a year
+function nextTerm(t) {
+	if (!t.lease_end) return null;
+	const lease_start = addDays(t.lease_end, 1);
+	const [y, m, d] = lease_start.split("-").map(Number);
+	const lease_end = ymd(new Date(y + 1, m - 1, d - 1));
+	return {
+		lease_start,
+		lease_end,
+		period: periodLabel(lease_start, lease_end),
+		rent_per_annum: money(t.rent_per_annum),
+	};
+}
+
+// Attached to expiring leases so clients can offer a one-click renewal
+function renewalAction(t) {
+	return {
+		method: "POST",
+		href: `/api/tenants/${t.id}/renew`,
+		suggested: nextTerm(t),
+	};
+}
+
+// Everything done to the tenant and to their payments, ledger, maintenance,
+// messages and portal links, newest first
+app.get(
+	"/api/tenants/:id/history",
+	auth(["admin", "manager"]),
+	inScope("tenant"),
+	validate({
+		query: { limit: AUDIT_QUERY.limit, offset: AUDIT_QUERY.offset },
+	}),
+	async (req, res) => {
+		try {
+			res.json(
+				await auditQuery(
+					["org_id=?", "tenant_id=?"],
+					[req.user.org_id, req.params.id],
+					req.query,
+				),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/tenants/:id/leases",
+	auth(),
+	inScope("tenant"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [leases] = await d.query(
+				"SELECT * FROM leases WHERE tenant_id=? ORDER BY term_no DESC",
+				[req.params.id],
+			);
+			const charges = await tenantCharges(d, req.params.id);
+			const [payments] = await d.query(
+				`SELECT p.*, l.applies_to, l.amount as applied FROM payments p
+       JOIN ledger_entries l ON l.payment_id = p.id
+       WHERE p.tenant_id=? ORDER BY p.payment_date ASC`,
+				[req.params.id],
+			);
+			res.json(
+				leases.map((lease) => {
+					const charge = charges.find((c) => c.id === lease.rent_charge_id);
+					return {
+						...lease,
+						charged: charge ? money(charge.amount) : 0,
+						paid: charge ? charge.paid : 0,
+						outstanding: charge ? charge.outstanding : 0,
+						payments: payments
+							.filter(
+								(p) => p.applies_to && p.applies_to === lease.rent_charge_id,
+							)
+							.map(({ applies_to, ...p }) => ({
+								...p,
+								applied: money(p.applied),
+							})),
+					};
+				}),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Starts a new lease term. Rent can rise by increase_percent or be set with
+// new_rent; dates default to a year starting the day after the current term.
+app.post(
+	"/api/tenants/:id/renew",
+	auth(),
+	can("tenants:edit_financials"),
+	inScope("tenant"),
+	validate({
+		body: {
+			increase_percent: field.number({ min: -100 }),
+			new_rent: field.amount(),
+			lease_start: field.date(),
+			lease_end: field.date(),
+			period: field.text({ max: 100 }),
+			notes: field.text({ max: 5000 }),
+		},
+	}),
+	audited("tenant", { action: "renew" }),
+	async (req, res) => {
+		try {
+			const { increase_percent, new_rent, notes } = req.body;
+			if (increase_percent != null && new_rent != null)
+				return res
+					.status(400)
+					.json({ error: "Send increase_percent or new_rent, not both" });
+			// One transaction, with the tenant locked: a double submit waits here
+			// and then sees the new term, and a failure leaves the old lease running
+			// with no orphaned rent charge
+			const result = await withTransaction(async (conn) => {
+				const [[t]] = await conn.query(
+					"SELECT * FROM tenants WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				if (!t) return { status: 404, error: "Not found" };
+				if (t.quit_notice)
+					return { status: 400, error: "Tenant has served a quit notice" };
+				const suggested = nextTerm(t);
+				const lease_start = req.body.lease_start || suggested?.lease_start;
+				const lease_end = req.body.lease_end || suggested?.lease_end;
+				if (!lease_start || !lease_end)
+					return { status: 400, error: "lease_start and lease_end required" };
+				if (ymd(lease_end) <= ymd(lease_start))
+					return { status: 400, error: "lease_end must be after lease_start" };
+				if (t.lease_end && ymd(lease_start) <= ymd(t.lease_end))
+					return {
+						status: 400,
+						error: `lease_start must be after the current lease ends (${ymd(t.lease_end)})`,
+					};
+				const previous_rent = money(t.rent_per_annum);
+				const rent =
+					new_rent != null
+						? money(new_rent)
+						: money(previous_rent * (1 + Number(increase_percent || 0) / 100));
+				const period = req.body.period || periodLabel(lease_start, lease_end);
+
+				const [[prev]] = await conn.query(
+					"SELECT * FROM leases WHERE tenant_id=? ORDER BY term_no DESC LIMIT 1",
+					[t.id],
+				);
+				await conn.query(
+					"UPDATE leases SET status='ended' WHERE tenant_id=? AND status='active'",
+					[t.id],
+				);
+				const chargeId =
+					rent > 0
+						? await postLedgerEntry(conn, {
+								tenant_id: t.id,
+								entry_type: "charge",
+								category: "rent",
+								description: `Rent ${period}`,
+								amount: rent,
+								entry_date: lease_start,
+								period_start: lease_start,
+								period_end: lease_end,
+								created_by: req.user.id,
+							})
+						: null;
+				const id = uuid();
+				await conn.query(
+					`INSERT INTO leases (id,tenant_id,term_no,period,lease_start,lease_end,rent_per_annum,previous_rent,increase_percent,rent_charge_id,renewed_from,notes,created_by)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+					[
+						id,
+						t.id,
+						(prev?.term_no || 0) + 1,
+						period,
+						lease_start,
+						lease_end,
+						rent,
+						previous_rent,
+						previous_rent > 0
+							? money(((rent - previous_rent) / previous_rent) * 100)
+							: null,
+						chargeId,
+						prev?.id || null,
+						notes || "",
+						req.user.id,
+					],
+				);
+				// The tenant row always mirrors the current term
+				await conn.query(
+					"UPDATE tenants SET period=?,lease_start=?,lease_end=?,rent_per_annum=? WHERE id=?",
+					[period, lease_start, lease_end, rent, t.id],
+				);
+				await settleLedger(conn, t.id);
+				const [[lease]] = await conn.query("SELECT * FROM leases WHERE id=?", [
+					id,
+				]);
+				const [[tenant]] = await conn.query(TENANT_SELECT + " WHERE t.id=?", [
+					t.id,
+				]);
+				return { lease, tenant };
+			});
+			if (result.error)
+				return res.status(result.status).json({ error: result.error });
+			res.status(201).json(result);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res
+					.status(409)
+					.json({ error: "That lease term has already been started" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TENANTS
+// ─────────────────────────────────────────────────────────────────────────────
+const TENANT_LIST = {
+	sorts: {
+		sn: "t.sn",
+		tenant_name: "t.tenant_name",
+		lease_end: "t.lease_end",
+		rent_per_annum: "t.rent_per_annum",
+		balance: BALANCE_SQL,
+		created_at: "t.created_at",
+	},
+	sort: "sn",
+	order: "asc",
+	then: "t.id",
+};
+
+// Shared by the list and its export so both honour the same filters and sort
+function tenantListQuery(query, user) {
+	const {
+		search,
+		status,
+		property_id,
+		min_balance,
+		max_balance,
+		lease_end_from,
+		lease_end_to,
+	} = query;
+	const scope = scopeFilter(user, "t.property_id");
+	let sql = TENANT_SELECT + " WHERE t.org_id=?" + scope.sql;
+	const p = [user.org_id, ...scope.params];
+	if (property_id) {
+		sql += " AND t.property_id=?";
+		p.push(property_id);
+	}
+	if (search) {
+		sql +=
+			" AND (tenant_name LIKE ? OR accommodation_type LIKE ? OR property_address LIKE ? OR email LIKE ?)";
+		const l = `%${search}%`;
+		p.push(l, l, l, l);
+	}
+	if (status === "paid")
+		sql += ` AND ${BALANCE_SQL} <= 0 AND COALESCE(lg.total_charged,0) > 0`;
+	else if (status === "partial")
+		sql += ` AND ${BALANCE_SQL} > 0 AND COALESCE(lg.total_credited,0) > 0`;
+	else if (status === "unpaid")
+		sql += ` AND ${BALANCE_SQL} > 0 AND COALESCE(lg.total_credited,0) = 0`;
+	else if (status === "quit") sql += " AND quit_notice = 1";
+	else if (status === "expiring")
+		sql +=
+			" AND lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)";
+	if (!blank(min_balance)) {
+		sql += ` AND ${BALANCE_SQL} >= ?`;
+		p.push(+min_balance);
+	}
+	if (!blank(max_balance)) {
+		sql += ` AND ${BALANCE_SQL} <= ?`;
+		p.push(+max_balance);
+	}
+	if (lease_end_from) {
+		sql += " AND t.lease_end >= ?";
+		p.push(lease_end_from);
+	}
+	if (lease_end_to) {
+		sql += " AND t.lease_end <= ?";
+		p.push(lease_end_to);
+	}
+	sql += orderBy(TENANT_LIST, query);
+	return { sql, params: p };
+}
+
+const TENANT_LIST_QUERY = {
+	search: field.text(),
+	status: field.oneOf(["paid", "partial", "unpaid", "quit", "expiring"]),
+	property_id: field.id(),
+	min_balance: field.number(),
+	max_balance: field.number(),
+	lease_end_from: field.date(),
+	lease_end_to: field.date(),
+	...sortQuery(TENANT_LIST),
+};
+
+app.get(
+	"/api/tenants",
+	auth(),
+	validate({ query: { ...TENANT_LIST_QUERY, ...PAGE_QUERY } }),
+	async (req, res) => {
+		try {
+			const list = await paginate(
+				await db(),
+				tenantListQuery(req.query, req.user),
+				TENANT_LIST,
+				req.query,
+			);
+			if (req.query.status === "expiring")
+				list.data = list.data.map((t) => ({ ...t, renew: renewalAction(t) }));
+			res.json(list);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/tenants/:id", auth(), inScope("tenant"), async (req, res) => {
+	try {
+		const d = await db();
+		const [[t]] = await d.query(TENANT_SELECT + " WHERE t.id=?", [
+			req.params.id,
+		]);
+		if (!t) return res.status(404).json({ error: "Not found" });
+		const charges = await tenantCharges(d, req.params.id);
+		const [payments] = await d.query(
+			"SELECT * FROM payments WHERE tenant_id=? ORDER BY payment_date DESC",
+			[req.params.id],
+		);
+		const [maintenance] = await d.query(
+			"SELECT * FROM maintenance WHERE tenant_id=? ORDER BY created_at DESC",
+			[req.params.id],
+		);
+		res.json({ ...t, charges, payments, maintenance });
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// Editable on PUT and PATCH; a new tenant can also bring an opening amount_paid
+const TENANT_FIELDS = {
+	tenant_name: field.text({ required: true }),
+	accommodation_type: field.text({ max: 100 }),
+	property_address: field.text(),
+	unit_id: field.id(),
+	period: field.text({ max: 100 }),
+	lease_start: field.date(),
+	lease_end: field.date(),
+	rent_per_annum: field.amount(),
+	phone: field.text({ max: 50 }),
+	email: field.email(),
+	whatsapp: field.text({ max: 50 }),
+	bank_reference: field.text({ max: 50 }),
+	notes: field.text({ max: 5000 }),
+	quit_notice: field.boolean(),
+};
+
+app.post(
+	"/api/tenants",
+	auth(),
+	can("tenants:create"),
+	validate({ body: { ...TENANT_FIELDS, amount_paid: field.amount() } }),
+	audited("tenant"),
+	async (req, res) => {
+		try {
+			const {
+				tenant_name,
+				accommodation_type,
+				unit_id,
+				period,
+				lease_start,
+				lease_end,
+				rent_per_annum,
+				amount_paid,
+				phone,
+				email,
+				whatsapp,
+				bank_reference,
+				notes,
+				quit_notice,
+			} = req.body;
+			const d = await db();
+			let unit = null;
+			if (unit_id) {
+				unit = await findUnit(d, unit_id, req.user.org_id);
+				if (!unit) return res.status(400).json({ error: "Unit not found" });
+				const [[taken]] = await d.query(
+					"SELECT id FROM tenants WHERE unit_id=?",
+					[unit_id],
+				);
+				if (taken) return res.status(400).json({ error: "Unit is occupied" });
+			}
+			if (
+				req.user.properties &&
+				!(unit && inUserScope(req.user, unit.property_id))
+			)
+				return res
+					.status(403)
+					.json({ error: "Choose a unit in one of your properties" });
+			const id = uuid();
+			// The tenant, their unit's status and their opening ledger together
+			const row = await withTransaction(async (conn) => {
+				await conn.query(
+					`INSERT INTO tenants (id,org_id,tenant_name,accommodation_type,property_address,property_id,unit_id,period,lease_start,lease_end,rent_per_annum,amount_paid,phone,email,whatsapp,bank_reference,notes,quit_notice,created_by)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+					[
+						id,
+						req.user.org_id,
+						tenant_name,
+						accommodation_type || unit?.unit_type || "",
+						unit
+							? `${unit.property_name}, ${unit.label}`
+							: req.body.property_address || "",
+						unit?.property_id || null,
+						unit?.id || null,
+						period || "",
+						lease_start || null,
+						lease_end || null,
+						rent_per_annum || unit?.default_rent || 0,
+						amount_paid || 0,
+						phone || "",
+						email || "",
+						whatsapp || "",
+						bank_reference || null,
+						notes || "",
+						["1", "true", "yes"].includes(String(quit_notice)) ? 1 : 0,
+						req.user.id,
+					],
+				);
+				await syncUnitStatus(conn, unit?.id);
+				await openTenantLedger(
+					conn,
+					id,
+					{
+						rent_per_annum: rent_per_annum || unit?.default_rent || 0,
+						amount_paid,
+						period,
+						lease_start,
+						lease_end,
+					},
+					req.user.id,
+				);
+				const [[row]] = await conn.query(TENANT_SELECT + " WHERE t.id=?", [id]);
+				return row;
+			});
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// PUT replaces the tenant's details: fields left out are cleared, except
+// unit_id (omit it to keep the unit, send null to unlink). PATCH changes only
+// the fields sent. amount_paid is derived from the ledger and set by neither.
+function updateTenant(patch) {
+	return async (req, res) => {
+		try {
+			const d = await db();
+			const [[existing]] = await d.query("SELECT * FROM tenants WHERE id=?", [
+				req.params.id,
+			]);
+			if (!existing) return res.status(404).json({ error: "Not found" });
+			const body = patch
+				? {
+						...Object.fromEntries(
+							Object.keys(TENANT_FIELDS).map((k) => [
+								k,
+								existing[k] instanceof Date ? ymd(existing[k]) : existing[k],
+							]),
+						),
+						...req.body,
+					}
+				: req.body;
+			const {
+				tenant_name,
+				accommodation_type,
+				unit_id,
+				period,
+				lease_start,
+				lease_end,
+				rent_per_annum,
+				phone,
+				email,
+				whatsapp,
+				bank_reference,
+				notes,
+				quit_notice,
+			} = body;
+			const newUnitId = unit_id === undefined ? existing.unit_id : unit_id;
+			let unit = null;
+			if (newUnitId) {
+				unit = await findUnit(d, newUnitId, req.user.org_id);
+				if (!unit) return res.status(400).json({ error: "Unit not found" });
+				const [[taken]] = await d.query(
+					"SELECT id FROM tenants WHERE unit_id=? AND id!=?",
+					[newUnitId, req.params.id],
+				);
+				if (taken) return res.status(400).json({ error: "Unit is occupied" });
+			}
+			if (
+				req.user.properties &&
+				!(unit && inUserScope(req.user, unit.property_id))
+			)
+				return res
+					.status(403)
+					.json({ error: "Choose a unit in one of your properties" });
+			// Only rent terms are synced to the ledger here
+			const termsChanged =
+				money(existing.rent_per_annum) !== money(rent_per_annum) ||
+				ymd(existing.lease_start) !== ymd(lease_start) ||
+				ymd(existing.lease_end) !== ymd(lease_end) ||
+				(existing.period || "") !== (period || "");
+			if (
+				termsChanged &&
+				!(await hasPermission(req.user, "tenants:edit_financials"))
+			)
+				return res
+					.status(403)
+					.json({ error: "Not allowed (tenants:edit_financials)" });
+			const property_address = unit
+				? `${unit.property_name}, ${unit.label}`
+				: body.property_address || "";
+			const row = await withTransaction(async (conn) => {
+				await conn.query(
+					`UPDATE tenants SET tenant_name=?,accommodation_type=?,property_address=?,property_id=?,unit_id=?,period=?,
+         lease_start=?,lease_end=?,rent_per_annum=?,phone=?,email=?,whatsapp=?,bank_reference=?,notes=?,quit_notice=? WHERE id=?`,
+					[
+						tenant_name,
+						accommodation_type || "",
+						property_address,
+						unit?.property_id || null,
+						unit?.id || null,
+						period || "",
+						lease_start || null,
+						lease_end || null,
+						rent_per_annum || 0,
+						phone || "",
+						email || "",
+						whatsapp || "",
+						bank_reference || null,
+						notes || "",
+						["1", "true", "yes"].includes(String(quit_notice)) ? 1 : 0,
+						req.params.id,
+					],
+				);
+				if (existing.unit_id !== (unit?.id || null)) {
+					await syncUnitStatus(conn, existing.unit_id);
+					await syncUnitStatus(conn, unit?.id);
+				}
+				if (termsChanged)
+					await syncRentCharge(
+						conn,
+						req.params.id,
+						{ rent_per_annum, period, lease_start, lease_end },
+						req.user.id,
+					);
+				const [[row]] = await conn.query(TENANT_SELECT + " WHERE t.id=?", [
+					req.params.id,
+				]);
+				return row;
+			});
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	};
+}
+
+app.put(
+	"/api/tenants/:id",
+	auth(),
+	can("tenants:edit"),
+	inScope("tenant"),
+	validate({ body: TENANT_FIELDS }),
+	audited("tenant"),
+	updateTenant(false),
+);
+
+app.patch(
+	"/api/tenants/:id",
+	auth(),
+	can("tenants:edit"),
+	inScope("tenant"),
+	validate({ body: partial(TENANT_FIELDS) }),
+	audited("tenant"),
+	updateTenant(true),
+);
+
+// Manual correction of what a tenant has paid, recorded as a ledger adjustment.
+// Send { amount, description } (negative to reverse), or the legacy
+// { amount_paid } to set the total paid toward the current rent period.
+app.patch(
+	"/api/tenants/:id/payment",
+	auth(),
+	can("tenants:edit_financials"),
+	inScope("tenant"),
+	validate({
+		body: {
+			amount: field.number(),
+			amount_paid: field.amount(),
+			description: field.text(),
+			charge_id: field.id(),
+		},
+	}),
+	audited("tenant", { action: "payment.adjust" }),
+	async (req, res) => {
+		try {
+			const { amount_paid, description, charge_id } = req.body;
+			const result = await withTransaction(async (conn) => {
+				const [[t]] = await conn.query(
+					"SELECT amount_paid FROM tenants WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				if (!t) return { status: 404, error: "Not found" };
+				const amount =
+					req.body.amount !== undefined
+						? money(req.body.amount)
+						: money(money(amount_paid) - money(t.amount_paid));
+				if (amount) {
+					const current =
+						charge_id || (await currentRentCharge(conn, req.params.id))?.id;
+					const id = await postAdjustment(conn, {
+						tenant_id: req.params.id,
+						category: "adjustment",
+						description: description || "Manual adjustment of amount paid",
+						amount,
+						charge_id: current,
+						created_by: req.user.id,
+					});
+					if (!id)
+						return { status: 400, error: "Adjustment exceeds what was paid" };
+					await settleLedger(conn, req.params.id, current);
+				}
+				const [[row]] = await conn.query(TENANT_SELECT + " WHERE t.id=?", [
+					req.params.id,
+				]);
+				return { row };
+			});
+			if (result.error)
+				return res.status(result.status).json({ error: result.error });
+			res.json(result.row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.patch(
+	"/api/tenants/:id/quit",
+	auth(),
+	can("tenants:edit"),
+	inScope("tenant"),
+	validate({ body: { quit_notice: field.boolean({ required: true }) } }),
+	audited("tenant", { action: "quit_notice" }),
+	async (req, res) => {
+		try {
+			const quit_notice = ["1", "true", "yes"].includes(
+				String(req.body.quit_notice),
+			);
+			await (
+				await db()
+			).query(
+				"UPDATE tenants SET quit_notice=?,quit_notice_date=? WHERE id=?",
+				[
+					quit_notice ? 1 : 0,
+					quit_notice ? new Date().toISOString().split("T")[0] : null,
+					req.params.id,
+				],
+			);
+			const [[row]] = await (
+				await db()
+			).query("SELECT * FROM tenants WHERE id=?", [req.params.id]);
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/tenants/:id",
+	auth(),
+	can("tenants:delete"),
+	inScope("tenant"),
+	audited("tenant"),
+	async (req, res) => {
+		try {
+			// Payments are the money record (receipts, ledger, owner statements),
+			// so a tenant who has any, voided ones included, cannot be deleted
+			const result = await withTransaction(async (conn) => {
+				const [[t]] = await conn.query(
+					"SELECT unit_id FROM tenants WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				const [[{ payments }]] = await conn.query(
+					"SELECT COUNT(*) as payments FROM payments WHERE tenant_id=?",
+					[req.params.id],
+				);
+				if (payments)
+					return {
+						status: 409,
+						error: `Tenant has ${payments} payment(s) on record and cannot be deleted`,
+					};
+				await conn.query("DELETE FROM tenants WHERE id=?", [req.params.id]);
+				await syncUnitStatus(conn, t?.unit_id);
+				return {};
+			});
+			if (result.error)
+				return res.status(result.status).json({ error: result.error });
+			res.json({ success: true });
+		} catch (e) {
+			if (e.code === "ER_ROW_IS_REFERENCED_2")
+				return res.status(409).json({
+					error: "Tenant has payments on record and cannot be deleted",
+				});
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── CSV IMPORT ───────────────────────────────────────────────────────────────
+// Columns are found by fuzzy header match unless the upload sends
+// mapping = {"field": "Header in sheet"}. dry_run=true validates and reports
+// what would happen without writing. Rows with errors are never imported; the
+// rest go in one transaction, so a failure part-way leaves nothing behind.
+const IMPORT_COLUMNS = {
+	tenant_name: ["nameoftenant", "tenant", "name"],
+	accommodation_type: ["typeofaccommodation", "type", "accommodation"],
+	property_address: ["property", "address", "block"],
+	period: ["period"],
+	lease_start: ["leasestart", "startdate", "start"],
+	lease_end: ["leaseend", "enddate", "expiry", "end"],
+	rent_per_annum: ["rentperannum", "rent"],
+	amount_paid: ["amountpaid", "paid"],
+	phone: ["phone", "mobile"],
+	whatsapp: ["whatsapp", "whatsappnumber"],
+	email: ["email"],
+	notes: ["notes", "remarks"],
+	quit_notice: ["quitnotice", "quit"],
+};
+const IMPORT_DUPLICATE_MODES = ["skip", "update", "create"];
+
+const normKey = (k) =>
+	String(k || "")
+		.toLowerCase()
+		.replace(/[\s_]/g, "");
+const phoneKey = (v) =>
+	String(v || "")
+		.replace(/\D/g, "")
+		.slice(-10);
+
+// Resolves each field to a header in the sheet: the user's mapping first,
+// then the first fuzzy key that matches a header
+function importColumns(headers, mapping) {
+	const cols = {};
+	for (const [field, keys] of Object.entries(IMPORT_COLUMNS)) {
+		const wanted = mapping[field] ? [mapping[field]] : keys;
+		for (const k of wanted) {
+			const h = headers.find((h) => normKey(h) === normKey(k));
+			if (h) {
+				cols[field] = h;
+				break;
+			}
+		}
+	}
+	return cols;
+}
+
+function readImportRow(row, cols) {
+	const g = (field) =>
+		cols[field] ? String(row[cols[field]] || "").trim() : "";
+	const errors = [];
+	const warnings = [];
+	const v = {
+		tenant_name: g("tenant_name"),
+		accommodation_type: g("accommodation_type"),
+		property_address: g("property_address"),
+		period: g("period"),
+		phone: g("phone"),
+		whatsapp: g("whatsapp"),
+		email: g("email"),
+		notes: g("notes"),
+		quit_notice: ["yes", "y", "true", "1"].includes(
+			g("quit_notice").toLowerCase(),
+		),
+	};
+	if (!v.tenant_name) errors.push("tenant_name is empty");
+	for (const f of ["rent_per_annum", "amount_paid"]) {
+		const raw = g(f);
+		v[f] = parseAmount(raw);
+		if (raw && (v[f] === null || v[f] < 0))
+			errors.push(`${f}: "${raw}" is not a valid amount`);
+		v[f] ||= 0;
+	}
+	for (const f of ["lease_start", "lease_end"]) {
+		const raw = g(f);
+		v[f] = parseDate(raw);
+		if (raw && !v[f]) errors.push(`${f}: "${raw}" is not a date`);
+	}
+	if (v.lease_start && v.lease_end && v.lease_end <= v.lease_start)
+		errors.push("lease_end is not after lease_start");
+	if (!v.period && v.lease_start && v.lease_end)
+		v.period = periodLabel(v.lease_start, v.lease_end);
+	if (v.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v.email)) {
+		warnings.push(`email "${v.email}" looks invalid and was dropped`);
+		v.email = "";
+	}
+	if (!v.phone && !v.whatsapp && !v.email)
+		warnings.push("no phone, WhatsApp or email");
+	if (v.rent_per_annum && v.amount_paid > v.rent_per_annum)
+		warnings.push("amount_paid is more than the rent; the excess is a credit");
+	if (v.rent_per_annum && !v.lease_start)
+		warnings.push("no lease_start; the rent charge is undated");
+	return { values: v, errors, warnings };
+}
+
+// Index of existing tenants by phone, email and name+address. Rows created
+// during the import are added so repeats within one sheet are caught too.
+function tenantIndex(tenants) {
+	const byKey = new Map();
+	const add = (t) => {
+		const keys = [
+			["phone", phoneKey(t.phone)],
+			["phone", phoneKey(t.whatsapp)],
+			["email", (t.email || "").toLowerCase()],
+			[
+				"name and address",
+				t.property_address
+					? `${normKey(t.tenant_name)}|${normKey(t.property_address)}`
+					: "",
+			],
+		];
+		for (const [by, k] of keys)
+			if (k && (by !== "phone" || k.length === 10) && !byKey.has(by + k))
+				byKey.set(by + k, { id: t.id, tenant_name: t.tenant_name, by });
+	};
+	tenants.forEach(add);
+	const find = (v) =>
+		byKey.get("phone" + phoneKey(v.phone)) ||
+		byKey.get("phone" + phoneKey(v.whatsapp)) ||
+		(v.email && byKey.get("email" + v.email.toLowerCase())) ||
+		(v.property_address &&
+			byKey.get(
+				"name and address" +
+					`${normKey(v.tenant_name)}|${normKey(v.property_address)}`,
+			)) ||
+		null;
+	return { add, find };
+}
+
+async function importTenantRow(conn, v, action, existingId, user) {
+	const userId = user.id;
+	if (action === "create") {
+		const id = uuid();
+		await conn.query(
+			`INSERT INTO tenants (id,org_id,tenant_name,accommodation_type,property_address,property_id,period,lease_start,lease_end,rent_per_annum,amount_paid,phone,email,whatsapp,notes,quit_notice,created_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+			[
+				id,
+				user.org_id,
+				v.tenant_name,
+				v.accommodation_type,
+				v.property_address,
+				v.property_id || null,
+				v.period,
+				v.lease_start,
+				v.lease_end,
+				v.rent_per_annum,
+				v.amount_paid,
+				v.phone,
+				v.email,
+				v.whatsapp,
+				v.notes,
+				v.quit_notice ? 1 : 0,
+				userId,
+			],
+		);
+		await openTenantLedger(conn, id, v, userId);
+		return id;
+	}
+	// update: only columns that have a value in the sheet overwrite the record
+	const [[t]] = await conn.query(
+		"SELECT * FROM tenants WHERE id=? AND org_id=?",
+		[existingId, user.org_id],
+	);
+	if (!t) throw new Error("Tenant to update was not found");
+	const next = { ...t };
+	for (const f of [
+		"tenant_name",
+		"accommodation_type",
+		"property_address",
+		"period",
+		"lease_start",
+		"lease_end",
+		"phone",
+		"email",
+		"whatsapp",
+		"notes",
+	])
+		if (v[f]) next[f] = v[f];
+	if (v.rent_per_annum) next.rent_per_annum = v.rent_per_annum;
+	if (v.quit_notice) next.quit_notice = 1;
+	await conn.query(
+		`UPDATE tenants SET tenant_name=?,accommodation_type=?,property_address=?,period=?,lease_start=?,lease_end=?,
+     rent_per_annum=?,phone=?,email=?,whatsapp=?,notes=?,quit_notice=? WHERE id=?`,
+		[
+			next.tenant_name,
+			next.accommodation_type,
+			next.property_address,
+			next.period,
+			next.lease_start || null,
+			next.lease_end || null,
+			next.rent_per_annum,
+			next.phone,
+			next.email,
+			next.whatsapp,
+			next.notes,
+			next.quit_notice ? 1 : 0,
+			existingId,
+		],
+	);
+	if (
+		money(t.rent_per_annum) !== money(next.rent_per_annum) ||
+		ymd(t.lease_start) !== ymd(next.lease_start) ||
+		ymd(t.lease_end) !== ymd(next.lease_end) ||
+		(t.period || "") !== (next.period || "")
+	)
+		await syncRentCharge(
+			conn,
+			existingId,
+			{
+				rent_per_annum: next.rent_per_annum,
+				period: next.period,
+				lease_start: ymd(next.lease_start),
+				lease_end: ymd(next.lease_end),
+			},
+			userId,
+		);
+	return existingId;
+}
+
+const csvCell = (v) => {
+	const s = v === null || v === undefined ? "" : String(v);
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvLine = (values) => values.map(csvCell).join(",") + "\r\n";
+
+// Send multipart: file, plus optional dry_run, on_duplicate (skip|update|create),
+// mapping (JSON) and property_id for the new tenants
+app.post(
+	"/api/tenants/import",
+	auth(),
+	can("tenants:import"),
+	audited("tenant", { action: "import" }),
+	upload.single("file"),
+	validate({
+		body: {
+			dry_run: field.boolean(),
+			on_duplicate: field.oneOf(IMPORT_DUPLICATE_MODES),
+			mapping: field.text({ max: 5000 }),
+			property_id: field.id(),
+		},
+		query: { dry_run: field.boolean() },
+	}),
+	async (req, res) => {
+		try {
+			if (!req.file) return res.status(400).json({ error: "No file" });
+			const dryRun = ["true", "1", "yes"].includes(
+				String(req.body.dry_run ?? req.query.dry_run ?? "").toLowerCase(),
+			);
+			const onDuplicate = req.body.on_duplicate || "skip";
+			let mapping = {};
+			try {
+				mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+			} catch {
+				return res.status(400).json({ error: "mapping must be JSON" });
+			}
+			// Users limited to assigned properties import into one of them
+			const propertyId = req.body.property_id || null;
+			if (req.user.properties && !inUserScope(req.user, propertyId))
+				return res
+					.status(400)
+					.json({ error: "property_id must be one of your properties" });
+			const unknown = Object.keys(mapping).filter((f) => !IMPORT_COLUMNS[f]);
+			if (unknown.length)
+				return res
+					.status(400)
+					.json({ error: `Unknown mapping fields: ${unknown.join(", ")}` });
+			let records;
+			try {
+				records = parse(req.file.buffer.toString("utf8"), {
+					columns: true,
+					skip_empty_lines: true,
+					trim: true,
+					bom: true,
+				});
+			} catch (e) {
+				return res
+					.status(400)
+					.json({ error: `Could not read CSV: ${e.message}` });
+			}
+			const headers = records.length ? Object.keys(records[0]) : [];
+			const cols = importColumns(headers, mapping);
+			if (!cols.tenant_name)
+				return res.status(400).json({
+					error:
+						"No tenant name column found; map one with mapping.tenant_name",
+					headers,
+				});
+			const d = await db();
+			if (propertyId) {
+				const [[property]] = await d.query(
+					"SELECT id FROM properties WHERE id=? AND org_id=?",
+					[propertyId, req.user.org_id],
+				);
+				if (!property)
+					return res.status(400).json({ error: "Property not found" });
+			}
+			const scope = scopeFilter(req.user, "property_id");
+			const [existing] = await d.query(
+				"SELECT id,tenant_name,property_address,phone,whatsapp,email FROM tenants WHERE org_id=?" +
+					scope.sql,
+				[req.user.org_id, ...scope.params],
+			);
+			const index = tenantIndex(existing);
+			const rows = records.map((raw, i) => {
+				const { values, errors, warnings } = readImportRow(raw, cols);
+				values.property_id = propertyId;
+				const r = { row: i + 2, raw, values, errors, warnings };
+				if (errors.length) return { ...r, action: "error" };
+				const dup = index.find(values);
+				if (dup) {
+					r.duplicate_of = dup;
+					warnings.push(`matches ${dup.tenant_name} by ${dup.by}`);
+					r.action = onDuplicate;
+					if (onDuplicate === "update" && values.amount_paid)
+						warnings.push(
+							"amount_paid is ignored for existing tenants; record a payment instead",
+						);
+				} else r.action = "create";
+				// Later rows should see this one as a duplicate
+				if (r.action === "create") index.add({ id: `row ${r.row}`, ...values });
+				return r;
+			});
+			if (!dryRun)
+				await withTransaction(async (conn) => {
+					for (const r of rows) {
+						if (r.action !== "create" && r.action !== "update") continue;
+						// A later row updating a tenant created earlier in this file
+						const existingId = r.duplicate_of?.id.startsWith("row ")
+							? rows.find((x) => `row ${x.row}` === r.duplicate_of.id)
+									?.tenant_id
+							: r.duplicate_of?.id;
+						try {
+							r.tenant_id = await importTenantRow(
+								conn,
+								r.values,
+								r.action,
+								existingId,
+								req.user,
+							);
+						} catch (e) {
+							e.message = `Row ${r.row}: ${e.message}`;
+							throw e;
+						}
+					}
+				});
+			const summary = { total: rows.length };
+			for (const a of ["create", "update", "skip", "error"])
+				summary[a] = rows.filter((r) => r.action === a).length;
+			const importId = uuid();
+			await d.query(
+				"INSERT INTO tenant_imports (id,org_id,filename,dry_run,on_duplicate,summary,report,created_by) VALUES (?,?,?,?,?,?,?,?)",
+				[
+					importId,
+					req.user.org_id,
+					req.file.originalname || "",
+					dryRun ? 1 : 0,
+					onDuplicate,
+					JSON.stringify(summary),
+					JSON.stringify(
+						rows
+							.filter((r) => r.errors.length || r.warnings.length)
+							.map(({ row, action, raw, errors, warnings }) => ({
+								row,
+								action,
+								raw,
+								errors,
+								warnings,
+							})),
+					),
+					req.user.id,
+				],
+			);
+			const ids = rows.filter((r) => r.tenant_id).map((r) => r.tenant_id);
+			const [tenants] = ids.length
+				? await d.query(TENANT_SELECT + " WHERE t.id IN (?)", [ids])
+				: [[]];
+			res.json({
+				import_id: importId,
+				dry_run: dryRun,
+				on_duplicate: onDuplicate,
+				columns: cols,
+				summary,
+				imported: dryRun ? 0 : summary.create + summary.update,
+				report_url:
+					summary.error || rows.some((r) => r.warnings.length)
+						? `/api/tenant-imports/${importId}/report.csv`
+						: null,
+				rows: rows.map(({ raw, ...r }) => r),
+				tenants,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/tenant-imports", auth(), async (req, res) => {
+	try {
+		const [rows] = await (
+			await db()
+		).query(
+			`SELECT i.id,i.filename,i.dry_run,i.on_duplicate,i.summary,i.created_at,u.name as created_by_name
+       FROM tenant_imports i LEFT JOIN users u ON i.created_by=u.id
+       WHERE i.org_id=? ORDER BY i.created_at DESC LIMIT 100`,
+			[req.user.org_id],
+		);
+		res.json(rows);
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// Rows with errors or warnings, with the original columns so the sheet can be
+// fixed and re-uploaded
+app.get(
+	"/api/tenant-imports/:id/report.csv",
+	auth(),
+	inScope("tenant_import"),
+	async (req, res) => {
+		try {
+			const [[imp]] = await (
+				await db()
+			).query("SELECT * FROM tenant_imports WHERE id=?", [req.params.id]);
+			if (!imp) return res.status(404).json({ error: "Not found" });
+			const report =
+				typeof imp.report === "string"
+					? JSON.parse(imp.report)
+					: imp.report || [];
+			const headers = [...new Set(report.flatMap((r) => Object.keys(r.raw)))];
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			res.setHeader(
+				"Content-Disposition",
+				`attachment; filename="import-report-${imp.id.slice(0, 8)}.csv"`,
+			);
+			res.write(csvLine(["row", "action", "errors", "warnings", ...headers]));
+			for (const r of report)
+				res.write(
+					csvLine([
+						r.row,
+						r.action,
+						r.errors.join("; "),
+						r.warnings.join("; "),
+						...headers.map((h) => r.raw[h]),
+					]),
+				);
+			res.end();
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── FILE STORAGE (local disk under UPLOAD_DIR, or an S3-compatible bucket) ───
+// Files are addressed by a relative key such as "tenants/<id>/<file>".
+// STORAGE_DRIVER=s3 uses S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and
+// S3_SECRET_ACCESS_KEY, plus S3_ENDPOINT for MinIO, R2, Spaces and the like.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
+// One signed (AWS Signature V4) object request, path-style so any
+// S3-compatible endpoint works
+function s3Request(method, key, body, contentType) {
+	const region = process.env.S3_REGION || "us-east-1";
+	const endpoint = (
+		process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+	).replace(/\/$/, "");
+	const url = new URL(
+		`${endpoint}/${process.env.S3_BUCKET}/${key.split("/").map(encodeURIComponent).join("/")}`,
+	);
+	const stamp = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+	const date = stamp.slice(0, 8);
+	const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+	const hmac = (k, v) => crypto.createHmac("sha256", k).update(v).digest();
+	const payloadHash = sha256(body || "");
+	const headers = {
+		host: url.host,
+		"x-amz-content-sha256": payloadHash,
+		"x-amz-date": stamp,
+		...(contentType && { "content-type": contentType }),
+	};
+	const names = Object.keys(headers).sort();
+	const canonical = [
+		method,
+		url.pathname,
+		"",
+		...names.map((h) => `${h}:${headers[h]}`),
+		"",
+		names.join(";"),
+		payloadHash,
+	].join("\n");
+	const scope = `${date}/${region}/s3/aws4_request`;
+	const signingKey = [region, "s3", "aws4_request"].reduce(
+		hmac,
+		hmac("AWS4" + process.env.S3_SECRET_ACCESS_KEY, date),
+	);
+	const signature = crypto
+		.createHmac("sha256", signingKey)
+		.update(["AWS4-HMAC-SHA256", stamp, scope, sha256(canonical)].join("\n"))
+		.digest("hex");
+	delete headers.host;
+	return fetch(url, {
+		method,
+		body,
+		headers: {
+			...headers,
+			Authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+		},
+	});
+}
+
+// Each driver: put(key, buffer, contentType), get(key) -> readable stream or
+// null when missing, remove(key) (missing files are not an error)
+const storageDrivers = {
+	local: {
+		async put(key, buffer) {
+			const file = path.join(UPLOAD_DIR, key);
+			await fs.promises.mkdir(path.dirname(file), { recursive: true });
+			await fs.promises.writeFile(file, buffer);
+		},
+		async get(key) {
+			const file = path.join(UPLOAD_DIR, key);
+			try {
+				await fs.promises.access(file);
+			} catch {
+				return null;
+			}
+			return fs.createReadStream(file);
+		},
+		async remove(key) {
+			await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+		},
+	},
+	s3: {
+		async put(key, buffer, contentType) {
+			const r = await s3Request("PUT", key, buffer, contentType);
+			if (!r.ok) throw new Error(`Storage returned ${r.status}`);
+		},
+		async get(key) {
+			const r = await s3Request("GET", key);
+			if (r.status === 404) return null;
+			if (!r.ok) throw new Error(`Storage returned ${r.status}`);
+			return Readable.fromWeb(r.body);
+		},
+		async remove(key) {
+			const r = await s3Request("DELETE", key);
+			if (!r.ok && r.status !== 404)
+				throw new Error(`Storage returned ${r.status}`);
+		},
+	},
+};
+
+function storage() {
+	const name = process.env.STORAGE_DRIVER || "local";
+	if (!storageDrivers[name])
+		throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+	return storageDrivers[name];
+}
+
+// Streams a stored file; inline for viewing in the browser, else a download
+async function sendStoredFile(res, key, { mime_type, filename }, inline) {
+	const stream = await storage().get(key);
+	if (!stream) return res.status(404).json({ error: "File missing" });
+	res.setHeader("Content-Type", mime_type);
+	res.setHeader(
+		"Content-Disposition",
+		`${inline ? "inline" : "attachment"}; filename="${String(filename).replace(/"/g, "")}"`,
+	);
+	stream.on("error", (e) => res.destroy(e)).pipe(res);
+}
+
+// Best effort: a file left behind is only wasted space, so errors are logged
+async function removeStoredFile(key) {
+	if (!key) return;
+	try {
+		await storage().remove(key);
+	} catch (e) {
+		console.error("File cleanup failed:", e.message);
+	}
+}
+
+// ── TENANT DOCUMENTS ─────────────────────────────────────────────────────────
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const documentUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: 5 * 1024 * 1024 },
+	fileFilter: (req, file, cb) =>
+		DOCUMENT_TYPES.includes(file.mimetype)
+			? cb(null, true)
+			: cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)),
+});
+
+async function saveTenantDocument(d, tenantId, kind, file, extra = {}) {
+	const id = uuid();
+	const storedName = id + path.extname(file.originalname || "").toLowerCase();
+	const key = `tenants/${tenantId}/${storedName}`;
+	await storage().put(key, file.buffer, file.mimetype);
+	await d.query(
+		"INSERT INTO tenant_documents (id,tenant_id,kind,filename,mime_type,size,storage_path,notes,uploaded_via,uploaded_by) VALUES (?,?,?,?,?,?,?,?,?,?)",
+		[
+			id,
+			tenantId,
+			kind,
+			file.originalname || storedName,
+			file.mimetype,
+			file.size,
+			key,
+			extra.notes || "",
+			extra.uploaded_via || "staff",
+			extra.uploaded_by || null,
+		],
+	);
+	return { id, kind, filename: file.originalname, mime_type: file.mimetype };
+}
+
+app.get(
+	"/api/tenants/:id/documents",
+	auth(),
+	inScope("tenant"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				"SELECT id,kind,filename,mime_type,size,notes,uploaded_via,uploaded_by,created_at FROM tenant_documents WHERE tenant_id=? ORDER BY created_at DESC",
+				[req.params.id],
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/documents/:id/download",
+	auth(),
+	inScope("document"),
+	async (req, res) => {
+		try {
+			const [[doc]] = await (
+				await db()
+			).query("SELECT * FROM tenant_documents WHERE id=?", [req.params.id]);
+			if (!doc) return res.status(404).json({ error: "Not found" });
+			await sendStoredFile(res, doc.storage_path, doc);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PAYMENTS
+// ─────────────────────────────────────────────────────────────────────────────
+const PAYMENT_METHODS = ["cash", "bank_transfer", "cheque", "pos", "online"];
+
+const PAYMENT_LIST = {
+	sorts: {
+		payment_date: "p.payment_date",
+		amount: "p.amount",
+		receipt_number: "p.receipt_number",
+		tenant_name: "t.tenant_name",
+		created_at: "p.created_at",
+	},
+	sort: "payment_date",
+	order: "desc",
+	then: "p.created_at DESC, p.id",
+};
+
+const PAYMENT_LIST_QUERY = {
+	tenant_id: field.id(),
+	property_id: field.id(),
+	...DATE_RANGE,
+	status: field.oneOf(["active", "void", "all"]),
+	payment_method: field.oneOf(PAYMENT_METHODS),
+	min_amount: field.amount(),
+	max_amount: field.amount(),
+	recorded_by: field.id(),
+	search: field.text(),
+	...sortQuery(PAYMENT_LIST),
+};
+
+function paymentListQuery(query, user) {
+	const {
+		tenant_id,
+		property_id,
+		from,
+		to,
+		status,
+		payment_method,
+		min_amount,
+		max_amount,
+		recorded_by,
+		search,
+	} = query;
+	const scope = scopeFilter(user, "t.property_id");
+	let sql = `SELECT p.*, t.tenant_name, t.property_address FROM payments p 
+               LEFT JOIN tenants t ON p.tenant_id = t.id WHERE p.org_id=?${scope.sql}`;
+	const params = [user.org_id, ...scope.params];
+	// Voided payments are hidden unless asked for (?status=void or all)
+	if (status !== "all") {
+		sql += " AND p.status=?";
+		params.push(status === "void" ? "void" : "active");
+	}
+	if (tenant_id) {
+		sql += " AND p.tenant_id=?";
+		params.push(tenant_id);
+	}
+	if (from) {
+		sql += " AND p.payment_date >= ?";
+		params.push(from);
+	}
+	if (to) {
+		sql += " AND p.payment_date <= ?";
+		params.push(to);
+	}
+	if (property_id) {
+		sql += " AND t.property_id=?";
+		params.push(property_id);
+	}
+	if (payment_method) {
+		sql += " AND p.payment_method=?";
+		params.push(payment_method);
+	}
+	if (!blank(min_amount)) {
+		sql += " AND p.amount >= ?";
+		params.push(+min_amount);
+	}
+	if (!blank(max_amount)) {
+		sql += " AND p.amount <= ?";
+		params.push(+max_amount);
+	}
+	if (recorded_by) {
+		sql += " AND p.recorded_by=?";
+		params.push(recorded_by);
+	}
+	if (search) {
+		sql +=
+			" AND (p.receipt_number LIKE ? OR p.reference LIKE ? OR t.tenant_name LIKE ?)";
+		const l = `%${search}%`;
+		params.push(l, l, l);
+	}
+	sql += orderBy(PAYMENT_LIST, query);
+	return { sql, params };
+}
+
+app.get(
+	"/api/payments",
+	auth(),
+	validate({ query: { ...PAYMENT_LIST_QUERY, ...PAGE_QUERY } }),
+	async (req, res) => {
+		try {
+			res.json(
+				await paginate(
+					await db(),
+					paymentListQuery(req.query, req.user),
+					PAYMENT_LIST,
+					req.query,
+				),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── RECEIPT NUMBERS ──────────────────────────────────────────────────────────
+// One counter per prefix per year in each organisation. Properties can carry
+// their own prefix, otherwise the organisation's applies; properties sharing
+// a prefix (e.g. a branch) share its sequence.
+const DEFAULT_RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || "RCP";
+
+// Must run inside a transaction: the upsert locks the sequence row until
+// commit, so concurrent payments queue here instead of reading the same number.
+async function nextReceiptNumber(conn, orgId, prefix, year) {
+	const [r] = await conn.query(
+		`INSERT INTO receipt_sequences (org_id,prefix,year,last_number) VALUES (?,?,?,1)
+     ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+		[orgId, prefix, year],
+	);
+	if (r.affectedRows === 1) {
+		// First receipt for this prefix and year: carry on from numbers issued
+		// before sequences existed
+		const [[{ max_no }]] = await conn.query(
+			`SELECT COALESCE(MAX(CAST(SUBSTRING_INDEX(receipt_number,'-',-1) AS UNSIGNED)),0) as max_no
+       FROM payments WHERE org_id=? AND receipt_number LIKE ?`,
+			[orgId, `${prefix}-${year}-%`],
+		);
+		if (max_no > 0)
+			await conn.query(
+				"UPDATE receipt_sequences SET last_number=? WHERE org_id=? AND prefix=? AND year=?",
+				[max_no + 1, orgId, prefix, year],
+			);
+	}
+	const [[seq]] = await conn.query(
+		"SELECT last_number FROM receipt_sequences WHERE org_id=? AND prefix=? AND year=?",
+		[orgId, prefix, year],
+	);
+	return `${prefix}-${year}-${String(seq.last_number).padStart(4, "0")}`;
+}
+
+app.get(
+	"/api/receipt-sequences",
+	auth(["admin", "manager"]),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				"SELECT * FROM receipt_sequences WHERE org_id=? ORDER BY year DESC, prefix ASC",
+				[req.user.org_id],
+			);
+			const org = await organisation(req.user.org_id);
+			res.json({ default_prefix: org.receipt_prefix, sequences: rows });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Records a payment with its receipt number and ledger credit. Runs on conn
+// inside the caller's transaction; shared by POST /api/payments and gateway
+// confirmations so both number and allocate payments identically.
+async function recordPayment(conn, p) {
+	const [[tenant]] = await conn.query(
+		`SELECT t.id, t.org_id, pr.receipt_prefix FROM tenants t
+     LEFT JOIN properties pr ON t.property_id = pr.id WHERE t.id=?`,
+		[p.tenant_id],
+	);
+	if (!tenant) return null;
+	const id = uuid();
+	const receipt_number = await nextReceiptNumber(
+		conn,
+		tenant.org_id,
+		tenant.receipt_prefix || (await organisation(tenant.org_id)).receipt_prefix,
+		new Date().getFullYear(),
+	);
+	await conn.query(
+		`INSERT INTO payments (id,org_id,tenant_id,amount,payment_date,payment_method,reference,notes,receipt_number,recorded_by)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`,
+		[
+			id,
+			tenant.org_id,
+			p.tenant_id,
+			p.amount,
+			p.payment_date || new Date().toISOString().split("T")[0],
+			p.payment_method || "cash",
+			p.reference || "",
+			p.notes || "",
+			receipt_number,
+			p.recorded_by || null,
+		],
+	);
+	// Credit the ledger; charge_id picks the period it pays for, otherwise
+	// the oldest outstanding charge is settled first
+	await postLedgerEntry(conn, {
+		tenant_id: p.tenant_id,
+		entry_type: "credit",
+		category: "payment",
+		description: `Payment ${receipt_number}`,
+		amount: p.amount,
+		entry_date: p.payment_date,
+		payment_id: id,
+		created_by: p.recorded_by,
+	});
+	await settleLedger(conn, p.tenant_id, p.charge_id);
+	return id;
+}
+
+const PAYMENT_ROW_SELECT =
+	"SELECT p.*,t.tenant_name,t.property_id FROM payments p LEFT JOIN tenants t ON p.tenant_id=t.id WHERE p.id=?";
+
+// Tells staff about a payment, except whoever recorded it. Run it with
+// notifyInBackground once the payment has committed.
+async function notifyPaymentRecorded(d, paymentId, recordedBy, recorderName) {
+	const [[payment]] = await d.query(PAYMENT_ROW_SELECT, [paymentId]);
+	const org = await organisation(payment.org_id);
+	await notify(
+		d,
+		(
+			await notificationRecipients(d, payment.org_id, [], payment.property_id)
+		).filter((u) => u !== recordedBy),
+		{
+			org_id: payment.org_id,
+			type: "payment",
+			title: `Payment received: ${payment.tenant_name}`,
+			message: `${formatMoney(org, payment.amount)} recorded by ${recorderName} (${payment.receipt_number}).`,
+			tenant_id: payment.tenant_id,
+			dedupe_key: `payment:${paymentId}`,
+		},
+	);
+}
+
+app.post(
+	"/api/payments",
+	auth(),
+	can("payments:create"),
+	inScope("tenant", (req) => req.body.tenant_id),
+	validate({
+		body: {
+			tenant_id: field.id({ required: true }),
+			amount: field.amount({ required: true, positive: true }),
+			payment_date: field.date(),
+			payment_method: field.oneOf(PAYMENT_METHODS),
+			reference: field.text({ max: 100 }),
+			notes: field.text({ max: 5000 }),
+			charge_id: field.id(),
+		},
+	}),
+	audited("payment"),
+	async (req, res) => {
+		try {
+			const payment = await withTransaction(async (conn) => {
+				const id = await recordPayment(conn, {
+					...req.body,
+					recorded_by: req.user.id,
+				});
+				if (!id) return null;
+				const [[row]] = await conn.query(PAYMENT_ROW_SELECT, [id]);
+				return row;
+			});
+			if (!payment) return res.status(400).json({ error: "Tenant not found" });
+			const d = await db();
+			notifyInBackground(() =>
+				notifyPaymentRecorded(d, payment.id, req.user.id, req.user.name),
+			);
+			res.status(201).json(payment);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Payments are voided, never deleted, so their receipt number stays taken and
+// the sequence has no silent gaps. Voiding reverses the ledger credit.
+async function voidPayment(req, res) {
+	try {
+		// Locked, so two voids of the same payment cannot both post reversals
+		const result = await withTransaction(async (conn) => {
+			const [[p]] = await conn.query(
+				"SELECT * FROM payments WHERE id=? FOR UPDATE",
+				[req.params.id],
+			);
+			if (!p) return { status: 404, error: "Not found" };
+			if (p.status === "void")
+				return { status: 400, error: "Payment already voided" };
+			await conn.query("DELETE FROM ledger_entries WHERE payment_id=?", [p.id]);
+			await conn.query(
+				"UPDATE payments SET status='void',void_reason=?,voided_by=?,voided_at=NOW() WHERE id=?",
+				[req.body?.reason || "", req.user.id, p.id],
+			);
+			await settleLedger(conn, p.tenant_id);
+			return { p };
+		});
+		if (result.error)
+			return res.status(result.status).json({ error: result.error });
+		res.json({ success: true, receipt_number: result.p.receipt_number });
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+}
+
+app.post(
+	"/api/payments/:id/void",
+	auth(),
+	can("payments:delete"),
+	inScope("payment"),
+	validate({ body: { reason: field.text() } }),
+	audited("payment", { action: "void" }),
+	voidPayment,
+);
+app.delete(
+	"/api/payments/:id",
+	auth(),
+	can("payments:delete"),
+	inScope("payment"),
+	audited("payment", { action: "void" }),
+	voidPayment,
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ONLINE PAYMENTS — Paystack / Flutterwave checkout, or the local mock gateway
+// ─────────────────────────────────────────────────────────────────────────────
+// A checkout creates a payment_transactions row keyed by our reference. The
+// signed webhook (or reconciliation) confirms it and records the payment via
+// recordPayment, exactly once: the row is locked and carries the payment_id.
+// Unset means no online payments. There is no default, so an install never
+// ends up on the mock gateway (whose unauthenticated checkout "pays" any
+// reference) by accident
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY;
+const API_URL =
+	process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+const ABANDON_AFTER_HOURS = +process.env.PAYMENT_ABANDON_HOURS || 24;
+const MOCK_GATEWAY_SECRET = process.env.MOCK_GATEWAY_SECRET;
+const mockGatewayState = new Map();
+
+async function gatewayRequest(url, { method = "GET", body, headers } = {}) {
+	const r = await fetch(url, {
+		method,
+		headers: { "Content-Type": "application/json", ...headers },
+		body: body && JSON.stringify(body),
+	});
+	const data = await r.json().catch(() => ({}));
+	if (!r.ok) throw new Error(data.message || `Gateway returned ${r.status}`);
+	return data;
+}
+
+const hmacSha512 = (secret, body) =>
+	crypto
+		.createHmac("sha512", secret)
+		.update(body || "")
+		.digest("hex");
+
+function safeEqual(a, b) {
+	a = Buffer.from(String(a || ""));
+	b = Buffer.from(String(b || ""));
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Each gateway: checkout() -> { checkout_url, gateway_reference },
+// verify(reference) -> { status, amount, gateway_reference },
+// webhook(req) -> { reference, status, amount } or null when the signature fails.
+// status is one of success | failed | abandoned | pending; amounts are in naira.
+const paymentGateways = {
+	paystack: {
+		async checkout(tx) {
+			const { data } = await gatewayRequest(
+				"https://api.paystack.co/transaction/initialize",
+				{
+					method: "POST",
+					headers: {
+						Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+					},
+					body: {
+						email: tx.email,
+						amount: Math.round(tx.amount * 100),
+						reference: tx.reference,
+						callback_url: tx.callback_url,
+						metadata: { tenant_id: tx.tenant_id },
+					},
+				},
+			);
+			return {
+				checkout_url: data.authorization_url,
+				gateway_reference: data.access_code,
+			};
+		},
+		async verify(reference) {
+			const { data } = await gatewayRequest(
+				`https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`,
+				{
+					headers: {
+						Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+					},
+				},
+			);
+			return {
+				status: ["success", "failed", "abandoned"].includes(data.status)
+					? data.status
+					: "pending",
+				amount: data.amount / 100,
+				gateway_reference: String(data.id),
+			};
+		},
+		webhook(req) {
+			const expected = hmacSha512(
+				process.env.PAYSTACK_SECRET_KEY || "",
+				req.rawBody,
+			);
+			if (
+				!process.env.PAYSTACK_SECRET_KEY ||
+				!safeEqual(req.headers["x-paystack-signature"], expected)
+			)
+				return null;
+			const { event, data } = req.body;
+			return {
+				reference: data?.reference,
+				status:
+					event === "charge.success"
+						? "success"
+						: event === "charge.failed"
+							? "failed"
+							: "pending",
+				amount: data?.amount / 100,
+				gateway_reference: data?.id && String(data.id),
+			};
+		},
+	},
+	flutterwave: {
+		async checkout(tx) {
+			const { data } = await gatewayRequest(
+				"https://api.flutterwave.com/v3/payments",
+				{
+					method: "POST",
+					headers: { Authorization: `Bearer ${process.env.FLW_SECRET_KEY}` },
+					body: {
+						tx_ref: tx.reference,
+						amount: tx.amount,
+						currency: "NGN",
+						redirect_url: tx.callback_url,
+						customer: {
+							email: tx.email,
+							name: tx.tenant_name,
+							phonenumber: tx.phone,
+						},
+						meta: { tenant_id: tx.tenant_id },
+					},
+				},
+			);
+			return { checkout_url: data.link, gateway_reference: null };
+		},
+		async verify(reference) {
+			const { data } = await gatewayRequest(
+				`https://api.flutterwave.com/v3/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`,
+				{ headers: { Authorization: `Bearer ${process.env.FLW_SECRET_KEY}` } },
+			);
+			return {
+				status:
+					data.status === "successful"
+						? "success"
+						: data.status === "failed"
+							? "failed"
+							: "pending",
+				amount: data.amount,
+				gateway_reference: String(data.id),
+			};
+		},
+		// Flutterwave signs webhooks by echoing the secret hash set on the dashboard
+		webhook(req) {
+			if (
+				!process.env.FLW_SECRET_HASH ||
+				!safeEqual(req.headers["verif-hash"], process.env.FLW_SECRET_HASH)
+			)
+				return null;
+			const data = req.body.data || {};
+			return {
+				reference: data.tx_ref,
+				status:
+					data.status === "successful"
+						? "success"
+						: data.status === "failed"
+							? "failed"
+							: "pending",
+				amount: data.amount,
+				gateway_reference: data.id && String(data.id),
+			};
+		},
+	},
+	// Offline stand-in: checkout_url is a local page with Pay / Fail buttons
+	mock: {
+		async checkout(tx) {
+			mockGatewayState.set(tx.reference, {
+				status: "pending",
+				amount: tx.amount,
+			});
+			return {
+				checkout_url: `${API_URL}/api/payments/mock-gateway/${tx.reference}`,
+				gateway_reference: `mock-${tx.reference}`,
+			};
+		},
+		async verify(reference) {
+			const s = mockGatewayState.get(reference);
+			return {
+				status: s?.status || "abandoned",
+				amount: s?.amount || 0,
+				gateway_reference: `mock-${reference}`,
+			};
+		},
+		webhook(req) {
+			if (
+				!MOCK_GATEWAY_SECRET ||
+				!safeEqual(
+					req.headers["x-mock-signature"],
+					hmacSha512(MOCK_GATEWAY_SECRET, req.rawBody),
+				)
+			)
+				return null;
+			return req.body;
+		},
+	},
+};
+
+if (PAYMENT_GATEWAY && !Object.hasOwn(paymentGateways, PAYMENT_GATEWAY))
+	throw new Error(
+		`PAYMENT_GATEWAY must be one of ${Object.keys(paymentGateways).join(", ")}, or unset`,
+	);
+if (PAYMENT_GATEWAY === "mock" && !MOCK_GATEWAY_SECRET)
+	throw new Error("MOCK_GATEWAY_SECRET must be set when PAYMENT_GATEWAY=mock");
+
+// Where the gateway sends the tenant back after paying
+const checkoutCallbackUrl = () =>
+	process.env.PAYMENT_CALLBACK_URL ||
+	`${(process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "")}/portal/payment-complete`;
+
+async function startCheckout(
+	d,
+	t,
+	{ amount, charge_id, initiated_via, created_by },
+) {
+	const gateway = paymentGateways[PAYMENT_GATEWAY];
+	const reference = `EIQ-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+	const tx = {
+		reference,
+		amount: money(amount),
+		tenant_id: t.id,
+		tenant_name: t.tenant_name,
+		phone: t.phone,
+		email:
+			t.email || process.env.PAYMENT_FALLBACK_EMAIL || "payments@estateiq.ng",
+		callback_url: checkoutCallbackUrl(),
+	};
+	const { checkout_url, gateway_reference } = await gateway.checkout(tx);
+	const id = uuid();
+	await d.query(
+		`INSERT INTO payment_transactions (id,org_id,reference,tenant_id,amount,gateway,gateway_reference,checkout_url,charge_id,initiated_via,created_by)
+     VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+		[
+			id,
+			t.org_id,
+			reference,
+			t.id,
+			tx.amount,
+			PAYMENT_GATEWAY,
+			gateway_reference,
+			checkout_url,
+			charge_id || null,
+			initiated_via,
+			created_by || null,
+		],
+	);
+	return {
+		id,
+		reference,
+		amount: tx.amount,
+		gateway: PAYMENT_GATEWAY,
+		checkout_url,
+	};
+}
+
+// Applies a gateway outcome to a transaction. Safe to call any number of times
+// for the same reference: only the first success records a payment.
+async function applyGatewayResult(reference, result) {
+	const outcome = await withTransaction(async (conn) => {
+		const [[tx]] = await conn.query(
+			"SELECT * FROM payment_transactions WHERE reference=? FOR UPDATE",
+			[reference],
+		);
+		if (!tx) return { status: "unknown" };
+		if (tx.status === "success") return { status: "duplicate", tx };
+		if (result.status === "success") {
+			if (money(result.amount) !== money(tx.amount)) {
+				await conn.query(
+					"UPDATE payment_transactions SET status='failed',failure_reason=? WHERE id=?",
+					[`Amount mismatch: gateway reported ${result.amount}`, tx.id],
+				);
+				return { status: "failed", tx };
+			}
+			const paymentId = await recordPayment(conn, {
+				tenant_id: tx.tenant_id,
+				amount: tx.amount,
+				payment_method: "online",
+				reference: result.gateway_reference || tx.reference,
+				notes: `${tx.gateway} ${tx.reference}`,
+				charge_id: tx.charge_id,
+				recorded_by: tx.created_by,
+			});
+			await conn.query(
+				"UPDATE payment_transactions SET status='success',payment_id=?,gateway_reference=COALESCE(?,gateway_reference),verified_at=NOW() WHERE id=?",
+				[paymentId, result.gateway_reference || null, tx.id],
+			);
+			return { status: "success", tx, paymentId };
+		}
+		if (
+			["failed", "abandoned"].includes(result.status) &&
+			tx.status === "pending"
+		)
+			await conn.query(
+				"UPDATE payment_transactions SET status=?,failure_reason=?,verified_at=NOW() WHERE id=?",
+				[result.status, result.reason || null, tx.id],
+			);
+		return { status: result.status, tx };
+	});
+	if (outcome.paymentId) {
+		const d = await db();
+		notifyInBackground(() =>
+			notifyPaymentRecorded(
+				d,
+				outcome.paymentId,
+				null,
+				`${outcome.tx.gateway} checkout`,
+			),
+		);
+	}
+	return outcome;
+}
+
+// Asks the gateway about pending checkouts; ones it never completed within
+// ABANDON_AFTER_HOURS are marked abandoned. Staff reconcile their own
+// organisation's checkouts; the scheduler passes no orgId and does them all.
+async function reconcilePaymentTransactions(orgId) {
+	const d = await db();
+	const [pending] = await d.query(
+		`SELECT reference, gateway, created_at < NOW() - INTERVAL ? HOUR as stale
+     FROM payment_transactions WHERE status='pending' AND created_at < NOW() - INTERVAL 10 MINUTE
+     AND (? IS NULL OR org_id=?)`,
+		[ABANDON_AFTER_HOURS, orgId || null, orgId || null],
+	);
+	const counts = { success: 0, failed: 0, abandoned: 0, pending: 0, errors: 0 };
+	for (const tx of pending) {
+		try {
+			let result = await paymentGateways[tx.gateway].verify(tx.reference);
+			if (result.status === "pending" && tx.stale)
+				result = {
+					status: "abandoned",
+					reason: "No confirmation from gateway",
+				};
+			const { status } = await applyGatewayResult(tx.reference, result);
+			if (status in counts) counts[status]++;
+		} catch (e) {
+			counts.errors++;
+			console.error(`Reconcile ${tx.reference} failed:`, e.message);
+		}
+	}
+	return counts;
+}
+
+app.get(
+	"/api/payments/transactions",
+	auth(),
+	validate({
+		query: {
+			status: field.oneOf(["pending", "success", "failed", "abandoned"]),
+			tenant_id: field.id(),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { status, tenant_id } = req.query;
+			let sql = `SELECT x.*, t.tenant_name FROM payment_transactions x
+               LEFT JOIN tenants t ON x.tenant_id = t.id WHERE x.org_id=?`;
+			const p = [req.user.org_id];
+			if (status) {
+				sql += " AND x.status=?";
+				p.push(status);
+			}
+			if (tenant_id) {
+				sql += " AND x.tenant_id=?";
+				p.push(tenant_id);
+			}
+			sql += " ORDER BY x.created_at DESC LIMIT 200";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Checkout, payment links, reconciliation and the webhook exist only when a
+// gateway is configured; without one, payments are recorded by staff
+if (PAYMENT_GATEWAY) {
+	app.post(
+		"/api/portal/me/pay",
+		portalAuth,
+		validate({
+			body: {
+				amount: field.amount({ positive: true }),
+				charge_id: field.id(),
+			},
+		}),
+		audited("payment_transaction"),
+		async (req, res) => {
+			try {
+				const d = await db();
+				const [[t]] = await d.query(TENANT_SELECT + " WHERE t.id=?", [
+					req.portal.tenant_id,
+				]);
+				const amount = money(req.body.amount || t.balance);
+				if (amount <= 0)
+					return res.status(400).json({ error: "Nothing to pay" });
+				res.status(201).json(
+					await startCheckout(d, t, {
+						amount,
+						charge_id: req.body.charge_id,
+						initiated_via: "portal",
+					}),
+				);
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+
+	app.get("/api/portal/me/pay/:reference", portalAuth, async (req, res) => {
+		try {
+			const d = await db();
+			let [[tx]] = await d.query(
+				"SELECT * FROM payment_transactions WHERE reference=? AND tenant_id=?",
+				[req.params.reference, req.portal.tenant_id],
+			);
+			if (!tx) return res.status(404).json({ error: "Not found" });
+			// The tenant lands here from the gateway redirect, often before the webhook
+			if (tx.status === "pending") {
+				await applyGatewayResult(
+					tx.reference,
+					await paymentGateways[tx.gateway].verify(tx.reference),
+				);
+				[[tx]] = await d.query(
+					"SELECT * FROM payment_transactions WHERE id=?",
+					[tx.id],
+				);
+			}
+			const [[payment]] = tx.payment_id
+				? await d.query("SELECT id,receipt_number FROM payments WHERE id=?", [
+						tx.payment_id,
+					])
+				: [[]];
+			res.json({
+				reference: tx.reference,
+				amount: tx.amount,
+				status: tx.status,
+				receipt_number: payment?.receipt_number || null,
+				receipt_url: payment
+					? `/api/portal/me/payments/${payment.id}/receipt.pdf`
+					: null,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	});
+
+	// Staff-initiated payment link, optionally sent to the tenant straight away
+	app.post(
+		"/api/payments/links",
+		auth(),
+		can("payments:create"),
+		inScope("tenant", (req) => req.body.tenant_id),
+		validate({
+			body: {
+				tenant_id: field.id({ required: true }),
+				amount: field.amount({ positive: true }),
+				charge_id: field.id(),
+				channel: field.oneOf(MESSAGE_CHANNELS),
+			},
+		}),
+		audited("payment_transaction"),
+		async (req, res) => {
+			try {
+				const { tenant_id, charge_id, channel } = req.body;
+				const d = await db();
+				const [[t]] = await d.query(TENANT_SELECT + " WHERE t.id=?", [
+					tenant_id,
+				]);
+				if (!t) return res.status(400).json({ error: "Tenant not found" });
+				const amount = money(req.body.amount || t.balance);
+				if (amount <= 0)
+					return res.status(400).json({ error: "Nothing to pay" });
+				const org = await organisation(t.org_id);
+				const checkout = await startCheckout(d, t, {
+					amount,
+					charge_id,
+					initiated_via: "staff",
+					created_by: req.user.id,
+				});
+				const message = channel
+					? await sendMessage(d, {
+							org_id: t.org_id,
+							tenant_id: t.id,
+							tenant_name: t.tenant_name,
+							phone: t.whatsapp || t.phone,
+							email: t.email,
+							channel,
+							subject: "Pay your rent online",
+							message: `Dear ${t.tenant_name}, you can pay ${formatMoney(org, amount)} online here: ${checkout.checkout_url}`,
+							sent_by: req.user.id,
+						})
+					: null;
+				res.status(201).json({ ...checkout, message });
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+
+	app.post(
+		"/api/payments/transactions/reconcile",
+		auth(),
+		can("payments:reconcile"),
+		audited("payment_transaction", { action: "reconcile" }),
+		async (req, res) => {
+			try {
+				res.json(await reconcilePaymentTransactions(req.user.org_id));
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+
+	app.post(
+		"/api/payments/webhook/:gateway",
+		audited("payment_transaction", { action: "webhook", param: false }),
+		async (req, res) => {
+			try {
+				const gateway = paymentGateways[req.params.gateway];
+				if (!gateway) return res.status(404).json({ error: "Unknown gateway" });
+				const event = gateway.webhook(req);
+				if (!event) return res.status(401).json({ error: "Invalid signature" });
+				if (!event.reference) return res.json({ received: true });
+				// A gateway may only report on its own transactions, so a webhook
+				// signed by one cannot settle or abandon another's checkout
+				const [[tx]] = await (
+					await db()
+				).query("SELECT gateway FROM payment_transactions WHERE reference=?", [
+					event.reference,
+				]);
+				if (!tx) return res.json({ received: true, status: "unknown" });
+				if (tx.gateway !== req.params.gateway)
+					return res
+						.status(400)
+						.json({ error: "Transaction belongs to another gateway" });
+				// Never trust the webhook body alone: confirm with the gateway
+				const result =
+					event.status === "pending"
+						? event
+						: await paymentGateways[tx.gateway].verify(event.reference);
+				const { status } = await applyGatewayResult(event.reference, result);
+				res.json({ received: true, status });
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+}
+
+// ── Mock gateway checkout page (PAYMENT_GATEWAY=mock) ────────────────────────
+// Unauthenticated by design, so only mounted when mock is the configured gateway
+if (PAYMENT_GATEWAY === "mock") {
+	app.get("/api/payments/mock-gateway/:reference", async (req, res) => {
+		const s = mockGatewayState.get(req.params.reference);
+		if (!s) return res.status(404).send("Unknown checkout");
+		res.type("html").send(`<!doctype html><title>Mock checkout</title>
+<body style="font-family:sans-serif;max-width:360px;margin:40px auto">
+<h2>Mock payment gateway</h2>
+<p>Reference: ${req.params.reference}<br>Amount: ₦${money(s.amount).toLocaleString("en-NG")}</p>
+<form method="post"><button name="outcome" value="success">Pay</button>
+<button name="outcome" value="failed">Fail</button></form></body>`);
+	});
+
+	// Completing a mock checkout delivers a signed webhook, as a real gateway would
+	app.post(
+		"/api/payments/mock-gateway/:reference",
+		audited("payment_transaction", {
+			action: "mock_checkout",
+			param: "reference",
+			key: "reference",
+		}),
+		async (req, res) => {
+			try {
+				const { reference } = req.params;
+				const s = mockGatewayState.get(reference);
+				if (!s) return res.status(404).send("Unknown checkout");
+				s.status = req.body.outcome === "success" ? "success" : "failed";
+				const body = JSON.stringify({
+					reference,
+					status: s.status,
+					amount: s.amount,
+				});
+				const r = await fetch(`${API_URL}/api/payments/webhook/mock`, {
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						"x-mock-signature": hmacSha512(MOCK_GATEWAY_SECRET, body),
+					},
+					body,
+				}).catch((e) => ({ ok: false, statusText: e.message }));
+				if (!r.ok) console.error("Mock webhook delivery failed:", r.statusText);
+				res.redirect(`${checkoutCallbackUrl()}?reference=${reference}`);
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+}
+
+// ── RECEIPTS (PDF, rendered locally with pdfkit) ─────────────────────────────
+const ONES =
+	"Zero One Two Three Four Five Six Seven Eight Nine Ten Eleven Twelve Thirteen Fourteen Fifteen Sixteen Seventeen Eighteen Nineteen".split(
+		" ",
+	);
+const TENS = "  Twenty Thirty Forty Fifty Sixty Seventy Eighty Ninety".split(
+	" ",
+);
+const SCALES = ["", " Thousand", " Million", " Billion", " Trillion"];
+
+function wordsBelowThousand(n) {
+	const h = Math.floor(n / 100);
+	const r = n % 100;
+	const rest =
+		r < 20
+			? ONES[r]
+			: TENS[Math.floor(r / 10)] + (r % 10 ? "-" + ONES[r % 10] : "");
+	if (!h) return rest;
+	return `${ONES[h]} Hundred` + (r ? ` and ${rest}` : "");
+}
+
+function integerInWords(n) {
+	if (n === 0) return "Zero";
+	const groups = [];
+	for (let i = 0; n > 0; i++, n = Math.floor(n / 1000)) {
+		const g = n % 1000;
+		if (g) groups.unshift(wordsBelowThousand(g) + SCALES[i]);
+	}
+	// "One Thousand and Five", as written on Nigerian receipts
+	const last = groups.length - 1;
+	if (
+		last > 0 &&
+		!groups[last].includes("Hundred") &&
+		!SCALES.slice(1).some((s) => groups[last].endsWith(s))
+	)
+		groups[last] = "and " + groups[last];
+	return groups.join(" ");
+}
+
+// 480000.5 -> "Four Hundred and Eighty Thousand Naira, Fifty Kobo Only", in
+// the organisation's currency units
+function amountInWords(org, amount) {
+	const minor = Math.round(money(amount) * 100);
+	const major = Math.floor(minor / 100);
+	const m = minor % 100;
+	return (
+		`${integerInWords(major)} ${org.currency_unit}` +
+		(m ? `, ${integerInWords(m)} ${org.currency_subunit}` : "") +
+		" Only"
+	);
+}
+
+const formatAmount = (org, n) =>
+	`${org.currency_code} ` +
+	money(n).toLocaleString(org.currency_locale, {
+		minimumFractionDigits: 2,
+		maximumFractionDigits: 2,
+	});
+
+// Everything printed on a receipt. The period balance is as it stood when the
+// payment was recorded, so a reprint matches the original.
+async function receiptData(d, paymentId) {
+	const [[payment]] = await d.query(
+		`SELECT p.*, t.tenant_name, t.property_address, t.phone, t.email,
+            pr.name as property_name, pr.address as property_full_address,
+            u.name as recorded_by_name
+     FROM payments p
+     LEFT JOIN tenants t ON p.tenant_id = t.id
+     LEFT JOIN properties pr ON t.property_id = pr.id
+     LEFT JOIN users u ON p.recorded_by = u.id
+     WHERE p.id=?`,
+		[paymentId],
+	);
+	if (!payment) return null;
+	const [periods] = await d.query(
+		`SELECT c.id, c.description, c.period_start, c.period_end, c.amount,
+            SUM(a.amount) as applied,
+            c.amount - COALESCE((
+              SELECT SUM(x.amount) FROM ledger_entries x
+              WHERE x.applies_to = c.id AND x.created_at <= ?),0) as balance
+     FROM ledger_entries a JOIN ledger_entries c ON a.applies_to = c.id
+     WHERE a.payment_id=? GROUP BY c.id`,
+		[payment.created_at, paymentId],
+	);
+	return { ...payment, periods };
+}
+
+// The uploaded logo's bytes, else the RECEIPT_LOGO file; null when there is
+// neither or storage cannot supply it
+async function orgLogo(org) {
+	if (!org.logo_key) return org.logo_path;
+	try {
+		const stream = await storage().get(org.logo_key);
+		if (!stream) return null;
+		const chunks = [];
+		for await (const chunk of stream) chunks.push(chunk);
+		return Buffer.concat(chunks);
+	} catch (e) {
+		console.error("Logo load failed:", e.message);
+		return null;
+	}
+}
+
+async function writeReceiptPdf(res, r, org) {
+	const logo = await orgLogo(org);
+	const doc = new PDFDocument({ size: "A5", margin: 36 });
+	res.setHeader("Content-Type", "application/pdf");
+	res.setHeader(
+		"Content-Disposition",
+		`inline; filename="${r.receipt_number || "receipt"}.pdf"`,
+	);
+	doc.pipe(res);
+
+	const company = org.company_name;
+	if (logo) {
+		try {
+			doc.image(logo, 36, 30, { height: 40 });
+			doc.moveDown(2.5);
+		} catch {
+			// A missing or unreadable logo should not stop the receipt
+		}
+	}
+
+	doc.fontSize(16).font("Helvetica-Bold").text(company, { align: "center" });
+	doc.fontSize(8).font("Helvetica");
+	for (const line of [
+		org.address,
+		[org.phone, org.email].filter(Boolean).join("  |  "),
+	])
+		if (line) doc.text(line, { align: "center" });
+	doc.moveDown();
+	doc
+		.fontSize(13)
+		.font("Helvetica-Bold")
+		.text("RENT RECEIPT", { align: "center" });
+	doc.moveDown(0.5);
+
+	const row = (label, value) => {
+		const y = doc.y;
+		doc.fontSize(9).font("Helvetica-Bold").text(label, 36, y, { width: 110 });
+		doc.font("Helvetica").text(value || "-", 150, y, { width: 234 });
+		doc.moveDown(0.3);
+	};
+	row("Receipt No.", r.receipt_number);
+	row("Date", ymd(r.payment_date));
+	row("Received from", r.tenant_name);
+	row(
+		"Property",
+		[r.property_address, r.property_full_address].filter(Boolean).join(", "),
+	);
+	row("Amount", formatAmount(org, r.amount));
+	row("Amount in words", amountInWords(org, r.amount));
+	row("Payment method", String(r.payment_method || "").replace("_", " "));
+	row("Reference", r.reference);
+	for (const p of r.periods)
+		row(
+			`Balance: ${p.description || "period"}`,
+			formatAmount(org, Math.max(0, p.balance)),
+		);
+	if (r.notes) row("Notes", r.notes);
+	row("Recorded by", r.recorded_by_name);
+	if (r.status === "void")
+		row("Voided", `${ymd(r.voided_at)} ${r.void_reason || ""}`.trim());
+
+	doc.moveDown(2);
+	doc
+		.fontSize(7)
+		.fillColor("#666")
+		.text(
+			`Generated ${new Date().toLocaleString(org.currency_locale)} by ${company}`,
+			36,
+			doc.y,
+			{
+				align: "center",
+			},
+		);
+	if (r.status === "void")
+		doc
+			.save()
+			.rotate(-30, { origin: [210, 300] })
+			.fontSize(72)
+			.fillColor("#cc0000")
+			.opacity(0.25)
+			.text("VOID", 90, 260)
+			.restore();
+	doc.end();
+}
+
+app.get(
+	"/api/payments/:id/receipt.pdf",
+	auth(),
+	inScope("payment"),
+	async (req, res) => {
+		try {
+			const r = await receiptData(await db(), req.params.id);
+			if (!r) return res.status(404).json({ error: "Not found" });
+			await writeReceiptPdf(res, r, await organisation(r.org_id));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BANK STATEMENT IMPORT & RECONCILIATION
+// ─────────────────────────────────────────────────────────────────────────────
+// Credit lines from an uploaded statement are matched to tenants and proposed
+// to staff, who confirm (or correct) them in bulk; confirmed lines become
+// payments. Each line is stored under a hash of its contents, so re-uploading
+// an overlapping statement never posts the same credit twice.
+
+// Header names per field, for the common Nigerian bank export layouts.
+// The generic profile tries all of them.
+const BANK_PROFILES = {
+	gtbank: {
+		date: ["Trans. Date", "Trans Date", "Transaction Date"],
+		narration: ["Remarks", "Narration"],
+		credit: ["Credits", "Credit"],
+		debit: ["Debits", "Debit"],
+		reference: ["Reference"],
+		balance: ["Balance"],
+	},
+	access: {
+		date: ["Posted Date", "Transaction Date"],
+		narration: ["Description", "Narration"],
+		credit: ["Credit", "Credit Amount"],
+		debit: ["Debit", "Debit Amount"],
+		reference: ["Reference", "Transaction Reference"],
+		balance: ["Balance"],
+	},
+	zenith: {
+		date: ["Date Posted", "Value Date"],
+		narration: ["Description"],
+		credit: ["Credit"],
+		debit: ["Debit"],
+		reference: ["Reference"],
+		balance: ["Balance"],
+	},
+	firstbank: {
+		date: ["TransDate", "Trans Date"],
+		narration: ["Narration", "Details"],
+		credit: ["Credit", "Deposit"],
+		debit: ["Debit", "Withdrawal"],
+		reference: ["Reference"],
+		balance: ["Balance"],
+	},
+	uba: {
+		date: ["Tran Date", "Transaction Date"],
+		narration: ["Narration", "Narrative"],
+		credit: ["Credit", "Lodgement"],
+		debit: ["Debit"],
+		reference: ["Chq. No", "Reference"],
+		balance: ["Balance"],
+	},
+};
+BANK_PROFILES.generic = Object.fromEntries(
+	["date", "narration", "credit", "debit", "reference", "balance"].map((f) => [
+		f,
+		[
+			...new Set([
+				...Object.values(BANK_PROFILES).flatMap((p) => p[f]),
+				...({ date: ["Date"], narration: ["Details"], credit: ["Amount"] }[f] ||
+					[]),
+			]),
+		],
+	]),
+);
+
+const normHeader = (h) =>
+	String(h || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]/g, "");
+
+// Finds the header row (exports often start with account details) and the
+// column index of each field. mapping = { field: "Exact Header" } overrides.
+function locateStatementColumns(rows, profile, mapping = {}) {
+	for (let i = 0; i < Math.min(rows.length, 30); i++) {
+		const headers = rows[i].map(normHeader);
+		const cols = {};
+		for (const field of Object.keys(BANK_PROFILES.generic)) {
+			const names = mapping[field] ? [mapping[field]] : profile[field];
+			const idx = names
+				.map((n) => headers.indexOf(normHeader(n)))
+				.find((n) => n >= 0);
+			if (idx !== undefined) cols[field] = idx;
+		}
+		if (cols.date !== undefined && cols.credit !== undefined)
+			return { headerRow: i, cols };
+	}
+	return null;
+}
+
+const nameTokens = (s) =>
+	String(s || "")
+		.toUpperCase()
+		.split(/[^A-Z]+/)
+		.filter((w) => w.length > 2);
+
+// Scores one statement line against one tenant. Returns { score, reasons }.
+function scoreMatch(line, t) {
+	const text = `${line.narration} ${line.reference}`.toUpperCase();
+	const digits = text.replace(/\D/g, "");
+	const reasons = [];
+	let score = 0;
+	if (t.bank_reference && text.includes(t.bank_reference.toUpperCase())) {
+		score += 60;
+		reasons.push("reference");
+	}
+	for (const phone of [t.phone, t.whatsapp]) {
+		const last10 = (phone || "").replace(/\D/g, "").slice(-10);
+		if (last10.length === 10 && digits.includes(last10)) {
+			score += 50;
+			reasons.push("phone");
+			break;
+		}
+	}
+	const tokens = nameTokens(t.tenant_name);
+	const narration = new Set(nameTokens(text));
+	const hits = tokens.filter((w) => narration.has(w)).length;
+	if (tokens.length && hits) {
+		score += Math.round((40 * hits) / tokens.length);
+		reasons.push(`name ${hits}/${tokens.length}`);
+	}
+	const balance = money(t.balance);
+	if (balance > 0 && line.amount === balance) {
+		score += 30;
+		reasons.push("amount = balance");
+	} else if (line.amount === money(t.rent_per_annum)) {
+		score += 25;
+		reasons.push("amount = rent");
+	} else if (balance > 0 && line.amount < balance) {
+		score += 5;
+		reasons.push("amount within balance");
+	}
+	return { score: Math.min(score, 100), reasons };
+}
+
+const MIN_MATCH_SCORE = 40;
+
+function proposeMatches(line, tenants) {
+	return tenants
+		.map((t) => ({
+			tenant_id: t.id,
+			tenant_name: t.tenant_name,
+			balance: money(t.balance),
+			...scoreMatch(line, t),
+		}))
+		.filter((c) => c.score > 0)
+		.sort((a, b) => b.score - a.score)
+		.slice(0, 3);
+}
+
+app.get("/api/bank-statements/profiles", auth(), (req, res) => {
+	res.json(BANK_PROFILES);
+});
+
+app.post(
+	"/api/bank-statements/import",
+	auth(),
+	can("payments:reconcile"),
+	audited("bank_statement", { action: "import" }),
+	upload.single("file"),
+	validate({
+		body: {
+			profile: field.oneOf(Object.keys(BANK_PROFILES)),
+			mapping: field.text({ max: 5000 }),
+		},
+	}),
+	async (req, res) => {
+		try {
+			if (!req.file) return res.status(400).json({ error: "No file" });
+			const profileName = req.body.profile || "generic";
+			const profile = BANK_PROFILES[profileName];
+			let mapping = {};
+
+			try {
+				mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+			} catch {
+				return res.status(400).json({ error: "mapping must be JSON" });
+			}
+			const rows = parse(req.file.buffer.toString("utf8"), {
+				skip_empty_lines: true,
+				relax_column_count: true,
+				trim: true,
+				bom: true,
+			});
+			const located = locateStatementColumns(rows, profile, mapping);
+			if (!located)
+				return res.status(400).json({
+					error:
+						"Could not find date and credit columns. Pick a profile or send a column mapping",
+				});
+			const { headerRow, cols } = located;
+			const cell = (row, field) =>
+				cols[field] === undefined ? "" : row[cols[field]] || "";
+
+			const d = await db();
+			const scope = scopeFilter(req.user, "t.property_id");
+			const [tenants] = await d.query(
+				TENANT_SELECT + " WHERE t.org_id=?" + scope.sql,
+				[req.user.org_id, ...scope.params],
+			);
+			const importId = uuid();
+			const seen = {};
+			const lines = [];
+			let debits = 0;
+			let unreadable = 0;
+			for (const row of rows.slice(headerRow + 1)) {
+				const txn_date = parseDate(cell(row, "date"));
+				const amount = parseAmount(cell(row, "credit"));
+				if (!txn_date) {
+					unreadable++;
+					continue;
+				}
+				if (!amount || amount <= 0) {
+					debits++;
+					continue;
+				}
+				const line = {
+					txn_date,
+					amount,
+					narration: cell(row, "narration"),
+					reference: cell(row, "reference"),
+					balance: cell(row, "balance"),
+				};
+				// Identical lines within one file are told apart by occurrence
+				const key = [
+					txn_date,
+					amount,
+					line.narration,
+					line.reference,
+					line.balance,
+				].join("|");
+				seen[key] = (seen[key] || 0) + 1;
+				line.line_hash = hashToken(`${key}#${seen[key]}`);
+				lines.push(line);
+			}
+
+			await d.query(
+				"INSERT INTO bank_statement_imports (id,org_id,filename,profile,uploaded_by) VALUES (?,?,?,?,?)",
+				[
+					importId,
+					req.user.org_id,
+					req.file.originalname || "",
+					profileName,
+					req.user.id,
+				],
+			);
+			const created = [];
+			let duplicates = 0;
+			for (const line of lines) {
+				const candidates = proposeMatches(line, tenants);
+				const best =
+					candidates[0]?.score >= MIN_MATCH_SCORE ? candidates[0] : null;
+				const id = uuid();
+				const [r] = await d.query(
+					`INSERT IGNORE INTO bank_statement_lines
+           (id,org_id,import_id,line_hash,txn_date,amount,narration,reference,balance_text,status,proposed_tenant_id,match_score,candidates)
+           VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+					[
+						id,
+						req.user.org_id,
+						importId,
+						line.line_hash,
+						line.txn_date,
+						line.amount,
+						line.narration,
+						line.reference,
+						line.balance,
+						best ? "proposed" : "unmatched",
+						best?.tenant_id || null,
+						best?.score || null,
+						JSON.stringify(candidates),
+					],
+				);
+				if (!r.affectedRows) {
+					duplicates++;
+					continue;
+				}
+				created.push({
+					id,
+					...line,
+					status: best ? "proposed" : "unmatched",
+					proposed: best,
+					candidates,
+				});
+			}
+			await d.query(
+				"UPDATE bank_statement_imports SET credit_lines=?,new_lines=?,duplicate_lines=?,skipped_lines=? WHERE id=?",
+				[
+					lines.length,
+					created.length,
+					duplicates,
+					debits + unreadable,
+					importId,
+				],
+			);
+			res.status(201).json({
+				import_id: importId,
+				credit_lines: lines.length,
+				new_lines: created.length,
+				duplicate_lines: duplicates,
+				skipped_debits: debits,
+				unreadable_rows: unreadable,
+				proposed: created.filter((l) => l.proposed).length,
+				lines: created,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/bank-statements/imports",
+	auth(),
+	can("payments:reconcile"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				`SELECT i.*, u.name as uploaded_by_name,
+              (SELECT COUNT(*) FROM bank_statement_lines l WHERE l.import_id=i.id AND l.status='confirmed') as confirmed_lines
+       FROM bank_statement_imports i LEFT JOIN users u ON i.uploaded_by=u.id
+       WHERE i.org_id=? ORDER BY i.created_at DESC`,
+				[req.user.org_id],
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/bank-statements/lines",
+	auth(),
+	can("payments:reconcile"),
+	validate({
+		query: {
+			import_id: field.id(),
+			status: field.oneOf(["unmatched", "proposed", "confirmed", "ignored"]),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { import_id, status } = req.query;
+			let sql = `SELECT l.*, t.tenant_name as proposed_tenant_name FROM bank_statement_lines l
+               LEFT JOIN tenants t ON l.proposed_tenant_id=t.id WHERE l.org_id=?`;
+			const p = [req.user.org_id];
+			if (import_id) {
+				sql += " AND l.import_id=?";
+				p.push(import_id);
+			}
+			if (status) {
+				sql += " AND l.status=?";
+				p.push(status);
+			}
+			sql += " ORDER BY l.txn_date ASC, l.created_at ASC";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(
+				rows.map((r) => ({
+					...r,
+					candidates:
+						typeof r.candidates === "string"
+							? JSON.parse(r.candidates)
+							: r.candidates || [],
+				})),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Bulk confirm: { matches: [{ line_id, tenant_id?, charge_id? }] } where a
+// missing tenant_id accepts the proposal, or { import_id, accept_proposed: true }.
+app.post(
+	"/api/bank-statements/lines/confirm",
+	auth(),
+	can("payments:reconcile"),
+	validate({
+		body: {
+			matches: field.list(
+				field.object({
+					fields: {
+						line_id: field.id({ required: true }),
+						tenant_id: field.id(),
+						charge_id: field.id(),
+					},
+				}),
+			),
+			import_id: field.id(),
+			accept_proposed: field.boolean(),
+		},
+	}),
+	audited("bank_statement", { action: "confirm" }),
+	async (req, res) => {
+		try {
+			const d = await db();
+			let matches = req.body.matches || [];
+			if (
+				["1", "true", "yes"].includes(String(req.body.accept_proposed)) &&
+				req.body.import_id
+			) {
+				const [rows] = await d.query(
+					"SELECT id FROM bank_statement_lines WHERE import_id=? AND org_id=? AND status='proposed'",
+					[req.body.import_id, req.user.org_id],
+				);
+				matches = rows.map((r) => ({ line_id: r.id }));
+			}
+			if (!matches.length)
+				return res.status(400).json({ error: "No matches to confirm" });
+			const results = [];
+			for (const m of matches) {
+				try {
+					const result = await withTransaction(async (conn) => {
+						const [[line]] = await conn.query(
+							"SELECT * FROM bank_statement_lines WHERE id=? AND org_id=? FOR UPDATE",
+							[m.line_id, req.user.org_id],
+						);
+						if (!line) return { line_id: m.line_id, error: "Line not found" };
+						if (line.status === "confirmed")
+							return {
+								line_id: line.id,
+								error: "Already confirmed",
+								payment_id: line.payment_id,
+							};
+						const tenantId = m.tenant_id || line.proposed_tenant_id;
+						if (!tenantId)
+							return { line_id: line.id, error: "No tenant chosen" };
+						const [[t]] = await conn.query(
+							"SELECT property_id FROM tenants WHERE id=? AND org_id=?",
+							[tenantId, req.user.org_id],
+						);
+						if (!t || !inUserScope(req.user, t.property_id))
+							return { line_id: line.id, error: "Tenant not found" };
+						const paymentId = await recordPayment(conn, {
+							tenant_id: tenantId,
+							amount: line.amount,
+							payment_date: ymd(line.txn_date),
+							payment_method: "bank_transfer",
+							reference: (line.reference || "").slice(0, 100),
+							notes: line.narration,
+							charge_id: m.charge_id,
+							recorded_by: req.user.id,
+						});
+						if (!paymentId)
+							return { line_id: line.id, error: "Tenant not found" };
+						await conn.query(
+							"UPDATE bank_statement_lines SET status='confirmed',tenant_id=?,payment_id=?,confirmed_by=?,confirmed_at=NOW() WHERE id=?",
+							[tenantId, paymentId, req.user.id, line.id],
+						);
+						return {
+							line_id: line.id,
+							tenant_id: tenantId,
+							payment_id: paymentId,
+						};
+					});
+					if (result.payment_id && !result.error)
+						notifyInBackground(() =>
+							notifyPaymentRecorded(
+								d,
+								result.payment_id,
+								req.user.id,
+								req.user.name,
+							),
+						);
+					results.push(result);
+				} catch (e) {
+					results.push({ line_id: m.line_id, error: e.message });
+				}
+			}
+			res.json({
+				confirmed: results.filter((r) => !r.error).length,
+				failed: results.filter((r) => r.error).length,
+				results,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/bank-statements/lines/ignore",
+	auth(),
+	can("payments:reconcile"),
+	validate({
+		body: {
+			line_ids: field.list(field.id(), { required: true, min: 1 }),
+		},
+	}),
+	audited("bank_statement", { action: "ignore" }),
+	async (req, res) => {
+		try {
+			const { line_ids } = req.body;
+			const [r] = await (
+				await db()
+			).query(
+				"UPDATE bank_statement_lines SET status='ignored' WHERE id IN (?) AND org_id=? AND status != 'confirmed'",
+				[line_ids, req.user.org_id],
+			);
+			res.json({ ignored: r.affectedRows });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAINTENANCE — work orders with status history, comments, vendors and costs
+// ─────────────────────────────────────────────────────────────────────────────
+// Every status change is kept in maintenance_status_history. resolved_at is
+// stamped when a request is resolved and survives closing; reopening clears
+// it. A request can be assigned to a staff member, a vendor, or both.
+const MAINTENANCE_STATUSES = ["open", "in_progress", "resolved", "closed"];
+const MAINTENANCE_PRIORITIES = ["urgent", "high", "medium", "low"];
+const MAINTENANCE_CATEGORIES = [
+	"plumbing",
+	"electrical",
+	"structural",
+	"painting",
+	"security",
+	"cleaning",
+	"other",
+];
+
+// Hours to resolve each priority. MAINTENANCE_SLA_HOURS=urgent:24,high:72
+// overrides some or all of them.
+const MAINTENANCE_SLA_HOURS = { urgent: 24, high: 72, medium: 168, low: 336 };
+for (const pair of (process.env.MAINTENANCE_SLA_HOURS || "").split(",")) {
+	const [priority, hours] = pair.split(":").map((s) => s.trim());
+	if (priority in MAINTENANCE_SLA_HOURS && +hours > 0)
+		MAINTENANCE_SLA_HOURS[priority] = Math.round(+hours);
+}
+
+// Due time under the SLA; open and in-progress requests past it are overdue
+const MAINTENANCE_DUE_SQL = `TIMESTAMPADD(HOUR, CASE m.priority ${MAINTENANCE_PRIORITIES.map(
+	(p) => `WHEN '${p}' THEN ${MAINTENANCE_SLA_HOURS[p]}`,
+).join(" ")} END, m.created_at)`;
+const MAINTENANCE_OVERDUE_SQL = `(m.status IN ('open','in_progress') AND ${MAINTENANCE_DUE_SQL} < NOW())`;
+
+const MAINTENANCE_SELECT = `SELECT m.*, u.name as assigned_name, v.name as vendor_name,
+    ${MAINTENANCE_DUE_SQL} as due_at, ${MAINTENANCE_OVERDUE_SQL} as overdue
+  FROM maintenance m
+  LEFT JOIN users u ON m.assigned_to=u.id
+  LEFT JOIN vendors v ON m.vendor_id=v.id`;
+
+// actor: { type: "user" | "tenant", id }
+async function recordMaintenanceStatus(
+	d,
+	maintenanceId,
+	from,
+	to,
+	actor,
+	note,
+) {
+	await d.query(
+		"INSERT INTO maintenance_status_history (id,maintenance_id,from_status,to_status,actor_type,changed_by,note) VALUES (?,?,?,?,?,?,?)",
+		[
+			uuid(),
+			maintenanceId,
+			from || null,
+			to,
+			actor.type,
+			actor.id || null,
+			note || null,
+		],
+	);
+}
+
+// Costs can be cleared with null or ""
+const MAINTENANCE_FIELDS = {
+	title: field.text({ required: true }),
+	description: field.text({ max: 5000 }),
+	category: field.oneOf(MAINTENANCE_CATEGORIES),
+	priority: field.oneOf(MAINTENANCE_PRIORITIES),
+	assigned_to: field.id(),
+	vendor_id: field.id(),
+	estimated_cost: field.amount(),
+	actual_cost: field.amount(),
+};
+
+// Error message when assigned_to or vendor_id is not in the organisation
+async function assigneeError(d, orgId, { assigned_to, vendor_id }) {
+	if (assigned_to) {
+		const [[u]] = await d.query(
+			"SELECT id FROM users WHERE id=? AND org_id=? AND is_active=1",
+			[assigned_to, orgId],
+		);
+		if (!u) return "assigned_to user not found";
+	}
+	if (vendor_id) {
+		const [[v]] = await d.query(
+			"SELECT id FROM vendors WHERE id=? AND org_id=? AND is_active=1",
+			[vendor_id, orgId],
+		);
+		if (!v) return "vendor not found";
+	}
+	return null;
+}
+
+// By default the most urgent first, newest first within a priority
+const MAINTENANCE_LIST = {
+	sorts: {
+		priority: "FIELD(m.priority,'urgent','high','medium','low')",
+		created_at: "m.created_at",
+		due_at: "due_at",
+		status: "FIELD(m.status,'open','in_progress','resolved','closed')",
+		title: "m.title",
+	},
+	sort: "priority",
+	order: "asc",
+	then: "m.created_at DESC, m.id",
+};
+
+function maintenanceListQuery(query, user) {
+	const {
+		status,
+		priority,
+		category,
+		property_id,
+		tenant_id,
+		assigned_to,
+		vendor_id,
+		overdue,
+		from,
+		to,
+		search,
+	} = query;
+	const scope = scopeFilter(user, "m.property_id");
+	let sql = MAINTENANCE_SELECT + " WHERE m.org_id=?" + scope.sql;
+	const p = [user.org_id, ...scope.params];
+	if (status) {
+		sql += " AND m.status=?";
+		p.push(status);
+	}
+	if (priority) {
+		sql += " AND m.priority=?";
+		p.push(priority);
+	}
+	if (assigned_to) {
+		sql += " AND m.assigned_to=?";
+		p.push(assigned_to);
+	}
+	if (vendor_id) {
+		sql += " AND m.vendor_id=?";
+		p.push(vendor_id);
+	}
+	if (["1", "true", "yes"].includes(String(overdue)))
+		sql += ` AND ${MAINTENANCE_OVERDUE_SQL}`;
+	if (category) {
+		sql += " AND m.category=?";
+		p.push(category);
+	}
+	if (property_id) {
+		sql += " AND m.property_id=?";
+		p.push(property_id);
+	}
+	if (tenant_id) {
+		sql += " AND m.tenant_id=?";
+		p.push(tenant_id);
+	}
+	if (from) {
+		sql += " AND m.created_at >= ?";
+		p.push(from);
+	}
+	if (to) {
+		sql += " AND m.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+		p.push(to);
+	}
+	if (search) {
+		sql +=
+			" AND (m.title LIKE ? OR m.description LIKE ? OR m.tenant_name LIKE ?)";
+		const l = `%${search}%`;
+		p.push(l, l, l);
+	}
+	sql += orderBy(MAINTENANCE_LIST, query);
+	return { sql, params: p };
+}
+
+const MAINTENANCE_LIST_QUERY = {
+	status: field.oneOf(MAINTENANCE_STATUSES),
+	priority: field.oneOf(MAINTENANCE_PRIORITIES),
+	category: field.oneOf(MAINTENANCE_CATEGORIES),
+	property_id: field.id(),
+	tenant_id: field.id(),
+	assigned_to: field.id(),
+	vendor_id: field.id(),
+	overdue: field.boolean(),
+	...DATE_RANGE,
+	search: field.text(),
+	...sortQuery(MAINTENANCE_LIST),
+};
+
+app.get(
+	"/api/maintenance",
+	auth(),
+	validate({ query: { ...MAINTENANCE_LIST_QUERY, ...PAGE_QUERY } }),
+	async (req, res) => {
+		try {
+			res.json(
+				await paginate(
+					await db(),
+					maintenanceListQuery(req.query, req.user),
+					MAINTENANCE_LIST,
+					req.query,
+				),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/maintenance/sla", auth(), (req, res) => {
+	res.json(MAINTENANCE_SLA_HOURS);
+});
+
+// The request with its status history and comments
+app.get(
+	"/api/maintenance/:id",
+	auth(),
+	inScope("maintenance"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[row]] = await d.query(MAINTENANCE_SELECT + " WHERE m.id=?", [
+				req.params.id,
+			]);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			const [history] = await d.query(
+				`SELECT h.*, u.name as changed_by_name FROM maintenance_status_history h
+       LEFT JOIN users u ON h.actor_type='user' AND h.changed_by=u.id
+       WHERE h.maintenance_id=? ORDER BY h.created_at, h.id`,
+				[row.id],
+			);
+			const [comments] = await d.query(
+				`SELECT c.*, u.name as user_name FROM maintenance_comments c
+       LEFT JOIN users u ON c.user_id=u.id
+       WHERE c.maintenance_id=? ORDER BY c.created_at, c.id`,
+				[row.id],
+			);
+			const [attachments] = await d.query(
+				"SELECT * FROM maintenance_attachments WHERE maintenance_id=? ORDER BY created_at",
+				[row.id],
+			);
+			res.json({
+				...row,
+				history,
+				comments,
+				attachments: attachments.map((a) => attachmentUrls(a)),
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/maintenance",
+	auth(),
+	can("maintenance:manage"),
+	validate({
+		body: {
+			...MAINTENANCE_FIELDS,
+			tenant_id: field.id(),
+			tenant_name: field.text(),
+			property_address: field.text(),
+			property_id: field.id(),
+		},
+	}),
+	audited("maintenance"),
+	async (req, res) => {
+		try {
+			const {
+				tenant_id,
+				tenant_name,
+				property_address,
+				category,
+				title,
+				description,
+				priority,
+				assigned_to,
+				vendor_id,
+				estimated_cost,
+			} = req.body;
+			const d = await db();
+			const assignError = await assigneeError(d, req.user.org_id, req.body);
+			if (assignError) return res.status(400).json({ error: assignError });
+			// The tenant's property wins; a property_id is needed for common areas
+			const [[t]] = tenant_id
+				? await d.query(
+						"SELECT property_id FROM tenants WHERE id=? AND org_id=?",
+						[tenant_id, req.user.org_id],
+					)
+				: [[]];
+			if (tenant_id && !t)
+				return res.status(400).json({ error: "Tenant not found" });
+			const propertyId = t?.property_id || req.body.property_id || null;
+			if (!inUserScope(req.user, propertyId))
+				return res
+					.status(403)
+					.json({ error: "That property is not assigned to you" });
+			if (!t && propertyId) {
+				const [[property]] = await d.query(
+					"SELECT id FROM properties WHERE id=? AND org_id=?",
+					[propertyId, req.user.org_id],
+				);
+				if (!property)
+					return res.status(400).json({ error: "Property not found" });
+			}
+			const id = uuid();
+			await d.query(
+				`INSERT INTO maintenance (id,org_id,tenant_id,tenant_name,property_address,property_id,category,title,description,priority,assigned_to,vendor_id,estimated_cost)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+				[
+					id,
+					req.user.org_id,
+					tenant_id || null,
+					tenant_name || "",
+					property_address || "",
+					propertyId,
+					category || "other",
+					title,
+					description || "",
+					priority || "medium",
+					assigned_to || null,
+					vendor_id || null,
+					estimated_cost || estimated_cost === 0 ? money(estimated_cost) : null,
+				],
+			);
+			await recordMaintenanceStatus(d, id, null, "open", {
+				type: "user",
+				id: req.user.id,
+			});
+			const [[row]] = await d.query(MAINTENANCE_SELECT + " WHERE m.id=?", [id]);
+			notifyInBackground(async () =>
+				notify(
+					d,
+					(
+						await notificationRecipients(
+							d,
+							req.user.org_id,
+							[],
+							row.property_id,
+						)
+					).filter((u) => u !== req.user.id),
+					{
+						org_id: req.user.org_id,
+						type: "maintenance",
+						title: `New ${row.priority} maintenance request`,
+						message: `${row.title}${row.property_address ? ` at ${row.property_address}` : ""}`,
+						tenant_id: row.tenant_id,
+						dedupe_key: `maintenance:${id}`,
+					},
+				),
+			);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Partial update: only the fields sent change. A note goes into the status
+// history alongside a status change.
+app.patch(
+	"/api/maintenance/:id",
+	auth(),
+	can("maintenance:manage"),
+	inScope("maintenance"),
+	validate({
+		body: {
+			...partial(MAINTENANCE_FIELDS),
+			status: field.oneOf(MAINTENANCE_STATUSES, { notBlank: true }),
+			priority: field.oneOf(MAINTENANCE_PRIORITIES, { notBlank: true }),
+			category: field.oneOf(MAINTENANCE_CATEGORIES, { notBlank: true }),
+			note: field.text({ max: 5000 }),
+		},
+	}),
+	audited("maintenance"),
+	async (req, res) => {
+		try {
+			const { status, note } = req.body;
+			const d = await db();
+			const assignError = await assigneeError(d, req.user.org_id, req.body);
+			if (assignError) return res.status(400).json({ error: assignError });
+			const [[before]] = await d.query("SELECT * FROM maintenance WHERE id=?", [
+				req.params.id,
+			]);
+			if (!before) return res.status(404).json({ error: "Not found" });
+
+			const set = {};
+			for (const k of ["title", "category", "priority"])
+				if (k in req.body) set[k] = req.body[k];
+			if ("description" in req.body)
+				set.description = req.body.description || "";
+			for (const k of ["assigned_to", "vendor_id"])
+				if (k in req.body) set[k] = req.body[k] || null;
+			for (const k of ["estimated_cost", "actual_cost"])
+				if (k in req.body)
+					set[k] =
+						req.body[k] === null || req.body[k] === ""
+							? null
+							: money(req.body[k]);
+			const statusChanged = "status" in req.body && status !== before.status;
+			if (statusChanged) {
+				set.status = status;
+				if (status === "resolved") set.resolved_at = new Date();
+				if (status === "closed") set.closed_at = new Date();
+				if (status === "open" || status === "in_progress")
+					Object.assign(set, { resolved_at: null, closed_at: null });
+			}
+			if (Object.keys(set).length)
+				await d.query("UPDATE maintenance SET ? WHERE id=?", [
+					set,
+					req.params.id,
+				]);
+			if (statusChanged)
+				await recordMaintenanceStatus(
+					d,
+					before.id,
+					before.status,
+					status,
+					{ type: "user", id: req.user.id },
+					note,
+				);
+			const [[row]] = await d.query(MAINTENANCE_SELECT + " WHERE m.id=?", [
+				req.params.id,
+			]);
+			if (row.assigned_to && row.assigned_to !== before.assigned_to)
+				notifyInBackground(() =>
+					notify(d, [row.assigned_to], {
+						org_id: row.org_id,
+						type: "maintenance",
+						title: "Maintenance request assigned to you",
+						message: `${row.title}${row.property_address ? ` at ${row.property_address}` : ""}`,
+						tenant_id: row.tenant_id,
+						dedupe_key: `maintenance_assigned:${row.id}:${row.assigned_to}`,
+					}),
+				);
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/maintenance/:id/comments",
+	auth(),
+	can("maintenance:manage"),
+	inScope("maintenance"),
+	validate({ body: { body: field.text({ required: true, max: 5000 }) } }),
+	audited("maintenance", { action: "comment" }),
+	async (req, res) => {
+		try {
+			const body = String(req.body.body).trim();
+			const d = await db();
+			const [[m]] = await d.query("SELECT id FROM maintenance WHERE id=?", [
+				req.params.id,
+			]);
+			if (!m) return res.status(404).json({ error: "Not found" });
+			const id = uuid();
+			await d.query(
+				"INSERT INTO maintenance_comments (id,maintenance_id,user_id,body) VALUES (?,?,?,?)",
+				[id, m.id, req.user.id, body],
+			);
+			const [[row]] = await d.query(
+				`SELECT c.*, u.name as user_name FROM maintenance_comments c
+       LEFT JOIN users u ON c.user_id=u.id WHERE c.id=?`,
+				[id],
+			);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Charges a cost to the tenant's ledger as an other_fee, once per request.
+// { amount, description } both optional: amount defaults to actual_cost.
+app.post(
+	"/api/maintenance/:id/bill",
+	auth(),
+	can("tenants:edit_financials"),
+	inScope("maintenance"),
+	validate({
+		body: {
+			amount: field.amount({ positive: true }),
+			description: field.text(),
+		},
+	}),
+	audited("maintenance", { action: "bill" }),
+	async (req, res) => {
+		try {
+			const d = await db();
+			let chargeId;
+			const error = await withTransaction(async (conn) => {
+				const [[m]] = await conn.query(
+					"SELECT * FROM maintenance WHERE id=? FOR UPDATE",
+					[req.params.id],
+				);
+				if (!m) return "Not found";
+				if (!m.tenant_id) return "Request has no tenant to bill";
+				if (m.billed_charge_id) return "Request has already been billed";
+				const amount = money(req.body.amount ?? m.actual_cost);
+				if (amount <= 0) return "amount required (or set actual_cost first)";
+				chargeId = await postLedgerEntry(conn, {
+					tenant_id: m.tenant_id,
+					entry_type: "charge",
+					category: "other_fee",
+					description: req.body.description || `Maintenance: ${m.title}`,
+					amount,
+					created_by: req.user.id,
+				});
+				await conn.query(
+					"UPDATE maintenance SET billed_charge_id=? WHERE id=?",
+					[chargeId, m.id],
+				);
+				await settleLedger(conn, m.tenant_id);
+				return null;
+			});
+			if (error)
+				return res.status(error === "Not found" ? 404 : 400).json({ error });
+			const [[charge]] = await d.query(
+				"SELECT * FROM ledger_entries WHERE id=?",
+				[chargeId],
+			);
+			res.status(201).json(charge);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── ATTACHMENTS (photos and PDFs, with thumbnails for images) ────────────────
+const ATTACHMENT_TYPES = [
+	"image/jpeg",
+	"image/png",
+	"image/webp",
+	"application/pdf",
+];
+const ATTACHMENT_MAX_FILES = 10;
+const attachmentUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: (+process.env.ATTACHMENT_MAX_MB || 10) * 1024 * 1024,
+		files: ATTACHMENT_MAX_FILES,
+	},
+	fileFilter: (req, file, cb) =>
+		ATTACHMENT_TYPES.includes(file.mimetype)
+			? cb(null, true)
+			: cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)),
+});
+
+const attachmentUrls = (a, base = "/api/maintenance-attachments") => ({
+	...a,
+	url: `${base}/${a.id}/download`,
+	thumbnail_url: a.thumbnail_key ? `${base}/${a.id}/thumbnail` : null,
+});
+
+// Makes the thumbnails up front, so an image that cannot be read fails the
+// upload (with err.status 400) before anything is stored
+async function prepareAttachments(files = []) {
+	const prepared = [];
+	for (const file of files) {
+		let thumbnail = null;
+		if (file.mimetype.startsWith("image/"))
+			try {
+				thumbnail = await sharp(file.buffer)
+					.rotate()
+					.resize(320, 320, { fit: "inside", withoutEnlargement: true })
+					.jpeg({ quality: 75 })
+					.toBuffer();
+			} catch {
+				const err = new Error(`${file.originalname} is not a readable image`);
+				err.status = 400;
+				throw err;
+			}
+		prepared.push({ file, thumbnail, id: uuid() });
+	}
+	return prepared;
+}
+
+// Stores prepared files and returns their maintenance_attachments rows
+async function saveMaintenanceAttachments(d, maintenanceId, prepared, extra) {
+	const saved = [];
+	for (const { file, thumbnail, id } of prepared) {
+		const dir = `maintenance/${maintenanceId}`;
+		const key = `${dir}/${id}${path.extname(file.originalname || "").toLowerCase()}`;
+		const thumbKey = thumbnail ? `${dir}/${id}.thumb.jpg` : null;
+		await storage().put(key, file.buffer, file.mimetype);
+		if (thumbnail) await storage().put(thumbKey, thumbnail, "image/jpeg");
+		await d.query(
+			"INSERT INTO maintenance_attachments (id,maintenance_id,filename,mime_type,size,storage_key,thumbnail_key,uploaded_via,uploaded_by) VALUES (?,?,?,?,?,?,?,?,?)",
+			[
+				id,
+				maintenanceId,
+				file.originalname || id,
+				file.mimetype,
+				file.size,
+				key,
+				thumbKey,
+				extra.uploaded_via,
+				extra.uploaded_by || null,
+			],
+		);
+		const [[row]] = await d.query(
+			"SELECT * FROM maintenance_attachments WHERE id=?",
+			[id],
+		);
+		saved.push(row);
+	}
+	return saved;
+}
+
+async function removeStoredAttachment(a) {
+	await removeStoredFile(a.storage_key);
+	await removeStoredFile(a.thumbnail_key);
+}
+
+app.get(
+	"/api/maintenance/:id/attachments",
+	auth(),
+	inScope("maintenance"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				"SELECT * FROM maintenance_attachments WHERE maintenance_id=? ORDER BY created_at",
+				[req.params.id],
+			);
+			res.json(rows.map((a) => attachmentUrls(a)));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// multipart: files (up to ATTACHMENT_MAX_FILES images or PDFs)
+app.post(
+	"/api/maintenance/:id/attachments",
+	auth(),
+	can("maintenance:manage"),
+	inScope("maintenance"),
+	audited("maintenance", { action: "attach" }),
+	attachmentUpload.array("files", ATTACHMENT_MAX_FILES),
+	async (req, res) => {
+		try {
+			if (!req.files?.length)
+				return res.status(400).json({ error: "No files uploaded" });
+			const d = await db();
+			const [[m]] = await d.query("SELECT id FROM maintenance WHERE id=?", [
+				req.params.id,
+			]);
+			if (!m) return res.status(404).json({ error: "Not found" });
+			const prepared = await prepareAttachments(req.files);
+			const saved = await saveMaintenanceAttachments(d, m.id, prepared, {
+				uploaded_via: "staff",
+				uploaded_by: req.user.id,
+			});
+			res.status(201).json(saved.map((a) => attachmentUrls(a)));
+		} catch (e) {
+			res.status(e.status || 500).json({ error: e.message });
+		}
+	},
+);
+
+for (const [route, thumb] of [
+	["download", false],
+	["thumbnail", true],
+])
+	app.get(
+		`/api/maintenance-attachments/:id/${route}`,
+		auth(),
+		inScope("maintenance_attachment"),
+		async (req, res) => {
+			try {
+				const [[a]] = await (
+					await db()
+				).query("SELECT * FROM maintenance_attachments WHERE id=?", [
+					req.params.id,
+				]);
+				if (!a || (thumb && !a.thumbnail_key))
+					return res.status(404).json({ error: "Not found" });
+				await sendStoredFile(
+					res,
+					thumb ? a.thumbnail_key : a.storage_key,
+					thumb ? { ...a, mime_type: "image/jpeg" } : a,
+					thumb || req.query.inline === "1",
+				);
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+
+app.delete(
+	"/api/maintenance-attachments/:id",
+	auth(),
+	can("maintenance:manage"),
+	inScope("maintenance_attachment"),
+	audited("maintenance_attachment"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[a]] = await d.query(
+				"SELECT * FROM maintenance_attachments WHERE id=?",
+				[req.params.id],
+			);
+			if (!a) return res.status(404).json({ error: "Not found" });
+			await d.query("DELETE FROM maintenance_attachments WHERE id=?", [a.id]);
+			await removeStoredAttachment(a);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/maintenance/:id",
+	auth(),
+	can("maintenance:delete"),
+	inScope("maintenance"),
+	audited("maintenance"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [attachments] = await d.query(
+				"SELECT * FROM maintenance_attachments WHERE maintenance_id=?",
+				[req.params.id],
+			);
+			await d.query("DELETE FROM maintenance WHERE id=?", [req.params.id]);
+			for (const a of attachments) await removeStoredAttachment(a);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── VENDORS (contractors assigned to maintenance alongside staff) ────────────
+const VENDOR_FIELDS = {
+	name: field.text({ required: true }),
+	trade: field.text({ max: 100 }),
+	phone: field.text({ max: 50 }),
+	email: field.email(),
+	notes: field.text({ max: 5000 }),
+	is_active: field.boolean(),
+};
+
+app.get(
+	"/api/vendors",
+	auth(),
+	validate({ query: { trade: field.text(), active: field.boolean() } }),
+	async (req, res) => {
+		try {
+			const { trade, active } = req.query;
+			let sql = "SELECT * FROM vendors WHERE org_id=?";
+			const p = [req.user.org_id];
+			if (trade) {
+				sql += " AND trade=?";
+				p.push(trade);
+			}
+			if (active !== undefined) {
+				sql += " AND is_active=?";
+				p.push(["1", "true", "yes"].includes(String(active)) ? 1 : 0);
+			}
+			sql += " ORDER BY name";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/vendors",
+	auth(),
+	can("maintenance:manage"),
+	validate({ body: VENDOR_FIELDS }),
+	audited("vendor"),
+	async (req, res) => {
+		try {
+			const { name, trade, phone, email, notes } = req.body;
+			const id = uuid();
+			const d = await db();
+			await d.query(
+				"INSERT INTO vendors (id,org_id,name,trade,phone,email,notes,created_by) VALUES (?,?,?,?,?,?,?,?)",
+				[
+					id,
+					req.user.org_id,
+					name,
+					trade || null,
+					phone || "",
+					email || "",
+					notes || "",
+					req.user.id,
+				],
+			);
+			const [[row]] = await d.query("SELECT * FROM vendors WHERE id=?", [id]);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/vendors/:id",
+	auth(),
+	can("maintenance:manage"),
+	inScope("vendor"),
+	validate({ body: VENDOR_FIELDS }),
+	audited("vendor"),
+	async (req, res) => {
+		try {
+			const { name, trade, phone, email, notes, is_active } = req.body;
+			const d = await db();
+			await d.query(
+				"UPDATE vendors SET name=?,trade=?,phone=?,email=?,notes=?,is_active=? WHERE id=?",
+				[
+					name,
+					trade || null,
+					phone || "",
+					email || "",
+					notes || "",
+					blank(is_active) || ["1", "true", "yes"].includes(String(is_active)),
+					req.params.id,
+				],
+			);
+			const [[row]] = await d.query("SELECT * FROM vendors WHERE id=?", [
+				req.params.id,
+			]);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Vendors with work orders are kept for the history; deactivate them instead
+app.delete(
+	"/api/vendors/:id",
+	auth(),
+	can("maintenance:delete"),
+	inScope("vendor"),
+	audited("vendor"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[{ n }]] = await d.query(
+				"SELECT COUNT(*) as n FROM maintenance WHERE vendor_id=?",
+				[req.params.id],
+			);
+			if (n)
+				return res.status(400).json({
+					error: `Vendor has ${n} maintenance request(s); deactivate it instead`,
+				});
+			await d.query("DELETE FROM vendors WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPENSES — money paid out per property, and the profit & loss report
+// ─────────────────────────────────────────────────────────────────────────────
+const EXPENSE_CATEGORIES = [
+	"repairs",
+	"cleaning",
+	"security",
+	"levies",
+	"agent_fees",
+	"utilities",
+	"insurance",
+	"other",
+];
+
+const EXPENSE_SELECT = `SELECT e.*, p.name as property_name, v.name as vendor_name, m.title as maintenance_title
+  FROM expenses e
+  JOIN properties p ON e.property_id=p.id
+  LEFT JOIN vendors v ON e.vendor_id=v.id
+  LEFT JOIN maintenance m ON e.maintenance_id=m.id`;
+
+function expenseListQuery(
+	{ property_id, category, vendor_id, maintenance_id, from, to },
+	user,
+) {
+	const scope = scopeFilter(user, "e.property_id");
+	let sql = EXPENSE_SELECT + " WHERE e.org_id=?" + scope.sql;
+	const p = [user.org_id, ...scope.params];
+	if (property_id) {
+		sql += " AND e.property_id=?";
+		p.push(property_id);
+	}
+	if (category) {
+		sql += " AND e.category=?";
+		p.push(category);
+	}
+	if (vendor_id) {
+		sql += " AND e.vendor_id=?";
+		p.push(vendor_id);
+	}
+	if (maintenance_id) {
+		sql += " AND e.maintenance_id=?";
+		p.push(maintenance_id);
+	}
+	if (from) {
+		sql += " AND e.expense_date >= ?";
+		p.push(from);
+	}
+	if (to) {
+		sql += " AND e.expense_date <= ?";
+		p.push(to);
+	}
+	sql += " ORDER BY e.expense_date DESC, e.created_at DESC";
+	return { sql, params: p };
+}
+
+const EXPENSE_FIELDS = {
+	property_id: field.id({ required: true }),
+	maintenance_id: field.id(),
+	vendor_id: field.id(),
+	category: field.oneOf(EXPENSE_CATEGORIES),
+	description: field.text({ max: 500 }),
+	amount: field.amount({ required: true, positive: true }),
+	expense_date: field.date(),
+	reference: field.text({ max: 100 }),
+	notes: field.text({ max: 5000 }),
+};
+
+// Error message when what the expense points at is wrong. The property must
+// be in the organisation; a linked maintenance request must be for the same
+// property.
+async function expenseError(d, orgId, body) {
+	const { property_id, vendor_id } = body;
+	const [[property]] = await d.query(
+		"SELECT id FROM properties WHERE id=? AND org_id=?",
+		[property_id, orgId],
+	);
+	if (!property) return "Property not found";
+	if (body.maintenance_id) {
+		const [[m]] = await d.query(
+			"SELECT property_id FROM maintenance WHERE id=? AND org_id=?",
+			[body.maintenance_id, orgId],
+		);
+		if (!m) return "Maintenance request not found";
+		if (m.property_id && m.property_id !== property_id)
+			return "Maintenance request is for a different property";
+	}
+	if (vendor_id) {
+		const [[v]] = await d.query(
+			"SELECT id FROM vendors WHERE id=? AND org_id=?",
+			[vendor_id, orgId],
+		);
+		if (!v) return "vendor not found";
+	}
+	return null;
+}
+
+const expenseValues = (b) => [
+	b.property_id,
+	b.maintenance_id || null,
+	b.vendor_id || null,
+	b.category || "other",
+	b.description || "",
+	money(b.amount),
+	parseDate(b.expense_date) || ymd(new Date()),
+	b.reference || null,
+	b.notes || "",
+];
+
+async function storeExpenseReceipt(expenseId, file) {
+	const key = `expenses/${expenseId}/${uuid()}${path.extname(file.originalname || "").toLowerCase()}`;
+	await storage().put(key, file.buffer, file.mimetype);
+	return [key, file.originalname || "receipt", file.mimetype];
+}
+
+const EXPENSE_LIST_QUERY = {
+	property_id: field.id(),
+	category: field.oneOf(EXPENSE_CATEGORIES),
+	vendor_id: field.id(),
+	maintenance_id: field.id(),
+	...DATE_RANGE,
+};
+
+app.get(
+	"/api/expenses",
+	auth(),
+	validate({ query: EXPENSE_LIST_QUERY }),
+	async (req, res) => {
+		try {
+			const { sql, params } = expenseListQuery(req.query, req.user);
+			const [rows] = await (await db()).query(sql, params);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/expenses/categories", auth(), (req, res) => {
+	res.json(EXPENSE_CATEGORIES);
+});
+
+app.get("/api/expenses/:id", auth(), inScope("expense"), async (req, res) => {
+	try {
+		const [[row]] = await (
+			await db()
+		).query(EXPENSE_SELECT + " WHERE e.id=?", [req.params.id]);
+		if (!row) return res.status(404).json({ error: "Not found" });
+		res.json(row);
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// JSON, or multipart with the same fields plus the receipt scan in `receipt`
+app.post(
+	"/api/expenses",
+	auth(),
+	can("expenses:manage"),
+	audited("expense"),
+	documentUpload.single("receipt"),
+	validate({ body: EXPENSE_FIELDS }),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const error = await expenseError(d, req.user.org_id, req.body);
+			if (error) return res.status(400).json({ error });
+			if (!inUserScope(req.user, req.body.property_id))
+				return res
+					.status(403)
+					.json({ error: "That property is not assigned to you" });
+			const id = uuid();
+			const receipt = req.file
+				? await storeExpenseReceipt(id, req.file)
+				: [null, null, null];
+			await d.query(
+				`INSERT INTO expenses (id,org_id,property_id,maintenance_id,vendor_id,category,description,amount,expense_date,reference,notes,receipt_key,receipt_filename,receipt_mime_type,recorded_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+				[
+					id,
+					req.user.org_id,
+					...expenseValues(req.body),
+					...receipt,
+					req.user.id,
+				],
+			);
+			const [[row]] = await d.query(EXPENSE_SELECT + " WHERE e.id=?", [id]);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// A new `receipt` file replaces the old one; remove_receipt=1 drops it
+app.put(
+	"/api/expenses/:id",
+	auth(),
+	can("expenses:manage"),
+	inScope("expense"),
+	audited("expense"),
+	documentUpload.single("receipt"),
+	validate({
+		body: { ...EXPENSE_FIELDS, remove_receipt: field.boolean() },
+	}),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[current]] = await d.query("SELECT * FROM expenses WHERE id=?", [
+				req.params.id,
+			]);
+			if (!current) return res.status(404).json({ error: "Not found" });
+			const error = await expenseError(d, req.user.org_id, req.body);
+			if (error) return res.status(400).json({ error });
+			if (!inUserScope(req.user, req.body.property_id))
+				return res
+					.status(403)
+					.json({ error: "That property is not assigned to you" });
+			const dropReceipt = ["1", "true", "yes"].includes(
+				String(req.body.remove_receipt),
+			);
+			let receipt = [
+				current.receipt_key,
+				current.receipt_filename,
+				current.receipt_mime_type,
+			];
+			if (req.file) receipt = await storeExpenseReceipt(current.id, req.file);
+			else if (dropReceipt) receipt = [null, null, null];
+			await d.query(
+				`UPDATE expenses SET property_id=?,maintenance_id=?,vendor_id=?,category=?,description=?,amount=?,expense_date=?,reference=?,notes=?,
+         receipt_key=?,receipt_filename=?,receipt_mime_type=? WHERE id=?`,
+				[...expenseValues(req.body), ...receipt, current.id],
+			);
+			if (current.receipt_key !== receipt[0])
+				await removeStoredFile(current.receipt_key);
+			const [[row]] = await d.query(EXPENSE_SELECT + " WHERE e.id=?", [
+				current.id,
+			]);
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/expenses/:id",
+	auth(),
+	can("expenses:manage"),
+	inScope("expense"),
+	audited("expense"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[current]] = await d.query(
+				"SELECT receipt_key FROM expenses WHERE id=?",
+				[req.params.id],
+			);
+			if (!current) return res.status(404).json({ error: "Not found" });
+			await d.query("DELETE FROM expenses WHERE id=?", [req.params.id]);
+			await removeStoredFile(current.receipt_key);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/expenses/:id/receipt",
+	auth(),
+	inScope("expense"),
+	async (req, res) => {
+		try {
+			const [[row]] = await (
+				await db()
+			).query("SELECT * FROM expenses WHERE id=?", [req.params.id]);
+			if (!row?.receipt_key)
+				return res.status(404).json({ error: "No receipt uploaded" });
+			await sendStoredFile(
+				res,
+				row.receipt_key,
+				{ mime_type: row.receipt_mime_type, filename: row.receipt_filename },
+				req.query.inline === "1",
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── PROFIT & LOSS ────────────────────────────────────────────────────────────
+// GET /api/reports/pnl?property_id=&from=&to=&format=json|csv&naira=1
+// Income is every active payment (rent, service charge and fees as collected),
+// counted against the tenant's property; expenses by expense_date. Payments
+// of tenants with no property are reported under property_id null.
+async function profitAndLoss(user, { property_id, from, to }) {
+	const d = await db();
+	const incomeScope = scopeFilter(user, "t.property_id");
+	const expenseScope = scopeFilter(user, "e.property_id");
+	let incomeSql = `SELECT DATE_FORMAT(p.payment_date,'%Y-%m') as month, t.property_id, SUM(p.amount) as amount
+    FROM payments p JOIN tenants t ON p.tenant_id=t.id
+    WHERE p.org_id=? AND p.status='active'${incomeScope.sql}`;
+	const incomeParams = [user.org_id, ...incomeScope.params];
+	let expenseSql = `SELECT DATE_FORMAT(e.expense_date,'%Y-%m') as month, e.property_id, e.category, SUM(e.amount) as amount
+    FROM expenses e WHERE e.org_id=?${expenseScope.sql}`;
+	const expenseParams = [user.org_id, ...expenseScope.params];
+	if (property_id) {
+		incomeSql += " AND t.property_id=?";
+		expenseSql += " AND e.property_id=?";
+	}
+	if (from) {
+		incomeSql += " AND p.payment_date >= ?";
+		expenseSql += " AND e.expense_date >= ?";
+	}
+	if (to) {
+		incomeSql += " AND p.payment_date <= ?";
+		expenseSql += " AND e.expense_date <= ?";
+	}
+	const filters = [property_id, from, to].filter(Boolean);
+	incomeParams.push(...filters);
+	expenseParams.push(...filters);
+	const [income] = await d.query(
+		incomeSql + " GROUP BY month, t.property_id",
+		incomeParams,
+	);
+	const [expenses] = await d.query(
+		expenseSql + " GROUP BY month, e.property_id, e.category",
+		expenseParams,
+	);
+	const [properties] = await d.query(
+		"SELECT id, name FROM properties WHERE org_id=?",
+		[user.org_id],
+	);
+	const names = new Map(properties.map((p) => [p.id, p.name]));
+	const line = (extra) => ({ ...extra, income: 0, expenses: 0 });
+	const rows = new Map();
+	const byMonth = new Map();
+	const byProperty = new Map();
+	const byCategory = {};
+	const totals = line({});
+	const add = (month, propertyId, field, amount) => {
+		const key = `${month}|${propertyId}`;
+		if (!rows.has(key))
+			rows.set(
+				key,
+				line({
+					month,
+					property_id: propertyId,
+					property_name: names.get(propertyId) || "Unassigned",
+				}),
+			);
+		if (!byMonth.has(month)) byMonth.set(month, line({ month }));
+		if (!byProperty.has(propertyId))
+			byProperty.set(
+				propertyId,
+				line({
+					property_id: propertyId,
+					property_name: names.get(propertyId) || "Unassigned",
+				}),
+			);
+		for (const t of [
+			rows.get(key),
+			byMonth.get(month),
+			byProperty.get(propertyId),
+			totals,
+		])
+			t[field] = money(t[field] + Number(amount));
+	};
+	for (const r of income) add(r.month, r.property_id, "income", r.amount);
+	for (const r of expenses) {
+		add(r.month, r.property_id, "expenses", r.amount);
+		byCategory[r.category] = money((byCategory[r.category] || 0) + +r.amount);
+	}
+	const withNoi = (t) => ({
+		...t,
+		net_operating_income: money(t.income - t.expenses),
+	});
+	return {
+		from: from || null,
+		to: to || null,
+		property_id: property_id || null,
+		rows: [...rows.values()]
+			.sort(
+				(a, b) =>
+					a.month.localeCompare(b.month) ||
+					a.property_name.localeCompare(b.property_name),
+			)
+			.map(withNoi),
+		by_month: [...byMonth.values()]
+			.sort((a, b) => a.month.localeCompare(b.month))
+			.map(withNoi),
+		by_property: [...byProperty.values()]
+			.sort((a, b) => a.property_name.localeCompare(b.property_name))
+			.map(withNoi),
+		expenses_by_category: byCategory,
+		totals: withNoi(totals),
+	};
+}
+
+app.get(
+	"/api/reports/pnl",
+	auth(),
+	validate({
+		query: {
+			property_id: field.id(),
+			...DATE_RANGE,
+			format: field.oneOf(["json", "csv"]),
+			naira: field.boolean(),
+		},
+	}),
+	async (req, res) => {
+		const format = req.query.format || "json";
+		try {
+			const report = await profitAndLoss(req.user, {
+				property_id: req.query.property_id,
+				from: req.query.from && parseDate(req.query.from),
+				to: req.query.to && parseDate(req.query.to),
+			});
+			if (format === "json") return res.json(report);
+			const naira = ["1", "true", "yes"].includes(String(req.query.naira));
+			const org = naira && (await organisation(req.user.org_id));
+			const cell = (v) => exportCell(v, "money", "csv", org);
+			const filename = `pnl-${report.from || "start"}-to-${report.to || ymd(new Date())}.csv`;
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			res.setHeader(
+				"Content-Disposition",
+				`attachment; filename="${filename}"`,
+			);
+			let out =
+				"\uFEFF" +
+				csvLine([
+					"Month",
+					"Property",
+					"Income",
+					"Expenses",
+					"Net operating income",
+				]);
+			for (const r of report.rows)
+				out += csvLine([
+					r.month,
+					r.property_name,
+					cell(r.income),
+					cell(r.expenses),
+					cell(r.net_operating_income),
+				]);
+			const t = report.totals;
+			out += csvLine([
+				"Total",
+				"",
+				cell(t.income),
+				cell(t.expenses),
+				cell(t.net_operating_income),
+			]);
+			res.send(out);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OWNERS — landlords we manage for: commission, statements and remittances
+// ─────────────────────────────────────────────────────────────────────────────
+// Each property carries its owner and our management commission: a
+// percentage of the rent collected, or a flat fee for every month in which
+// rent was collected. What an owner is due is rent collected less commission
+// and the property's expenses; remittances are what we have paid them. Figures
+// are worked out from payments and expenses each time, for the properties the
+// owner holds now.
+const COMMISSION_TYPES = ["percentage", "flat"];
+const REMITTANCE_METHODS = ["bank_transfer", "cash", "cheque"];
+
+const commissionFor = (property, income) => {
+	if (!income || !property.commission_type) return 0;
+	return property.commission_type === "percentage"
+		? money((income * property.commission_rate) / 100)
+		: money(property.commission_rate);
+};
+
+const dayBefore = (date) => {
+	const [y, m, d] = date.split("-");
+	return ymd(new Date(+y, m - 1, +d - 1));
+};
+
+// Per-property income, commission, expenses and net over an optional
+// from/to range (inclusive)
+async function ownerEarnings(d, properties, { from, to } = {}) {
+	if (!properties.length) return [];
+	const ids = properties.map((p) => p.id);
+	let incomeSql = `SELECT t.property_id, DATE_FORMAT(p.payment_date,'%Y-%m') as month, SUM(p.amount) as amount
+    FROM payments p JOIN tenants t ON p.tenant_id=t.id
+    WHERE p.status='active' AND t.property_id IN (?)`;
+	let expenseSql =
+		"SELECT property_id, SUM(amount) as amount FROM expenses WHERE property_id IN (?)";
+	const params = [ids];
+	if (from) {
+		incomeSql += " AND p.payment_date >= ?";
+		expenseSql += " AND expense_date >= ?";
+		params.push(from);
+	}
+	if (to) {
+		incomeSql += " AND p.payment_date <= ?";
+		expenseSql += " AND expense_date <= ?";
+		params.push(to);
+	}
+	const [income] = await d.query(
+		incomeSql + " GROUP BY t.property_id, month",
+		params,
+	);
+	const [expenses] = await d.query(
+		expenseSql + " GROUP BY property_id",
+		params,
+	);
+	const lines = new Map(
+		properties.map((p) => [
+			p.id,
+			{
+				property_id: p.id,
+				property_name: p.name,
+				owner_id: p.owner_id,
+				commission_type: p.commission_type,
+				commission_rate: p.commission_rate,
+				income: 0,
+				commission: 0,
+				expenses: 0,
+			},
+		]),
+	);
+	for (const r of income) {
+		const line = lines.get(r.property_id);
+		line.income = money(line.income + +r.amount);
+		line.commission = money(
+			line.commission + commissionFor(line, Number(r.amount)),
+		);
+	}
+	for (const r of expenses)
+		lines.get(r.property_id).expenses = money(+r.amount);
+	return [...lines.values()].map((l) => ({
+		...l,
+		net: money(l.income - l.commission - l.expenses),
+	}));
+}
+
+const sumOf = (rows, key) => money(rows.reduce((s, r) => s + +r[key], 0));
+
+async function remittedTotal(d, ownerId, { from, to } = {}) {
+	let sql =
+		"SELECT COALESCE(SUM(amount),0) as total FROM owner_remittances WHERE owner_id=?";
+	const params = [ownerId];
+	if (from) {
+		sql += " AND remitted_on >= ?";
+		params.push(from);
+	}
+	if (to) {
+		sql += " AND remitted_on <= ?";
+		params.push(to);
+	}
+	const [[{ total }]] = await d.query(sql, params);
+	return money(total);
+}
+
+// { owner_id: { net_earned, remitted, balance } } for the organisation
+async function ownerBalances(d, orgId) {
+	const [properties] = await d.query(
+		"SELECT id, name, owner_id, commission_type, commission_rate FROM properties WHERE org_id=? AND owner_id IS NOT NULL",
+		[orgId],
+	);
+	const [remitted] = await d.query(
+		"SELECT owner_id, SUM(amount) as total FROM owner_remittances WHERE org_id=? GROUP BY owner_id",
+		[orgId],
+	);
+	const balances = {};
+	const entry = (id) =>
+		(balances[id] ||= { net_earned: 0, remitted: 0, balance: 0 });
+	for (const l of await ownerEarnings(d, properties))
+		entry(l.owner_id).net_earned = money(entry(l.owner_id).net_earned + l.net);
+	for (const r of remitted) entry(r.owner_id).remitted = money(r.total);
+	for (const b of Object.values(balances))
+		b.balance = money(b.net_earned - b.remitted);
+	return balances;
+}
+
+const ownerProperties = async (d, ownerId) =>
+	(
+		await d.query(
+			"SELECT id, name, owner_id, commission_type, commission_rate FROM properties WHERE owner_id=? ORDER BY name",
+			[ownerId],
+		)
+	)[0];
+
+const OWNER_FIELDS = {
+	name: field.text({ required: true }),
+	phone: field.text({ max: 20 }),
+	email: field.email(),
+	address: field.text({ max: 1000 }),
+	bank_name: field.text({ max: 100 }),
+	bank_account_name: field.text(),
+	bank_account_number: field.text({ max: 20 }),
+	notes: field.text({ max: 5000 }),
+	is_active: field.boolean(),
+};
+
+const ownerValues = (b) => [
+	b.name,
+	b.phone || "",
+	b.email || "",
+	b.address || "",
+	b.bank_name || "",
+	b.bank_account_name || "",
+	b.bank_account_number || "",
+	b.notes || "",
+];
+
+app.get("/api/owners", auth(), async (req, res) => {
+	try {
+		const d = await db();
+		const [rows] = await d.query(
+			`SELECT o.*, (SELECT COUNT(*) FROM properties p WHERE p.owner_id=o.id) as property_count
+       FROM owners o WHERE o.org_id=? ORDER BY o.name`,
+			[req.user.org_id],
+		);
+		const balances = await ownerBalances(d, req.user.org_id);
+		res.json(
+			rows.map((o) => ({
+				...o,
+				...(balances[o.id] || { net_earned: 0, remitted: 0, balance: 0 }),
+			})),
+		);
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+app.get("/api/owners/:id", auth(), inScope("owner"), async (req, res) => {
+	try {
+		const d = await db();
+		const [[owner]] = await d.query("SELECT * FROM owners WHERE id=?", [
+			req.params.id,
+		]);
+		if (!owner) return res.status(404).json({ error: "Not found" });
+		const earnings = await ownerEarnings(d, await ownerProperties(d, owner.id));
+		const netEarned = sumOf(earnings, "net");
+		const remitted = await remittedTotal(d, owner.id);
+		res.json({
+			...owner,
+			properties: earnings,
+			net_earned: netEarned,
+			remitted,
+			balance: money(netEarned - remitted),
+		});
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+app.post(
+	"/api/owners",
+	auth(),
+	can("owners:manage"),
+	validate({ body: OWNER_FIELDS }),
+	audited("owner"),
+	async (req, res) => {
+		try {
+			const id = uuid();
+			const d = await db();
+			await d.query(
+				`INSERT INTO owners (id,org_id,name,phone,email,address,bank_name,bank_account_name,bank_account_number,notes,created_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+				[id, req.user.org_id, ...ownerValues(req.body), req.user.id],
+			);
+			const [[row]] = await d.query("SELECT * FROM owners WHERE id=?", [id]);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/owners/:id",
+	auth(),
+	can("owners:manage"),
+	inScope("owner"),
+	validate({ body: OWNER_FIELDS }),
+	audited("owner"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			await d.query(
+				`UPDATE owners SET name=?,phone=?,email=?,address=?,bank_name=?,bank_account_name=?,bank_account_number=?,notes=?,is_active=?
+       WHERE id=?`,
+				[
+					...ownerValues(req.body),
+					blank(req.body.is_active) ||
+						["1", "true", "yes"].includes(String(req.body.is_active)),
+					req.params.id,
+				],
+			);
+			const [[row]] = await d.query("SELECT * FROM owners WHERE id=?", [
+				req.params.id,
+			]);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Owners with properties or remittances are kept for the history
+app.delete(
+	"/api/owners/:id",
+	auth(),
+	can("owners:manage"),
+	inScope("owner"),
+	audited("owner"),
+	async (req, res) => {
+		try {
+			const d = await db();
+			const [[{ properties, remittances }]] = await d.query(
+				`SELECT (SELECT COUNT(*) FROM properties WHERE owner_id=?) as properties,
+                (SELECT COUNT(*) FROM owner_remittances WHERE owner_id=?) as remittances`,
+				[req.params.id, req.params.id],
+			);
+			if (properties || remittances)
+				return res.status(400).json({
+					error: `Owner has ${properties} property(ies) and ${remittances} remittance(s); deactivate it instead`,
+				});
+			await d.query("DELETE FROM owners WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// { owner_id, commission_type, commission_rate }; owner_id null detaches
+app.put(
+	"/api/properties/:id/owner",
+	auth(),
+	can("owners:manage"),
+	inScope("property"),
+	validate({
+		body: {
+			owner_id: field.id(),
+			commission_type: field.oneOf(COMMISSION_TYPES),
+			commission_rate: field.amount(),
+		},
+	}),
+	audited("property"),
+	async (req, res) => {
+		try {
+			const { owner_id, commission_type, commission_rate } = req.body;
+			const rate = +(commission_rate || 0);
+			if (commission_type === "percentage" && rate > 100)
+				return res.status(400).json(
+					validationError([
+						{
+							field: "commission_rate",
+							message: "must be at most 100 for a percentage",
+						},
+					]),
+				);
+			const d = await db();
+			if (owner_id) {
+				const [[owner]] = await d.query(
+					"SELECT id FROM owners WHERE id=? AND org_id=?",
+					[owner_id, req.user.org_id],
+				);
+				if (!owner) return res.status(400).json({ error: "Owner not found" });
+			}
+			await d.query(
+				"UPDATE properties SET owner_id=?,commission_type=?,commission_rate=? WHERE id=?",
+				[
+					owner_id || null,
+					owner_id ? commission_type || null : null,
+					owner_id && commission_type ? money(rate) : 0,
+					req.params.id,
+				],
+			);
+			const [[row]] = await d.query(
+				PROPERTY_SELECT + " WHERE p.id=? GROUP BY p.id",
+				[req.params.id],
+			);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// GET /api/owners/:id/statement?from=&to= — opening balance, each property's
+// collections less commission and expenses, remittances in the period and
+// the closing balance still owed to the owner
+app.get(
+	"/api/owners/:id/statement",
+	auth(),
+	can("owners:manage"),
+	inScope("owner"),
+	validate({ query: DATE_RANGE }),
+	async (req, res) => {
+		const from = req.query.from ? parseDate(req.query.from) : null;
+		const to = req.query.to ? parseDate(req.query.to) : ymd(new Date());
+		if (from && from > to)
+			return res.status(400).json({ error: "from must be before to" });
+		try {
+			const d = await db();
+			const [[owner]] = await d.query("SELECT * FROM owners WHERE id=?", [
+				req.params.id,
+			]);
+			if (!owner) return res.status(404).json({ error: "Not found" });
+			const properties = await ownerProperties(d, owner.id);
+			const before = from && { to: dayBefore(from) };
+			const opening = before
+				? money(
+						sumOf(await ownerEarnings(d, properties, before), "net") -
+							(await remittedTotal(d, owner.id, before)),
+					)
+				: 0;
+			const lines = await ownerEarnings(d, properties, { from, to });
+			let sql =
+				"SELECT * FROM owner_remittances WHERE owner_id=? AND remitted_on <= ?";
+			const params = [owner.id, to];
+			if (from) {
+				sql += " AND remitted_on >= ?";
+				params.push(from);
+			}
+			const [remittances] = await d.query(
+				sql + " ORDER BY remitted_on",
+				params,
+			);
+			const totals = {
+				income: sumOf(lines, "income"),
+				commission: sumOf(lines, "commission"),
+				expenses: sumOf(lines, "expenses"),
+				net_due: sumOf(lines, "net"),
+				remitted: sumOf(remittances, "amount"),
+			};
+			res.json({
+				owner,
+				from,
+				to,
+				opening_balance: opening,
+				properties: lines,
+				remittances,
+				totals,
+				closing_balance: money(opening + totals.net_due - totals.remitted),
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── REMITTANCES (money paid over to owners) ──────────────────────────────────
+app.get(
+	"/api/owners/:id/remittances",
+	auth(),
+	can("owners:manage"),
+	inScope("owner"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				"SELECT * FROM owner_remittances WHERE owner_id=? ORDER BY remitted_on DESC, created_at DESC",
+				[req.params.id],
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/owners/:id/remittances",
+	auth(),
+	can("owners:manage"),
+	inScope("owner"),
+	validate({
+		body: {
+			amount: field.amount({ required: true, positive: true }),
+			remitted_on: field.date(),
+			method: field.oneOf(REMITTANCE_METHODS),
+			reference: field.text({ max: 100 }),
+			notes: field.text({ max: 5000 }),
+		},
+	}),
+	audited("owner_remittance", { param: false }),
+	async (req, res) => {
+		try {
+			const { amount, remitted_on, method, reference, notes } = req.body;
+			const d = await db();
+			const [[owner]] = await d.query("SELECT id FROM owners WHERE id=?", [
+				req.params.id,
+			]);
+			if (!owner) return res.status(404).json({ error: "Not found" });
+			const id = uuid();
+			await d.query(
+				`INSERT INTO owner_remittances (id,org_id,owner_id,amount,remitted_on,method,reference,notes,recorded_by)
+       VALUES (?,?,?,?,?,?,?,?,?)`,
+				[
+					id,
+					req.user.org_id,
+					owner.id,
+					money(amount),
+					parseDate(remitted_on) || ymd(new Date()),
+					method || "bank_transfer",
+					reference || null,
+					notes || "",
+					req.user.id,
+				],
+			);
+			const [[row]] = await d.query(
+				"SELECT * FROM owner_remittances WHERE id=?",
+				[id],
+			);
+			res.status(201).json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/owner-remittances/:id",
+	auth(),
+	can("owners:manage"),
+	inScope("owner_remittance"),
+	audited("owner_remittance"),
+	async (req, res) => {
+		try {
+			const [r] = await (
+				await db()
+			).query("DELETE FROM owner_remittances WHERE id=?", [req.params.id]);
+			if (!r.affectedRows) return res.status(404).json({ error: "Not found" });
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOTIFICATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+// ── NOTIFICATION JOB ─────────────────────────────────────────────────────────
+// Runs daily at NOTIFY_HOUR (and on demand) and turns the conditions behind
+// /api/alerts into notifications. Each notification carries a dedupe_key, so
+// re-running the job (or running it on two instances) never doubles up.
+const NOTIFY = {
+	leaseDays: (process.env.NOTIFY_LEASE_DAYS || "60,30,7")
+		.split(",")
+		.map(Number)
+		.filter((n) => n > 0)
+		.sort((a, b) => a - b),
+	dueDays: +(process.env.NOTIFY_DUE_DAYS ?? 7),
+	overdueDays: +(process.env.NOTIFY_OVERDUE_DAYS ?? 7),
+	hour: +(process.env.NOTIFY_HOUR ?? 7),
+};
+// Last run per organisation
+const lastNotificationRun = new Map();
+
+// The organisation's admins and managers, plus any extra user ids (e.g. the
+// tenant's creator). Managers only when they can see propertyId (every
+// manager when omitted).
+async function notificationRecipients(d, orgId, extra = [], propertyId) {
+	const [rows] = await d.query(
+		`SELECT u.id FROM users u WHERE u.org_id=? AND u.is_active=1 AND (u.role='admin' OR (u.role='manager' AND (
+       ? OR u.all_properties=1
+       OR EXISTS (SELECT 1 FROM user_properties up WHERE up.user_id=u.id AND up.property_id=?))))`,
+		[orgId, propertyId === undefined, propertyId ?? null],
+	);
+	return [...new Set([...rows.map((u) => u.id), ...extra.filter(Boolean)])];
+}
+
+// For notifications that follow a write the client is told about. The write
+// has committed by then, so a failure is logged instead of becoming a 500,
+// which would invite a retry (and, for a payment, a duplicate).
+function notifyInBackground(send) {
+	send().catch((e) => console.error("Notification failed:", e.message));
+}
+
+// Inserts one row per recipient; returns how many were new
+async function notify(d, userIds, n) {
+	let created = 0;
+	for (const userId of userIds) {
+		const [r] = await d.query(
+			"INSERT IGNORE INTO notifications (id,org_id,type,title,message,tenant_id,user_id,dedupe_key) VALUES (?,?,?,?,?,?,?,?)",
+			[
+				uuid(),
+				n.org_id,
+				n.type,
+				n.title,
+				n.message || "",
+				n.tenant_id || null,
+				userId,
+				n.dedupe_key || null,
+			],
+		);
+		created += r.affectedRows;
+	}
+	return created;
+}
+
+// Runs for one organisation; the scheduler goes through each in turn
+async function runNotificationJob(orgId) {
+	const d = await db();
+	const org = await organisation(orgId);
+	const counts = {
+		rent_due: 0,
+		rent_overdue: 0,
+		lease_expiry: 0,
+		quit_notice: 0,
+	};
+	const staffByProperty = new Map();
+	const to = async (t) => {
+		if (!staffByProperty.has(t.property_id))
+			staffByProperty.set(
+				t.property_id,
+				await notificationRecipients(d, orgId, [], t.property_id),
+			);
+		return [
+			...new Set(
+				[...staffByProperty.get(t.property_id), t.created_by].filter(Boolean),
+			),
+		];
+	};
+
+	const [charges] = await d.query(
+		`SELECT c.id, c.tenant_id, c.description, c.entry_date,
+            DATEDIFF(CURDATE(), c.entry_date) as days_since,
+            t.tenant_name, t.property_address, t.property_id, t.created_by,
+            c.amount - COALESCE((SELECT SUM(a.amount) FROM ledger_entries a WHERE a.applies_to = c.id),0) as outstanding
+     FROM ledger_entries c JOIN tenants t ON c.tenant_id = t.id
+     WHERE c.entry_type='charge' AND t.org_id=?
+     HAVING outstanding > 0`,
+		[orgId],
+	);
+	for (const c of charges) {
+		const owed = formatMoney(org, c.outstanding);
+		if (c.days_since >= NOTIFY.overdueDays)
+			counts.rent_overdue += await notify(d, await to(c), {
+				org_id: orgId,
+				type: "rent_overdue",
+				title: `Rent overdue: ${c.tenant_name}`,
+				message: `${c.description} for ${c.property_address} is ${c.days_since} days overdue. ${owed} outstanding.`,
+				tenant_id: c.tenant_id,
+				dedupe_key: `rent_overdue:${c.id}`,
+			});
+		else if (c.days_since >= -NOTIFY.dueDays)
+			counts.rent_due += await notify(d, await to(c), {
+				org_id: orgId,
+				type: "rent_due",
+				title: `Rent due: ${c.tenant_name}`,
+				message: `${c.description} for ${c.property_address} is due on ${ymd(c.entry_date)}. ${owed} outstanding.`,
+				tenant_id: c.tenant_id,
+				dedupe_key: `rent_due:${c.id}`,
+			});
+	}
+
+	const maxLeaseDays = Math.max(0, ...NOTIFY.leaseDays);
+	const [expiring] = await d.query(
+		`SELECT id, tenant_name, property_address, property_id, lease_end, created_by,
+            DATEDIFF(lease_end, CURDATE()) as days_remaining
+     FROM tenants WHERE org_id=? AND lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)`,
+		[orgId, maxLeaseDays],
+	);
+	for (const t of expiring) {
+		// The tightest threshold reached, so 60/30/7 each notify once per lease
+		const threshold = NOTIFY.leaseDays.find((n) => t.days_remaining <= n);
+		counts.lease_expiry += await notify(d, await to(t), {
+			org_id: orgId,
+			type: "lease_expiry",
+			title: `Lease expiring: ${t.tenant_name}`,
+			message: `Lease for ${t.property_address} ends on ${ymd(t.lease_end)} (${t.days_remaining} days).`,
+			tenant_id: t.id,
+			dedupe_key: `lease_expiry:${t.id}:${ymd(t.lease_end)}:${threshold}`,
+		});
+	}
+
+	const [quits] = await d.query(
+		"SELECT id, tenant_name, property_address, property_id, quit_notice_date, created_by FROM tenants WHERE org_id=? AND quit_notice = 1",
+		[orgId],
+	);
+	for (const t of quits)
+		counts.quit_notice += await notify(d, await to(t), {
+			org_id: orgId,
+			type: "quit_notice",
+			title: `Quit notice: ${t.tenant_name}`,
+			message: `${t.tenant_name} (${t.property_address}) served a quit notice${t.quit_notice_date ? ` on ${ymd(t.quit_notice_date)}` : ""}.`,
+			tenant_id: t.id,
+			dedupe_key: `quit_notice:${t.id}:${ymd(t.quit_notice_date) || "undated"}`,
+		});
+
+	lastNotificationRun.set(orgId, { at: new Date(), created: counts });
+	return counts;
+}
+
+async function runNotificationJobs() {
+	const [orgs] = await (
+		await db()
+	).query("SELECT id FROM organisations WHERE is_active=1");
+	const counts = {};
+	for (const { id } of orgs) counts[id] = await runNotificationJob(id);
+	return counts;
+}
+
+function scheduleNotificationJob() {
+	if (process.env.NOTIFY_SCHEDULER === "off") return;
+	const now = new Date();
+	const next = new Date(now);
+	next.setHours(NOTIFY.hour, 0, 0, 0);
+	if (next <= now) next.setDate(next.getDate() + 1);
+	setTimeout(async () => {
+		try {
+			const counts = await runNotificationJobs();
+			console.log("Notification job:", counts);
+		} catch (e) {
+			console.error("Notification job failed:", e.message);
+		}
+		scheduleNotificationJob();
+	}, next - now);
+}
+
+app.post(
+	"/api/notifications/run",
+	auth(["admin"]),
+	audited("notification", { action: "run" }),
+	async (req, res) => {
+		try {
+			res.json({
+				created: await runNotificationJob(req.user.org_id),
+				config: NOTIFY,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/notifications/job", auth(["admin"]), (req, res) => {
+	res.json({
+		config: NOTIFY,
+		last_run: lastNotificationRun.get(req.user.org_id) || null,
+	});
+});
+
+const NOTIFICATION_TYPES = [
+	"rent_due",
+	"rent_overdue",
+	"lease_expiry",
+	"quit_notice",
+	"maintenance",
+	"payment",
+	"system",
+];
+
+const NOTIFICATION_LIST = {
+	sorts: { created_at: "created_at", type: "type" },
+	sort: "created_at",
+	order: "desc",
+	then: "id",
+};
+
+const NOTIFICATION_LIST_QUERY = {
+	unread: field.boolean(),
+	type: field.oneOf(NOTIFICATION_TYPES),
+	tenant_id: field.id(),
+	...DATE_RANGE,
+	...sortQuery(NOTIFICATION_LIST),
+	...PAGE_QUERY,
+};
+
+// The user's own notifications plus those for everyone in the organisation
+function notificationListQuery(query, user) {
+	const { unread, type, tenant_id, from, to } = query;
+	let sql =
+		"SELECT * FROM notifications WHERE org_id=? AND (user_id=? OR user_id IS NULL)";
+	const params = [user.org_id, user.id];
+	if (["1", "true", "yes"].includes(String(unread))) sql += " AND is_read=0";
+	if (type) {
+		sql += " AND type=?";
+		params.push(type);
+	}
+	if (tenant_id) {
+		sql += " AND tenant_id=?";
+		params.push(tenant_id);
+	}
+	if (from) {
+		sql += " AND created_at >= ?";
+		params.push(from);
+	}
+	if (to) {
+		sql += " AND created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+		params.push(to);
+	}
+	sql += orderBy(NOTIFICATION_LIST, query);
+	return { sql, params };
+}
+
+app.get(
+	"/api/notifications",
+	auth(),
+	validate({ query: NOTIFICATION_LIST_QUERY }),
+	async (req, res) => {
+		try {
+			res.json(
+				await paginate(
+					await db(),
+					notificationListQuery(req.query, req.user),
+					NOTIFICATION_LIST,
+					req.query,
+				),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.patch(
+	"/api/notifications/:id/read",
+	auth(),
+	inScope("notification"),
+	audited("notification", { action: "read" }),
+	async (req, res) => {
+		try {
+			await (
+				await db()
+			).query("UPDATE notifications SET is_read=1 WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.patch(
+	"/api/notifications/read-all",
+	auth(),
+	audited("notification", { action: "read_all" }),
+	async (req, res) => {
+		try {
+			await (
+				await db()
+			).query(
+				"UPDATE notifications SET is_read=1 WHERE org_id=? AND (user_id=? OR user_id IS NULL)",
+				[req.user.org_id, req.user.id],
+			);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MESSAGING (WhatsApp / SMS / email / manual link)
+// ─────────────────────────────────────────────────────────────────────────────
+// Each channel is delivered by a provider chosen in .env. Providers take
+// { to, message, subject } and resolve { provider_message_id } or throw.
+// With nothing configured a channel falls back to manual: WhatsApp returns the
+// wa.me link, and SMS/email stay pending with the reason until staff send them
+// and mark them sent. The fake provider is only used when chosen explicitly.
+// MESSAGE_CHANNELS is declared with the validation helpers.
+
+// 0803... -> 234803...
+function intlPhone(phone) {
+	const clean = (phone || "").replace(/\D/g, "");
+	return clean.startsWith("0") ? "234" + clean.slice(1) : clean;
+}
+
+const waLink = (phone, message) =>
+	`https://wa.me/${intlPhone(phone)}?text=${encodeURIComponent(message || "")}`;
+
+async function postJson(url, body, headers = {}) {
+	const r = await fetch(url, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", ...headers },
+		body: JSON.stringify(body),
+	});
+	const data = await r.json().catch(() => ({}));
+	if (!r.ok)
+		throw new Error(
+			data.error?.message || data.message || `Provider returned ${r.status}`,
+		);
+	return data;
+}
+
+let smtpTransport;
+const fakeOutbox = [];
+
+const messageProviders = {
+	// Nothing is sent; staff open the returned link themselves
+	manual: {
+		async send() {
+			return { provider_message_id: null, manual: true };
+		},
+	},
+	// Records messages in memory for development and tests (set SMS_PROVIDER or
+	// EMAIL_PROVIDER to fake)
+	fake: {
+		async send({ channel, to, message, subject, org_id }) {
+			const provider_message_id = `fake-${uuid()}`;
+			fakeOutbox.push({
+				provider_message_id,
+				org_id,
+				channel,
+				to,
+				subject,
+				message,
+			});
+			if (fakeOutbox.length > 200) fakeOutbox.shift();
+			return { provider_message_id };
+		},
+	},
+	whatsapp_cloud: {
+		async send({ to, message }) {
+			const data = await postJson(
+				`https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || "v19.0"}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+				{
+					messaging_product: "whatsapp",
+					to: intlPhone(to),
+					type: "text",
+					text: { body: message },
+				},
+				{ Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` },
+			);
+			return { provider_message_id: data.messages?.[0]?.id || null };
+		},
+	},
+	termii: {
+		async send({ to, message, sender = {} }) {
+			const data = await postJson(
+				process.env.TERMII_URL || "https://api.ng.termii.com/api/sms/send",
+				{
+					api_key: process.env.TERMII_API_KEY,
+					to: intlPhone(to),
+					from: sender.sms_sender_id || process.env.SMS_SENDER_ID || "EstateIQ",
+					sms: message,
+					type: "plain",
+					channel: process.env.TERMII_CHANNEL || "generic",
+				},
+			);
+			return { provider_message_id: data.message_id || null };
+		},
+	},
+	twilio: {
+		async send({ to, message }) {
+			const sid = process.env.TWILIO_ACCOUNT_SID;
+			const r = await fetch(
+				`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+				{
+					method: "POST",
+					headers: {
+						Authorization:
+							"Basic " +
+							Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString(
+								"base64",
+							),
+					},
+					body: new URLSearchParams({
+						To: "+" + intlPhone(to),
+						From: process.env.TWILIO_FROM,
+						Body: message,
+						...(process.env.MESSAGE_WEBHOOK_URL && {
+							StatusCallback: `${process.env.MESSAGE_WEBHOOK_URL}/twilio?token=${process.env.MESSAGE_WEBHOOK_TOKEN || ""}`,
+						}),
+					}),
+				},
+			);
+			const data = await r.json().catch(() => ({}));
+			if (!r.ok) throw new Error(data.message || `Twilio returned ${r.status}`);
+			return { provider_message_id: data.sid };
+		},
+	},
+	smtp: {
+		async send({ to, message, subject, sender = {} }) {
+			smtpTransport ||= nodemailer.createTransport({
+				host: process.env.SMTP_HOST,
+				port: +process.env.SMTP_PORT || 587,
+				secure: +process.env.SMTP_PORT === 465,
+				auth: process.env.SMTP_USER
+					? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+					: undefined,
+			});
+			const info = await smtpTransport.sendMail({
+				from:
+					sender.email_from || process.env.SMTP_FROM || process.env.SMTP_USER,
+				to,
+				subject: subject || `Message from ${sender.sender_name || "EstateIQ"}`,
+				text: message,
+			});
+			return { provider_message_id: info.messageId };
+		},
+	},
+};
+
+function providerFor(channel) {
+	const name =
+		channel === "manual"
+			? "manual"
+			: channel === "whatsapp"
+				? process.env.WHATSAPP_PROVIDER ||
+					(process.env.WHATSAPP_TOKEN ? "whatsapp_cloud" : "manual")
+				: channel === "sms"
+					? process.env.SMS_PROVIDER || "manual"
+					: process.env.EMAIL_PROVIDER ||
+						(process.env.SMTP_HOST ? "smtp" : "manual");
+	if (!messageProviders[name])
+		throw new Error(`Unknown message provider "${name}" for ${channel}`);
+	return { name, provider: messageProviders[name] };
+}
+
+// Logs the message as pending, hands it to the channel's provider and records
+// the outcome. Provider errors mark the message failed rather than throwing.
+// m.org_id picks the organisation whose sender name and address are used.
+async function sendMessage(d, m) {
+	const channel = m.channel || "whatsapp";
+	const { name, provider } = providerFor(channel);
+	const to = channel === "email" ? m.email : m.phone;
+	const id = uuid();
+	await d.query(
+		"INSERT INTO message_log (id,org_id,tenant_id,tenant_name,phone,email,channel,subject,message,status,provider,sent_by) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)",
+		[
+			id,
+			m.org_id,
+			m.tenant_id || null,
+			m.tenant_name || "",
+			m.phone || "",
+			m.email || "",
+			channel,
+			m.subject || null,
+			m.message || "",
+			"pending",
+			name,
+			m.sent_by || null,
+		],
+	);
+	let status = "pending";
+	let error = null;
+	if (!to) {
+		status = "failed";
+		error = `No ${channel === "email" ? "email address" : "phone number"}`;
+	} else {
+		try {
+			const r = await provider.send({
+				...m,
+				channel,
+				to,
+				sender: await organisation(m.org_id),
+			});
+			if (!r.manual) status = "sent";
+			// Nothing went out: say so rather than leaving a bare "pending"
+			else if (channel === "sms" || channel === "email")
+				error = `No ${channel === "sms" ? "SMS" : "email"} provider configured; send it yourself, then mark it sent`;
+			await d.query(
+				"UPDATE message_log SET status=?,provider_message_id=?,error=? WHERE id=?",
+				[status, r.provider_message_id, error, id],
+			);
+		} catch (e) {
+			status = "failed";
+			error = e.message;
+		}
+	}
+	if (status === "failed")
+		await d.query("UPDATE message_log SET status='failed',error=? WHERE id=?", [
+			error,
+			id,
+		]);
+	return {
+		id,
+		channel,
+		provider: name,
+		status,
+		error,
+		whatsapp_link:
+			channel === "whatsapp" || channel === "manual"
+				? waLink(m.phone, m.message)
+				: undefined,
+	};
+}
+
+// ── MESSAGE TEMPLATES ────────────────────────────────────────────────────────
+const TEMPLATE_PURPOSES = [
+	"rent_reminder",
+	"lease_expiry",
+	"receipt",
+	"quit_notice_ack",
+	"general",
+];
+const TEMPLATE_PLACEHOLDERS = {
+	name: "Tenant name",
+	amount: "Outstanding balance, e.g. 150,000",
+	property: "Property address",
+	lease_end: "Lease end date, e.g. 31 Dec 2025",
+	days_remaining: "Days until the lease ends",
+	receipt_number: "Receipt number of the payment (latest if none given)",
+	currency: "Currency symbol, e.g. ₦",
+	sender: "Organisation sender name",
+};
+const DEFAULT_REMINDER =
+	"Dear {name}, your outstanding rent balance is {currency}{amount}. Please contact us. - {sender}";
+// Given to each new organisation (seeds/001_defaults.sql has the same for the original)
+const STARTER_TEMPLATES = [
+	{
+		name: "Rent reminder",
+		purpose: "rent_reminder",
+		subject: "Outstanding rent balance",
+		body: "Dear {name}, your outstanding rent balance for {property} is {currency}{amount}. Please contact us. - {sender}",
+	},
+	{
+		name: "Lease expiry",
+		purpose: "lease_expiry",
+		subject: "Your lease ends on {lease_end}",
+		body: "Dear {name}, your lease at {property} ends on {lease_end} ({days_remaining} days). Please contact us about renewal. - {sender}",
+	},
+	{
+		name: "Payment receipt",
+		purpose: "receipt",
+		subject: "Receipt {receipt_number}",
+		body: "Dear {name}, thank you for your payment. Your receipt number is {receipt_number}. Outstanding balance: {currency}{amount}. - {sender}",
+	},
+	{
+		name: "Quit notice acknowledgement",
+		purpose: "quit_notice_ack",
+		subject: "Quit notice received",
+		body: "Dear {name}, we have received your quit notice for {property}. Your lease ends on {lease_end}. - {sender}",
+	},
+];
+
+// Placeholders in a template that are not in TEMPLATE_PLACEHOLDERS
+function unknownPlaceholders(...texts) {
+	const found = texts.flatMap((t) =>
+		[...(t || "").matchAll(/\{(\w+)\}/g)].map((m) => m[1]),
+	);
+	return [...new Set(found)].filter((p) => !(p in TEMPLATE_PLACEHOLDERS));
+}
+
+// Replaces every occurrence of each placeholder
+const renderTemplate = (text, vars) =>
+	(text || "").replace(/\{(\w+)\}/g, (m, key) =>
+		key in vars ? String(vars[key] ?? "") : m,
+	);
+
+// Placeholder values for a tenant (t must come from TENANT_SELECT)
+async function templateVars(d, t, paymentId) {
+	const [[payment]] = await d.query(
+		paymentId
+			? "SELECT receipt_number FROM payments WHERE id=? AND tenant_id=?"
+			: "SELECT receipt_number FROM payments WHERE tenant_id=? AND status='active' ORDER BY created_at DESC LIMIT 1",
+		paymentId ? [paymentId, t.id] : [t.id],
+	);
+	const end = t.lease_end ? ymd(t.lease_end) : null;
+	const [y, m, day] = end ? end.split("-") : [];
+	const org = await organisation(t.org_id);
+	return {
+		name: t.tenant_name,
+		amount: Math.max(0, money(t.balance)).toLocaleString(org.currency_locale),
+		property: t.property_address || "",
+		lease_end: end ? `${+day} ${MONTHS[+m - 1]} ${y}` : "",
+		days_remaining: end
+			? Math.round(
+					(new Date(y, m - 1, day) - new Date().setHours(0, 0, 0, 0)) / 864e5,
+				)
+			: "",
+		receipt_number: payment?.receipt_number || "",
+		currency: org.currency_symbol,
+		sender: org.sender_name,
+	};
+}
+
+const TEMPLATE_FIELDS = {
+	name: field.text({ required: true, max: 100 }),
+	purpose: field.oneOf(TEMPLATE_PURPOSES),
+	channel: field.oneOf(MESSAGE_CHANNELS),
+	subject: field.text(),
+	body: field.text({ required: true, max: 5000 }),
+};
+
+// Error message when the subject or body uses a placeholder we cannot fill
+function placeholderError(body) {
+	const unknown = unknownPlaceholders(body.subject, body.body);
+	if (unknown.length)
+		return `Unknown placeholders: ${unknown.map((p) => `{${p}}`).join(", ")}`;
+	return null;
+}
+
+app.get("/api/message-templates/placeholders", auth(), (req, res) => {
+	res.json(TEMPLATE_PLACEHOLDERS);
+});
+
+app.get(
+	"/api/message-templates",
+	auth(),
+	validate({
+		query: {
+			purpose: field.oneOf(TEMPLATE_PURPOSES),
+			channel: field.oneOf(MESSAGE_CHANNELS),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { purpose, channel } = req.query;
+			let sql = "SELECT * FROM message_templates WHERE org_id=?";
+			const p = [req.user.org_id];
+			if (purpose) {
+				sql += " AND purpose=?";
+				p.push(purpose);
+			}
+			if (channel) {
+				sql += " AND (channel=? OR channel IS NULL)";
+				p.push(channel);
+			}
+			sql += " ORDER BY purpose, name";
+			const [rows] = await (await db()).query(sql, p);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/message-templates/:id",
+	auth(),
+	inScope("message_template"),
+	async (req, res) => {
+		try {
+			const [[row]] = await (
+				await db()
+			).query("SELECT * FROM message_templates WHERE id=?", [req.params.id]);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/message-templates",
+	auth(),
+	can("messages:templates"),
+	validate({ body: TEMPLATE_FIELDS }),
+	audited("message_template"),
+	async (req, res) => {
+		try {
+			const error = placeholderError(req.body);
+			if (error) return res.status(400).json({ error });
+			const { name, purpose, channel, subject, body } = req.body;
+			const id = uuid();
+			const d = await db();
+			await d.query(
+				"INSERT INTO message_templates (id,org_id,name,purpose,channel,subject,body,created_by) VALUES (?,?,?,?,?,?,?,?)",
+				[
+					id,
+					req.user.org_id,
+					name,
+					purpose || "general",
+					channel || null,
+					subject || null,
+					body,
+					req.user.id,
+				],
+			);
+			const [[row]] = await d.query(
+				"SELECT * FROM message_templates WHERE id=?",
+				[id],
+			);
+			res.status(201).json(row);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res.status(400).json({ error: "Template name already exists" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.put(
+	"/api/message-templates/:id",
+	auth(),
+	can("messages:templates"),
+	inScope("message_template"),
+	validate({ body: TEMPLATE_FIELDS }),
+	audited("message_template"),
+	async (req, res) => {
+		try {
+			const error = placeholderError(req.body);
+			if (error) return res.status(400).json({ error });
+			const { name, purpose, channel, subject, body } = req.body;
+			const d = await db();
+			await d.query(
+				"UPDATE message_templates SET name=?,purpose=?,channel=?,subject=?,body=? WHERE id=?",
+				[
+					name,
+					purpose || "general",
+					channel || null,
+					subject || null,
+					body,
+					req.params.id,
+				],
+			);
+			const [[row]] = await d.query(
+				"SELECT * FROM message_templates WHERE id=?",
+				[req.params.id],
+			);
+			if (!row) return res.status(404).json({ error: "Not found" });
+			res.json(row);
+		} catch (e) {
+			if (e.code === "ER_DUP_ENTRY")
+				return res.status(400).json({ error: "Template name already exists" });
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/message-templates/:id",
+	auth(),
+	can("messages:templates"),
+	inScope("message_template"),
+	audited("message_template"),
+	async (req, res) => {
+		try {
+			await (
+				await db()
+			).query("DELETE FROM message_templates WHERE id=?", [req.params.id]);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/message-templates/:id/preview",
+	auth(),
+	inScope("message_template"),
+	validate({
+		body: {
+			tenant_id: field.id({ required: true }),
+			payment_id: field.id(),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { tenant_id, payment_id } = req.body;
+			const d = await db();
+			const [[tpl]] = await d.query(
+				"SELECT * FROM message_templates WHERE id=?",
+				[req.params.id],
+			);
+			if (!tpl) return res.status(404).json({ error: "Not found" });
+			const scope = scopeFilter(req.user, "t.property_id");
+			const [[t]] = await d.query(
+				TENANT_SELECT + ` WHERE t.id=? AND t.org_id=?${scope.sql}`,
+				[tenant_id, req.user.org_id, ...scope.params],
+			);
+			if (!t) return res.status(400).json({ error: "Tenant not found" });
+			const vars = await templateVars(d, t, payment_id);
+			res.json({
+				template_id: tpl.id,
+				channel: tpl.channel,
+				subject: renderTemplate(tpl.subject, vars) || null,
+				message: renderTemplate(tpl.body, vars),
+				placeholders: vars,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Send either a literal message or a template_id rendered for tenant_id
+app.post(
+	"/api/messages/send",
+	auth(),
+	can("messages:send"),
+	inScope("tenant", (req) => req.body.tenant_id),
+	validate({
+		body: {
+			tenant_id: field.id(),
+			template_id: field.id(),
+			payment_id: field.id(),
+			tenant_name: field.text(),
+			phone: field.text({ max: 50 }),
+			email: field.email(),
+			channel: field.oneOf(MESSAGE_CHANNELS),
+			subject: field.text(),
+			message: field.text({ max: 5000 }),
+		},
+	}),
+	audited("message", { action: "send" }),
+	async (req, res) => {
+		try {
+			const { tenant_id, template_id, payment_id } = req.body;
+			let { tenant_name, phone, email, channel, subject, message } = req.body;
+			const d = await db();
+			if (template_id) {
+				if (!tenant_id)
+					return res
+						.status(400)
+						.json({ error: "tenant_id required with template_id" });
+				const [[tpl]] = await d.query(
+					"SELECT * FROM message_templates WHERE id=? AND org_id=?",
+					[template_id, req.user.org_id],
+				);
+				if (!tpl) return res.status(400).json({ error: "Template not found" });
+				const [[t]] = await d.query(TENANT_SELECT + " WHERE t.id=?", [
+					tenant_id,
+				]);
+				if (!t) return res.status(400).json({ error: "Tenant not found" });
+				const vars = await templateVars(d, t, payment_id);
+				message = renderTemplate(tpl.body, vars);
+				subject = renderTemplate(tpl.subject, vars) || subject;
+				channel ||= tpl.channel;
+				tenant_name ||= t.tenant_name;
+				phone ||= t.whatsapp && channel !== "sms" ? t.whatsapp : t.phone;
+				email ||= t.email;
+			}
+			if (!message)
+				return res
+					.status(400)
+					.json(
+						validationError([{ field: "message", message: "is required" }]),
+					);
+			const result = await sendMessage(d, {
+				org_id: req.user.org_id,
+				tenant_id,
+				tenant_name,
+				phone,
+				email,
+				channel,
+				subject,
+				message,
+				sent_by: req.user.id,
+			});
+			res.json({
+				success: result.status !== "failed",
+				...result,
+				message:
+					result.provider === "manual"
+						? "Message logged. Use the WhatsApp link to send."
+						: result.status === "sent"
+							? `Message sent via ${result.provider}.`
+							: `Message failed: ${result.error}`,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+const MESSAGE_LIST = {
+	sorts: {
+		created_at: "created_at",
+		tenant_name: "tenant_name",
+		channel: "channel",
+		status: "status",
+	},
+	sort: "created_at",
+	order: "desc",
+	then: "id",
+};
+
+function messageListQuery(query, user) {
+	const { tenant_id, property_id, channel, status, sent_by, from, to, search } =
+		query;
+	const scope = scopeFilter(user, "property_id");
+	let sql = "SELECT * FROM message_log WHERE org_id=?";
+	const params = [user.org_id];
+	if (scope.sql) {
+		sql += ` AND tenant_id IN (SELECT id FROM tenants WHERE 1=1${scope.sql})`;
+		params.push(...scope.params);
+	}
+	if (tenant_id) {
+		sql += " AND tenant_id=?";
+		params.push(tenant_id);
+	}
+	if (channel) {
+		sql += " AND channel=?";
+		params.push(channel);
+	}
+	if (status) {
+		sql += " AND status=?";
+		params.push(status);
+	}
+	if (from) {
+		sql += " AND created_at >= ?";
+		params.push(from);
+	}
+	if (to) {
+		sql += " AND created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+		params.push(to);
+	}
+	if (property_id) {
+		sql += " AND tenant_id IN (SELECT id FROM tenants WHERE property_id=?)";
+		params.push(property_id);
+	}
+	if (sent_by) {
+		sql += " AND sent_by=?";
+		params.push(sent_by);
+	}
+	if (search) {
+		sql +=
+			" AND (tenant_name LIKE ? OR phone LIKE ? OR email LIKE ? OR subject LIKE ? OR message LIKE ?)";
+		const l = `%${search}%`;
+		params.push(l, l, l, l, l);
+	}
+	sql += orderBy(MESSAGE_LIST, query);
+	return { sql, params };
+}
+
+const MESSAGE_LIST_QUERY = {
+	tenant_id: field.id(),
+	property_id: field.id(),
+	channel: field.oneOf(MESSAGE_CHANNELS),
+	status: field.oneOf(["pending", "sent", "delivered", "read", "failed"]),
+	sent_by: field.id(),
+	...DATE_RANGE,
+	search: field.text(),
+	...sortQuery(MESSAGE_LIST),
+};
+
+app.get(
+	"/api/messages",
+	auth(),
+	validate({ query: { ...MESSAGE_LIST_QUERY, ...PAGE_QUERY } }),
+	async (req, res) => {
+		try {
+			res.json(
+				await paginate(
+					await db(),
+					messageListQuery(req.query, req.user),
+					MESSAGE_LIST,
+					req.query,
+				),
+			);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Staff confirm manual (link) messages once they have actually sent them
+app.patch(
+	"/api/messages/:id/status",
+	auth(),
+	can("messages:send"),
+	inScope("message"),
+	validate({
+		body: { status: field.oneOf(["sent", "failed"], { required: true }) },
+	}),
+	audited("message", { action: "status" }),
+	async (req, res) => {
+		try {
+			const { status } = req.body;
+			const d = await db();
+			const [r] = await d.query(
+				"UPDATE message_log SET status=?,error=IF(?='sent',NULL,error) WHERE id=? AND provider='manual'",
+				[status, status, req.params.id],
+			);
+			if (!r.affectedRows)
+				return res.status(404).json({ error: "Manual message not found" });
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get("/api/messages/outbox", auth(["admin"]), (req, res) => {
+	res.json(fakeOutbox.filter((m) => m.org_id === req.user.org_id));
+});
+
+// ── DELIVERY WEBHOOKS ────────────────────────────────────────────────────────
+// Status order, so a late "sent" callback never downgrades "delivered"
+const DELIVERY_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+async function updateDeliveryStatus(
+	d,
+	provider,
+	providerMessageId,
+	status,
+	error,
+) {
+	if (!providerMessageId || !(status in DELIVERY_RANK)) return 0;
+	const [[m]] = await d.query(
+		"SELECT id,status FROM message_log WHERE provider=? AND provider_message_id=?",
+		[provider, providerMessageId],
+	);
+	if (!m || DELIVERY_RANK[status] <= DELIVERY_RANK[m.status]) return 0;
+	await d.query(
+		`UPDATE message_log SET status=?,error=COALESCE(?,error),
+     delivered_at=IF(? IN ('delivered','read'),COALESCE(delivered_at,NOW()),delivered_at) WHERE id=?`,
+		[status, error || null, status, m.id],
+	);
+	return 1;
+}
+
+// Meta verifies the callback URL with a GET before sending events
+app.get("/api/messages/webhook/whatsapp", (req, res) => {
+	if (
+		req.query["hub.mode"] === "subscribe" &&
+		req.query["hub.verify_token"] === process.env.WHATSAPP_VERIFY_TOKEN
+	)
+		return res.send(req.query["hub.challenge"]);
+	res.sendStatus(403);
+});
+
+app.post(
+	"/api/messages/webhook/:provider",
+	audited("message", { action: "webhook", param: false }),
+	async (req, res) => {
+		try {
+			const { provider } = req.params;
+			const d = await db();
+			let updated = 0;
+			if (provider === "whatsapp") {
+				const signature = req.headers["x-hub-signature-256"] || "";
+				const expected =
+					"sha256=" +
+					crypto
+						.createHmac("sha256", process.env.WHATSAPP_APP_SECRET || "")
+						.update(req.rawBody || "")
+						.digest("hex");
+				if (
+					!process.env.WHATSAPP_APP_SECRET ||
+					signature.length !== expected.length ||
+					!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+				)
+					return res.status(401).json({ error: "Invalid signature" });
+				for (const entry of req.body.entry || [])
+					for (const change of entry.changes || [])
+						for (const s of change.value?.statuses || [])
+							updated += await updateDeliveryStatus(
+								d,
+								"whatsapp_cloud",
+								s.id,
+								s.status,
+								s.errors?.[0]?.title,
+							);
+			} else {
+				// SMS gateways and the fake provider authenticate with a shared token
+				if (
+					!process.env.MESSAGE_WEBHOOK_TOKEN ||
+					req.query.token !== process.env.MESSAGE_WEBHOOK_TOKEN
+				)
+					return res.status(401).json({ error: "Invalid token" });
+				if (provider === "twilio") {
+					const map = {
+						sent: "sent",
+						delivered: "delivered",
+						read: "read",
+						failed: "failed",
+						undelivered: "failed",
+					};
+					updated = await updateDeliveryStatus(
+						d,
+						"twilio",
+						req.body.MessageSid,
+						map[req.body.MessageStatus],
+						req.body.ErrorMessage,
+					);
+				} else if (provider === "termii") {
+					const s = String(req.body.status || "").toLowerCase();
+					updated = await updateDeliveryStatus(
+						d,
+						"termii",
+						req.body.message_id,
+						s.includes("deliver")
+							? "delivered"
+							: s.includes("sent")
+								? "sent"
+								: "failed",
+						s.includes("deliver") || s.includes("sent")
+							? null
+							: req.body.status,
+					);
+				} else if (provider === "fake") {
+					updated = await updateDeliveryStatus(
+						d,
+						"fake",
+						req.body.provider_message_id,
+						req.body.status,
+						req.body.error,
+					);
+				} else return res.status(404).json({ error: "Unknown provider" });
+			}
+			res.json({ received: true, updated });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Bulk reminder — sends to all tenants with outstanding balance
+app.post(
+	"/api/messages/bulk-reminder",
+	auth(),
+	can("messages:bulk"),
+	validate({
+		body: {
+			message_template: field.text({ max: 5000 }),
+			template_id: field.id(),
+			channel: field.oneOf(MESSAGE_CHANNELS),
+		},
+	}),
+	audited("message", { action: "bulk_reminder" }),
+	async (req, res) => {
+		try {
+			const { message_template, template_id } = req.body;
+			const d = await db();
+			let { channel } = req.body;
+			let body = message_template || DEFAULT_REMINDER;
+			let subject = "Outstanding rent balance";
+			if (template_id) {
+				const [[tpl]] = await d.query(
+					"SELECT * FROM message_templates WHERE id=? AND org_id=?",
+					[template_id, req.user.org_id],
+				);
+				if (!tpl) return res.status(400).json({ error: "Template not found" });
+				body = tpl.body;
+				subject = tpl.subject || subject;
+				channel ||= tpl.channel;
+			}
+			const unknown = unknownPlaceholders(body);
+			if (unknown.length)
+				return res.status(400).json({
+					error: `Unknown placeholders: ${unknown.map((p) => `{${p}}`).join(", ")}`,
+				});
+			const scope = scopeFilter(req.user, "t.property_id");
+			const [tenants] = await d.query(
+				TENANT_SELECT +
+					` WHERE t.org_id=? AND ${BALANCE_SQL} > 0 AND ${channel === "email" ? "t.email" : "t.phone"} != ''${scope.sql}`,
+				[req.user.org_id, ...scope.params],
+			);
+			const links = [];
+			for (const t of tenants) {
+				const owed = money(t.balance);
+				const vars = await templateVars(d, t);
+				const result = await sendMessage(d, {
+					org_id: t.org_id,
+					tenant_id: t.id,
+					tenant_name: t.tenant_name,
+					phone: t.phone,
+					email: t.email,
+					channel: channel || "whatsapp",
+					subject: renderTemplate(subject, vars),
+					message: renderTemplate(body, vars),
+					sent_by: req.user.id,
+				});
+				links.push({
+					tenant: t.tenant_name,
+					phone: t.phone,
+					link: result.whatsapp_link,
+					status: result.status,
+					error: result.error,
+					amount_owed: owed,
+				});
+			}
+			res.json({
+				sent: links.filter((l) => l.status !== "failed").length,
+				failed: links.filter((l) => l.status === "failed").length,
+				links,
+			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPORTS — CSV or XLSX of the tenant, payment, maintenance, expense and message lists
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/exports/:dataset?format=csv|xlsx&columns=a,b&naira=1 plus the
+// filters, sort and order of the matching list endpoint. Exports are not paged:
+// rows are streamed from MySQL straight into the response, so large exports
+// never sit in memory. Each dataset's filters are checked with the same rules
+// as its list endpoint.
+
+const EXPORTS = {
+	tenants: {
+		query: tenantListQuery,
+		filters: TENANT_LIST_QUERY,
+		columns: [
+			["sn", "S/N"],
+			["tenant_name", "Tenant"],
+			["accommodation_type", "Accommodation"],
+			["property_address", "Property"],
+			["period", "Period"],
+			["lease_start", "Lease start", "date"],
+			["lease_end", "Lease end", "date"],
+			["rent_per_annum", "Rent per annum", "money"],
+			["total_charged", "Total charged", "money"],
+			["total_credited", "Total paid", "money"],
+			["balance", "Balance", "money"],
+			["phone", "Phone"],
+			["whatsapp", "WhatsApp"],
+			["email", "Email"],
+			["quit_notice", "Quit notice", "bool"],
+			["notes", "Notes"],
+		],
+	},
+	payments: {
+		query: paymentListQuery,
+		filters: PAYMENT_LIST_QUERY,
+		columns: [
+			["receipt_number", "Receipt no."],
+			["payment_date", "Date", "date"],
+			["tenant_name", "Tenant"],
+			["property_address", "Property"],
+			["amount", "Amount", "money"],
+			["payment_method", "Method"],
+			["reference", "Reference"],
+			["status", "Status"],
+			["void_reason", "Void reason"],
+			["notes", "Notes"],
+		],
+	},
+	maintenance: {
+		query: maintenanceListQuery,
+		filters: MAINTENANCE_LIST_QUERY,
+		columns: [
+			["title", "Title"],
+			["category", "Category"],
+			["priority", "Priority"],
+			["status", "Status"],
+			["tenant_name", "Tenant"],
+			["property_address", "Property"],
+			["assigned_name", "Assigned to"],
+			["vendor_name", "Vendor"],
+			["created_at", "Reported", "datetime"],
+			["due_at", "Due", "datetime"],
+			["resolved_at", "Resolved", "datetime"],
+			["closed_at", "Closed", "datetime"],
+			["estimated_cost", "Estimated cost", "money"],
+			["actual_cost", "Actual cost", "money"],
+			["description", "Description"],
+		],
+	},
+	expenses: {
+		query: expenseListQuery,
+		filters: EXPENSE_LIST_QUERY,
+		columns: [
+			["expense_date", "Date", "date"],
+			["property_name", "Property"],
+			["category", "Category"],
+			["description", "Description"],
+			["vendor_name", "Vendor"],
+			["maintenance_title", "Maintenance request"],
+			["amount", "Amount", "money"],
+			["reference", "Reference"],
+			["notes", "Notes"],
+		],
+	},
+	messages: {
+		query: messageListQuery,
+		filters: MESSAGE_LIST_QUERY,
+		columns: [
+			["created_at", "Sent", "datetime"],
+			["tenant_name", "Tenant"],
+			["channel", "Channel"],
+			["phone", "Phone"],
+			["email", "Email"],
+			["subject", "Subject"],
+			["message", "Message"],
+			["status", "Status"],
+			["provider", "Provider"],
+			["error", "Error"],
+		],
+	},
+};
+
+const currencyText = (org, n) =>
+	org.currency_symbol +
+	money(n).toLocaleString(org.currency_locale, {
+		minimumFractionDigits: 2,
+		maximumFractionDigits: 2,
+	});
+const dateTimeText = (v) => {
+	const d = new Date(v);
+	return `${ymd(d)} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+};
+
+// org is set when money should carry the organisation's currency symbol
+function exportCell(v, type, format, org) {
+	if (v === null || v === undefined) return "";
+	if (type === "money")
+		return org && format === "csv" ? currencyText(org, v) : money(v);
+	if (type === "bool") return v ? "Yes" : "No";
+	if (type === "datetime") return dateTimeText(v);
+	if (type === "date") {
+		if (format === "csv") return ymd(v);
+		// Excel dates carry no zone; build one at UTC midnight so the day is kept
+		const [y, m, d] = ymd(v).split("-");
+		return new Date(Date.UTC(+y, m - 1, +d));
+	}
+	return v;
+}
+
+app.get("/api/exports/:dataset", auth(), async (req, res) => {
+	const spec = EXPORTS[req.params.dataset];
+	if (!spec)
+		return res.status(404).json({
+			error: `Unknown export. Available: ${Object.keys(EXPORTS).join(", ")}`,
+		});
+	const details = fieldErrors(
+		{
+			...spec.filters,
+			format: field.oneOf(["csv", "xlsx"]),
+			columns: field.text({ max: 1000 }),
+			naira: field.boolean(),
+		},
+		req.query,
+	);
+	if (details.length) return res.status(400).json(validationError(details));
+	const format = req.query.format || "csv";
+	let columns = spec.columns;
+	if (req.query.columns) {
+		const wanted = String(req.query.columns)
+			.split(",")
+			.map((c) => c.trim());
+		const unknown = wanted.filter((k) => !spec.columns.some((c) => c[0] === k));
+		if (unknown.length)
+			return res.status(400).json({
+				error: `Unknown columns: ${unknown.join(", ")}`,
+				columns: spec.columns.map((c) => c[0]),
+			});
+		columns = wanted.map((k) => spec.columns.find((c) => c[0] === k));
+	}
+	const naira = ["1", "true", "yes"].includes(String(req.query.naira));
+
+	let rows, org;
+	try {
+		org = await organisation(req.user.org_id);
+		const { sql, params } = spec.query(req.query, req.user);
+		// The callback pool underneath the promise pool is the one that streams
+		rows = (await db()).pool.query(sql, params).stream();
+	} catch (e) {
+		return res.status(500).json({ error: e.message });
+	}
+	res.on("close", () => rows.destroy());
+	const filename = `${req.params.dataset}-${ymd(new Date())}.${format}`;
+	res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+	try {
+		if (format === "csv") {
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			// BOM so Excel opens UTF-8 (₦, accented names) correctly
+			res.write("\uFEFF" + csvLine(columns.map((c) => c[1])));
+			for await (const r of rows) {
+				const line = csvLine(
+					columns.map(([k, , type]) =>
+						exportCell(r[k], type, format, naira && org),
+					),
+				);
+				if (!res.write(line)) await new Promise((ok) => res.once("drain", ok));
+			}
+			return res.end();
+		}
+		res.setHeader(
+			"Content-Type",
+			"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+		);
+		const wb = new ExcelJS.stream.xlsx.WorkbookWriter({
+			stream: res,
+			useStyles: true,
+		});
+		const ws = wb.addWorksheet(req.params.dataset);
+		ws.columns = columns.map(([key, header, type]) => ({
+			key,
+			header,
+			width: type === "money" || type === "date" ? 16 : 24,
+			style:
+				type === "money"
+					? {
+							numFmt: naira ? `"${org.currency_symbol}"#,##0.00` : "#,##0.00",
+						}
+					: type === "date"
+						? { numFmt: "yyyy-mm-dd" }
+						: {},
+		}));
+		ws.getRow(1).font = { bold: true };
+		for await (const r of rows)
+			ws.addRow(
+				columns.map(([k, , type]) =>
+					exportCell(r[k], type, format, naira && org),
+				),
+			).commit();
+		ws.commit();
+		await wb.commit();
+	} catch (e) {
+		// Headers are already out; all we can do is cut the download short
+		res.destroy(e);
+	}
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ANALYTICS
+// ─────────────────────────────────────────────────────────────────────────────
+app.get("/api/stats", auth(), async (req, res) => {
+	try {
+		const d = await db();
+		const org = req.user.org_id;
+		const t = scopeFilter(req.user, "t.property_id");
+		const [[summary]] = await d.query(
+			`
+      SELECT
+        COUNT(*) as total_tenants,
+        SUM(t.rent_per_annum) as total_rent,
+        SUM(COALESCE(lg.total_charged,0)) as total_billed,
+        SUM(COALESCE(lg.total_credited,0)) as total_paid,
+        SUM(GREATEST(0, ${BALANCE_SQL})) as total_outstanding,
+        SUM(t.quit_notice=1) as quit_count,
+        SUM(${BALANCE_SQL} <= 0 AND COALESCE(lg.total_charged,0) > 0) as fully_paid,
+        SUM(${BALANCE_SQL} > 0 AND COALESCE(lg.total_credited,0) > 0) as partial_paid,
+        SUM(${BALANCE_SQL} > 0 AND COALESCE(lg.total_credited,0) = 0) as unpaid_count,
+        SUM(t.lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)) as expiring_soon
+      FROM tenants t ${LEDGER_JOIN} WHERE t.org_id=?${t.sql}
+    `,
+			[org, ...t.params],
+		);
+
+		// Monthly payments for chart (last 12 months)
+		const [monthly] = await d.query(
+			`
+      SELECT DATE_FORMAT(p.payment_date,'%b %Y') as month,
+             DATE_FORMAT(p.payment_date,'%Y-%m') as month_key,
+             SUM(p.amount) as total
+      FROM payments p JOIN tenants t ON p.tenant_id=t.id
+      WHERE p.org_id=? AND p.status='active' AND p.payment_date >= DATE_SUB(CURDATE(), INTERVAL 12 MONTH)${t.sql}
+      GROUP BY month_key, month ORDER BY month_key ASC
+    `,
+			[org, ...t.params],
+		);
+
+		// By accommodation type
+		const [byType] = await d.query(
+			`
+      SELECT t.accommodation_type as type, COUNT(*) as count, SUM(t.rent_per_annum) as total_rent
+      FROM tenants t WHERE t.org_id=?${t.sql} GROUP BY t.accommodation_type ORDER BY count DESC
+    `,
+			[org, ...t.params],
+		);
+
+		// Maintenance by status
+		const m = scopeFilter(req.user, "property_id");
+		const [maintStats] = await d.query(
+			`SELECT status, COUNT(*) as count FROM maintenance WHERE org_id=?${m.sql} GROUP BY status`,
+			[org, ...m.params],
+		);
+
+		res.json({ summary, monthly, byType, maintStats });
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+});
+
+// ── PORTFOLIO ANALYTICS ──────────────────────────────────────────────────────
+// Every /api/analytics route takes ?property_id=&from=&to= (YYYY-MM-DD).
+// Looking back, the range defaults to the last 12 months; the lease expiry
+// forecast looks ahead 12 months instead. Rates are percentages.
+const AGING_BUCKETS = [
+	["0_30", 30],
+	["31_90", 90],
+	["91_180", 180],
+	["180_plus", Infinity],
+];
+
+const percent = (n, of) => (of ? Math.round((n / of) * 1000) / 10 : null);
+
+// Same day n months on, kept inside the month (Jan 31 + 1 -> Feb 28)
+const monthsFrom = (date, n) => {
+	const [y, m, d] = date.split("-");
+	const first = new Date(+y, m - 1 + n, 1);
+	const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+	return ymd(new Date(+y, m - 1 + n, Math.min(+d, last.getDate())));
+};
+
+const monthEnd = (month) =>
+	ymd(new Date(+month.slice(0, 4), +month.slice(5, 7), 0));
+
+function monthsBetween(from, to) {
+	const months = [];
+	let [y, m] = from.split("-").map(Number);
+	const [ty, tm] = to.split("-").map(Number);
+	while (y < ty || (y === ty && m <= tm)) {
+		months.push(`${y}-${String(m).padStart(2, "0")}`);
+		if (++m > 12) [y, m] = [y + 1, 1];
+	}
+	return months;
+}
+
+// { property_id, from, to } or { error }; ahead picks the forecast default
+function analyticsFilters(q, ahead = false) {
+	const today = ymd(new Date());
+	const from =
+		parseDate(q.from) ||
+		(ahead ? today : `${monthsFrom(today, -11).slice(0, 7)}-01`);
+	const to = parseDate(q.to) || (ahead ? monthsFrom(today, 12) : today);
+	if (from > to) return { error: "from must be before to" };
+	return { property_id: q.property_id || null, from, to };
+}
+
+// " AND <column> IN (...)" for the user's scope plus ?property_id
+function analyticsScope(user, column, propertyId) {
+	const scope = scopeFilter(user, column);
+	return propertyId
+		? {
+				sql: `${scope.sql} AND ${column}=?`,
+				params: [...scope.params, propertyId],
+			}
+		: scope;
+}
+
+function analyticsRoute(path, handler, ahead) {
+	app.get(
+		`/api/analytics/${path}`,
+		auth(),
+		validate({ query: { property_id: field.id(), ...DATE_RANGE } }),
+		async (req, res) => {
+			const filters = analyticsFilters(req.query, ahead);
+			if (filters.error) return res.status(400).json({ error: filters.error });
+			try {
+				res.json({
+					...filters,
+					...(await handler(await db(), req.user, filters, req.query)),
+				});
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
+}
+
+// Occupied units per property and month, from the lease terms that overlap
+// the month. Tenants without a unit count as one unit each.
+analyticsRoute("occupancy", async (d, user, { property_id, from, to }) => {
+	const ps = analyticsScope(user, "p.id", property_id);
+	const [properties] = await d.query(
+		`SELECT p.id, p.name, COUNT(u.id) as units FROM properties p LEFT JOIN units u ON u.property_id=p.id
+     WHERE p.org_id=?${ps.sql} GROUP BY p.id, p.name ORDER BY p.name`,
+		[user.org_id, ...ps.params],
+	);
+	const ts = analyticsScope(user, "t.property_id", property_id);
+	const [terms] = await d.query(
+		`SELECT t.property_id, COALESCE(t.unit_id, t.id) as slot, l.lease_start, l.lease_end
+     FROM leases l JOIN tenants t ON l.tenant_id=t.id
+     WHERE t.org_id=? AND t.property_id IS NOT NULL
+       AND (l.lease_start IS NULL OR l.lease_start <= ?) AND (l.lease_end IS NULL OR l.lease_end >= ?)${ts.sql}`,
+		[user.org_id, to, from, ...ts.params],
+	);
+	const months = monthsBetween(from, to);
+	const portfolio = months.map((month) => ({ month, units: 0, occupied: 0 }));
+	const rows = properties.map((p) => {
+		const mine = terms.filter((t) => t.property_id === p.id);
+		return {
+			property_id: p.id,
+			property_name: p.name,
+			units: p.units,
+			months: months.map((month, i) => {
+				const start = `${month}-01`;
+				const end = monthEnd(month);
+				const slots = new Set(
+					mine
+						.filter(
+							(t) =>
+								(!t.lease_start || ymd(t.lease_start) <= end) &&
+								(!t.lease_end || ymd(t.lease_end) >= start),
+						)
+						.map((t) => t.slot),
+				);
+				const units = Math.max(p.units, slots.size);
+				portfolio[i].units += units;
+				portfolio[i].occupied += slots.size;
+				return {
+					month,
+					occupied: slots.size,
+					occupancy_rate: percent(slots.size, units),
+					vacancy_rate: units ? money(100 - percent(slots.size, units)) : null,
+				};
+			}),
+		};
+	});
+	return {
+		properties: rows,
+		portfolio: portfolio.map((m) => ({
+			...m,
+			occupancy_rate: percent(m.occupied, m.units),
+			vacancy_rate: m.units ? money(100 - percent(m.occupied, m.units)) : null,
+		})),
+	};
+});
+
+// Unpaid charges as at `to`, aged from their entry date. Credits posted
+// after `to` do not count. Old debts matter here, so charges are only
+// limited by date when ?from is given.
+analyticsRoute("arrears", async (d, user, { property_id, to }, q) => {
+	const from = q.from ? parseDate(q.from) : null;
+	const ts = analyticsScope(user, "t.property_id", property_id);
+	const [charges] = await d.query(
+		`SELECT * FROM (
+       SELECT c.tenant_id, t.tenant_name, t.property_id, p.name as property_name,
+              DATEDIFF(?, c.entry_date) as days,
+              c.amount - COALESCE((SELECT SUM(a.amount) FROM ledger_entries a
+                                   WHERE a.applies_to=c.id AND a.entry_date <= ?),0) as outstanding
+       FROM ledger_entries c JOIN tenants t ON c.tenant_id=t.id
+       LEFT JOIN properties p ON t.property_id=p.id
+       WHERE t.org_id=? AND c.entry_type='charge' AND c.entry_date <= ?
+         AND (? IS NULL OR c.entry_date >= ?)${ts.sql}
+     ) x WHERE outstanding > 0`,
+		[to, to, user.org_id, to, from, from, ...ts.params],
+	);
+	const empty = () => ({
+		...Object.fromEntries(AGING_BUCKETS.map(([k]) => [k, 0])),
+		total: 0,
+	});
+	const tenants = new Map();
+	const props = new Map();
+	const totals = empty();
+	for (const c of charges) {
+		const [bucket] = AGING_BUCKETS.find(([, max]) => c.days <= max);
+		if (!tenants.has(c.tenant_id))
+			tenants.set(c.tenant_id, {
+				tenant_id: c.tenant_id,
+				tenant_name: c.tenant_name,
+				property_id: c.property_id,
+				property_name: c.property_name,
+				...empty(),
+			});
+		if (!props.has(c.property_id))
+			props.set(c.property_id, {
+				property_id: c.property_id,
+				property_name: c.property_name || "Unassigned",
+				...empty(),
+			});
+		for (const t of [
+			tenants.get(c.tenant_id),
+			props.get(c.property_id),
+			totals,
+		]) {
+			t[bucket] = money(t[bucket] + +c.outstanding);
+			t.total = money(t.total + +c.outstanding);
+		}
+	}
+	const byTotal = (a, b) => b.total - a.total;
+	return {
+		from,
+		as_at: to,
+		tenants: [...tenants.values()].sort(byTotal),
+		properties: [...props.values()].sort(byTotal),
+		totals,
+	};
+});
+
+// Per month: what was billed, how much of it has been paid (payments applied
+// to those charges) and the cash actually received that month
+analyticsRoute("collections", async (d, user, { property_id, from, to }) => {
+	const ts = analyticsScope(user, "t.property_id", property_id);
+	const [billed] = await d.query(
+		`SELECT DATE_FORMAT(c.entry_date,'%Y-%m') as month, SUM(c.amount) as billed,
+            SUM(COALESCE((SELECT SUM(a.amount) FROM ledger_entries a
+                          WHERE a.applies_to=c.id AND a.category='payment'),0)) as collected
+     FROM ledger_entries c JOIN tenants t ON c.tenant_id=t.id
+     WHERE t.org_id=? AND c.entry_type='charge' AND c.entry_date BETWEEN ? AND ?${ts.sql}
+     GROUP BY month`,
+		[user.org_id, from, to, ...ts.params],
+	);
+	const [received] = await d.query(
+		`SELECT DATE_FORMAT(p.payment_date,'%Y-%m') as month, SUM(p.amount) as received
+     FROM payments p JOIN tenants t ON p.tenant_id=t.id
+     WHERE p.org_id=? AND p.status='active' AND p.payment_date BETWEEN ? AND ?${ts.sql}
+     GROUP BY month`,
+		[user.org_id, from, to, ...ts.params],
+	);
+	const months = monthsBetween(from, to).map((month) => {
+		const b = billed.find((r) => r.month === month);
+		const r = received.find((r) => r.month === month);
+		return {
+			month,
+			billed: money(b?.billed),
+			collected: money(b?.collected),
+			received: money(r?.received),
+		};
+	});
+	const totals = {
+		billed: sumOf(months, "billed"),
+		collected: sumOf(months, "collected"),
+		received: sumOf(months, "received"),
+	};
+	const rate = (m) => ({
+		...m,
+		collection_rate: percent(m.collected, m.billed),
+	});
+	return { months: months.map(rate), totals: rate(totals) };
+});
+
+// Days from a charge to the payments that settled it, weighted by amount.
+// Payments made ahead of the charge count as zero days.
+analyticsRoute("days-to-pay", async (d, user, { property_id, from, to }) => {
+	const ts = analyticsScope(user, "t.property_id", property_id);
+	const [rows] = await d.query(
+		`SELECT t.property_id, p.name as property_name, COUNT(*) as allocations, SUM(a.amount) as amount,
+            SUM(a.amount * GREATEST(0, DATEDIFF(a.entry_date, c.entry_date))) as weighted_days
+     FROM ledger_entries a
+     JOIN ledger_entries c ON a.applies_to=c.id
+     JOIN tenants t ON c.tenant_id=t.id
+     LEFT JOIN properties p ON t.property_id=p.id
+     WHERE t.org_id=? AND a.entry_type='credit' AND a.category='payment'
+       AND a.entry_date BETWEEN ? AND ?${ts.sql}
+     GROUP BY t.property_id, p.name`,
+		[user.org_id, from, to, ...ts.params],
+	);
+	const average = (weighted, amount) =>
+		+amount ? Math.round((weighted / amount) * 10) / 10 : null;
+	const properties = rows
+		.map((r) => ({
+			property_id: r.property_id,
+			property_name: r.property_name || "Unassigned",
+			allocations: r.allocations,
+			amount: money(r.amount),
+			average_days_to_pay: average(r.weighted_days, r.amount),
+		}))
+		.sort((a, b) => a.property_name.localeCompare(b.property_name));
+	return {
+		properties,
+		average_days_to_pay: average(
+			rows.reduce((s, r) => s + +r.weighted_days, 0),
+			rows.reduce((s, r) => s + +r.amount, 0),
+		),
+	};
+});
+
+// Current lease terms ending between from and to (the next 12 months by
+// default), by month, with the rent that comes up for renewal
+analyticsRoute(
+	"lease-expiries",
+	async (d, user, { property_id, from, to }) => {
+		const ts = analyticsScope(user, "t.property_id", property_id);
+		const [leases] = await d.query(
+			`SELECT t.id as tenant_id, t.tenant_name, t.property_id, p.name as property_name,
+              l.lease_end, l.rent_per_annum, t.quit_notice
+       FROM leases l JOIN tenants t ON l.tenant_id=t.id
+       LEFT JOIN properties p ON t.property_id=p.id
+       WHERE t.org_id=? AND l.status='active' AND l.lease_end BETWEEN ? AND ?${ts.sql}
+       ORDER BY l.lease_end`,
+			[user.org_id, from, to, ...ts.params],
+		);
+		const months = monthsBetween(from, to).map((month) => {
+			const ending = leases.filter((l) => ymd(l.lease_end).startsWith(month));
+			return {
+				month,
+				expiring: ending.length,
+				quit_notices: ending.filter((l) => l.quit_notice).length,
+				rent_per_annum: sumOf(ending, "rent_per_annum"),
+				tenants: ending.map((l) => ({
+					...l,
+					lease_end: ymd(l.lease_end),
+					quit_notice: !!l.quit_notice,
+				})),
+			};
+		});
+		return {
+			months,
+			totals: {
+				expiring: leases.length,
+				quit_notices: leases.filter((l) => l.quit_notice).length,
+				rent_per_annum: sumOf(leases, "rent_per_annum"),
+			},
+		};
+	},
+	true,
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ALERTS — Check expiring leases, overdue rent & maintenance past its SLA
+// ─────────────────────────────────────────────────────────────────────────────
+app.get("/api/alerts", auth(), async (req, res) => {
 	try {
-		await (await db()).query("DELETE FROM tenants WHERE id=?", [req.params.id]);
-		res.json({ success: true });
+		const d = await db();
+		const org = req.user.org_id;
+		const t = scopeFilter(req.user, "t.property_id");
+		const [expiring] = await d.query(
+			`
+      SELECT t.id, t.tenant_name, t.property_address, t.lease_start, t.lease_end, t.rent_per_annum, t.phone,
+             DATEDIFF(t.lease_end, CURDATE()) as days_remaining
+      FROM tenants t WHERE t.org_id=? AND t.lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)${t.sql}
+      ORDER BY t.lease_end ASC
+    `,
+			[org, Math.max(0, ...NOTIFY.leaseDays), ...t.params],
+		);
+		const [overdue] = await d.query(
+			`
+      SELECT t.id, t.tenant_name, t.property_address, t.rent_per_annum, t.amount_paid, t.phone,
+             ${BALANCE_SQL} as amount_owed
+      FROM tenants t ${LEDGER_JOIN} WHERE t.org_id=? AND ${BALANCE_SQL} > 0${t.sql}
+      ORDER BY amount_owed DESC
+    `,
+			[org, ...t.params],
+		);
+		const [quitNotices] = await d.query(
+			`
+      SELECT t.id, t.tenant_name, t.property_address, t.quit_notice_date, t.phone
+      FROM tenants t WHERE t.org_id=? AND t.quit_notice = 1${t.sql}
+    `,
+			[org, ...t.params],
+		);
+		const m = scopeFilter(req.user, "m.property_id");
+		const [maintenanceOverdue] = await d.query(
+			`SELECT m.id, m.title, m.priority, m.status, m.tenant_name, m.property_address,
+             m.assigned_to, m.vendor_id, m.created_at, ${MAINTENANCE_DUE_SQL} as due_at
+      FROM maintenance m WHERE m.org_id=? AND ${MAINTENANCE_OVERDUE_SQL}${m.sql}
+      ORDER BY due_at ASC`,
+			[org, ...m.params],
+		);
+		res.json({
+			expiring: expiring.map((t) => ({ ...t, renew: renewalAction(t) })),
+			overdue,
+			quitNotices,
+			maintenanceOverdue,
+		});
 	} catch (e) {
 		res.status(500).json({ error: e.message });
 	}
 });
 
-// CSV Import
+// ─────────────────────────────────────────────────────────────────────────────
+// TENANT PORTAL — signed expiring links or OTP login; every access is logged
+// ─────────────────────────────────────────────────────────────────────────────
+// Staff issue a link (or the tenant requests a code); either is exchanged at
+// POST /api/portal/session or /api/portal/otp/verify for a portal token that
+// only the /api/portal/me routes accept. Revoking the link ends its sessions.
+const PORTAL_SESSION_HOURS = +process.env.PORTAL_SESSION_HOURS || 12;
+const OTP_MINUTES = 10;
+const hashToken = (t) =>
+	crypto.createHash("sha256").update(String(t)).digest("hex");
+
+async function logPortalAccess(req, tenantId, linkId, action) {
+	try {
+		await (
+			await db()
+		).query(
+			"INSERT INTO portal_access_log (id,tenant_id,link_id,action,ip,user_agent) VALUES (?,?,?,?,?,?)",
+			[
+				uuid(),
+				tenantId || null,
+				linkId || null,
+				action,
+				req.ip,
+				(req.headers["user-agent"] || "").slice(0, 255),
+			],
+		);
+	} catch (e) {
+		console.error("Portal access log failed:", e.message);
+	}
+}
+
+async function createPortalLink(d, tenantId, kind, hours, createdBy) {
+	const id = uuid();
+	const token = crypto.randomBytes(32).toString("base64url");
+	const expires_at = new Date(Date.now() + hours * 3600e3);
+	await d.query(
+		"INSERT INTO portal_links (id,tenant_id,kind,token_hash,expires_at,created_by) VALUES (?,?,?,?,?,?)",
+		[id, tenantId, kind, hashToken(token), expires_at, createdBy || null],
+	);
+	return { id, token, expires_at };
+}
+
+// Portal token lives no longer than the link that issued it
+function portalToken(link) {
+	const seconds = Math.min(
+		PORTAL_SESSION_HOURS * 3600,
+		Math.floor((new Date(link.expires_at) - Date.now()) / 1000),
+	);
+	return {
+		token: jwt.sign(
+			{ portal: true, tenant_id: link.tenant_id, link_id: link.id },
+			JWT_SECRET,
+			{ expiresIn: seconds },
+		),
+		expires_in: seconds,
+	};
+}
+
+async function portalAuth(req, res, next) {
+	const token = req.headers.authorization?.split(" ")[1];
+	if (!token) return res.status(401).json({ error: "No token" });
+	let decoded;
+	try {
+		decoded = jwt.verify(token, JWT_SECRET);
+	} catch {
+		return res.status(401).json({ error: "Invalid token" });
+	}
+	if (!decoded.portal) return res.status(401).json({ error: "Invalid token" });
+	try {
+		const [[link]] = await (
+			await db()
+		).query(
+			`SELECT l.id, t.org_id FROM portal_links l JOIN tenants t ON l.tenant_id = t.id
+       WHERE l.id=? AND l.revoked_at IS NULL AND l.expires_at > NOW()`,
+			[decoded.link_id],
+		);
+		if (!link) return res.status(401).json({ error: "Portal access revoked" });
+		req.portal = { ...decoded, org_id: link.org_id };
+		await logPortalAccess(
+			req,
+			decoded.tenant_id,
+			decoded.link_id,
+			`${req.method} ${req.path}`,
+		);
+		next();
+	} catch (e) {
+		res.status(500).json({ error: e.message });
+	}
+}
+
+// ── Staff: issue, list and revoke links ──────────────────────────────────────
 app.post(
-	"/api/tenants/import",
+	"/api/tenants/:id/portal-links",
 	auth(),
-	upload.single("file"),
+	can("portal:manage"),
+	inScope("tenant"),
+	validate({
+		body: { expires_in_days: field.integer({ min: 1, max: 90 }) },
+	}),
+	audited("portal_link", { param: false }),
 	async (req, res) => {
 		try {
-			if (!req.file) return res.status(400).json({ error: "No file" });
-			const records = parse(req.file.buffer.toString("utf8"), {
-				columns: true,
-				skip_empty_lines: true,
-				trim: true,
+			const days = +req.body.expires_in_days || 7;
+			const d = await db();
+			const [[t]] = await d.query("SELECT id FROM tenants WHERE id=?", [
+				req.params.id,
+			]);
+			if (!t) return res.status(404).json({ error: "Not found" });
+			const link = await createPortalLink(
+				d,
+				t.id,
+				"link",
+				days * 24,
+				req.user.id,
+			);
+			const base = (process.env.CLIENT_URL || "http://localhost:5173").replace(
+				/\/$/,
+				"",
+			);
+			res.status(201).json({
+				id: link.id,
+				token: link.token,
+				url: `${base}/portal?token=${link.token}`,
+				expires_at: link.expires_at,
 			});
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/tenants/:id/portal-links",
+	auth(),
+	inScope("tenant"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				`SELECT id,kind,expires_at,revoked_at,last_used_at,created_by,created_at,
+              CASE WHEN revoked_at IS NOT NULL THEN 'revoked'
+                   WHEN expires_at <= NOW() THEN 'expired' ELSE 'active' END as status
+       FROM portal_links WHERE tenant_id=? ORDER BY created_at DESC`,
+				[req.params.id],
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.delete(
+	"/api/portal-links/:id",
+	auth(),
+	can("portal:manage"),
+	inScope("portal_link"),
+	audited("portal_link", { action: "revoke" }),
+	async (req, res) => {
+		try {
+			await (
+				await db()
+			).query(
+				"UPDATE portal_links SET revoked_at=NOW(),revoked_by=? WHERE id=? AND revoked_at IS NULL",
+				[req.user.id, req.params.id],
+			);
+			res.json({ success: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/tenants/:id/portal-links/revoke-all",
+	auth(),
+	can("portal:manage"),
+	inScope("tenant"),
+	audited("tenant", { action: "portal.revoke_all" }),
+	async (req, res) => {
+		try {
+			const [r] = await (
+				await db()
+			).query(
+				"UPDATE portal_links SET revoked_at=NOW(),revoked_by=? WHERE tenant_id=? AND revoked_at IS NULL",
+				[req.user.id, req.params.id],
+			);
+			res.json({ success: true, revoked: r.affectedRows });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.get(
+	"/api/tenants/:id/portal-access",
+	auth(),
+	inScope("tenant"),
+	async (req, res) => {
+		try {
+			const [rows] = await (
+				await db()
+			).query(
+				"SELECT * FROM portal_access_log WHERE tenant_id=? ORDER BY created_at DESC LIMIT 200",
+				[req.params.id],
+			);
+			res.json(rows);
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// ── Tenant: sign in ──────────────────────────────────────────────────────────
+app.post(
+	"/api/portal/session",
+	validate({ body: { token: field.text({ required: true }) } }),
+	async (req, res) => {
+		try {
+			const { token } = req.body;
 			const d = await db();
-			const inserted = [];
-			for (const row of records) {
-				const g = (keys) => {
-					for (const k of keys) {
-						const f = Object.keys(row).find(
-							(rk) =>
-								rk.toLowerCase().replace(/[\s_]/g, "") ===
-								k.toLowerCase().replace(/[\s_]/g, ""),
-						);
-						if (f && row[f]) return row[f];
-					}
-					return "";
-				};
-				const name = g(["nameoftenant", "tenant", "name"]);
-				if (!name) continue;
-				const id = uuid();
-				await d.query(
-					`INSERT INTO tenants (id,tenant_name,accommodation_type,property_address,period,rent_per_annum,amount_paid,phone,email,notes,quit_notice,created_by)
-         VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
-					[
-						id,
-						name,
-						g(["typeofaccommodation", "type", "accommodation"]),
-						g(["property", "address", "block"]),
-						g(["period"]),
-						parseFloat(g(["rentperannum", "rent"]).replace(/[^0-9.]/g, "")) ||
-							0,
-						parseFloat(g(["amountpaid", "paid"]).replace(/[^0-9.]/g, "")) || 0,
-						g(["phone", "mobile"]),
-						g(["email"]),
-						g(["notes", "remarks"]),
-						g(["quitnotice", "quit"]).toLowerCase() === "yes" ? 1 : 0,
-						req.user.id,
-					],
+			const [[link]] = await d.query(
+				"SELECT * FROM portal_links WHERE token_hash=? AND kind='link'",
+				[hashToken(token)],
+			);
+			if (!link || link.revoked_at || new Date(link.expires_at) <= new Date()) {
+				await logPortalAccess(req, link?.tenant_id, link?.id, "session_denied");
+				return res
+					.status(401)
+					.json({ error: "Link is invalid or has expired" });
+			}
+			await d.query("UPDATE portal_links SET last_used_at=NOW() WHERE id=?", [
+				link.id,
+			]);
+			await logPortalAccess(req, link.tenant_id, link.id, "session");
+			res.json(portalToken(link));
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+// Tenants sign in to one organisation's portal, picked by its slug (the
+// original organisation when none is given)
+async function portalOrganisation(d, slug) {
+	const [[o]] = await d.query(
+		"SELECT id FROM organisations WHERE is_active=1 AND " +
+			(slug ? "slug=?" : "id=?"),
+		[slug || DEFAULT_ORG_ID],
+	);
+	return o ? organisation(o.id) : null;
+}
+
+// Matches 0803..., 234803... and +234803... forms of the same number
+async function findTenantByContact(d, orgId, { phone, email }) {
+	if (email) {
+		const [[t]] = await d.query(
+			"SELECT * FROM tenants WHERE org_id=? AND email=? AND email != '' LIMIT 1",
+			[orgId, email],
+		);
+		return t || null;
+	}
+	const intl = intlPhone(phone);
+	if (intl.length < 7) return null;
+	const variants = [intl, "+" + intl, "0" + intl.replace(/^234/, "")];
+	const [[t]] = await d.query(
+		"SELECT * FROM tenants WHERE org_id=? AND (phone IN (?) OR whatsapp IN (?)) LIMIT 1",
+		[orgId, variants, variants],
+	);
+	return t || null;
+}
+
+// Codes go out through the SMS/email provider without being written to
+// message_log. PORTAL_OTP_DELIVERY=stub prints them to the console instead, for
+// local development only: anyone reading the logs could sign in as the tenant.
+const PORTAL_OTP_DELIVERY = process.env.PORTAL_OTP_DELIVERY || "provider";
+if (!["provider", "stub"].includes(PORTAL_OTP_DELIVERY))
+	throw new Error(
+		`PORTAL_OTP_DELIVERY must be provider or stub, not "${PORTAL_OTP_DELIVERY}"`,
+	);
+if (PORTAL_OTP_DELIVERY === "stub" && process.env.NODE_ENV === "production")
+	throw new Error("PORTAL_OTP_DELIVERY=stub is not allowed in production");
+
+async function deliverPortalCode(org, channel, to, code) {
+	const message = `Your ${org.sender_name} portal code is ${code}. It expires in ${OTP_MINUTES} minutes.`;
+	if (PORTAL_OTP_DELIVERY === "stub") {
+		console.log(`[portal code] ${channel} ${to}: ${code}`);
+		return;
+	}
+	const { name, provider } = providerFor(channel);
+	// Manual cannot deliver a code; the tenant will have to ask the office
+	if (name === "manual")
+		return console.error(
+			`Portal code not sent: no ${channel === "sms" ? "SMS" : "email"} provider configured`,
+		);
+	await provider.send({
+		channel,
+		to,
+		message,
+		subject: `Your ${org.sender_name} portal code`,
+		sender: org,
+	});
+}
+
+// How a tenant identifies themselves: phone or email, in one organisation
+const PORTAL_CONTACT_FIELDS = {
+	phone: field.text({ max: 50 }),
+	email: field.email(),
+	org: field.text({ max: 50 }),
+};
+
+// Always answers the same way so it cannot be used to discover tenants
+app.post(
+	"/api/portal/otp/request",
+	validate({ body: PORTAL_CONTACT_FIELDS }),
+	async (req, res) => {
+		try {
+			const { phone, email } = req.body;
+			if (!phone && !email)
+				return res.status(400).json({ error: "phone or email required" });
+			const d = await db();
+			const org = await portalOrganisation(d, req.body.org);
+			const t = org && (await findTenantByContact(d, org.id, { phone, email }));
+			if (t) {
+				const [[{ recent }]] = await d.query(
+					"SELECT COUNT(*) as recent FROM portal_otps WHERE tenant_id=? AND created_at > NOW() - INTERVAL 15 MINUTE",
+					[t.id],
 				);
-				const [[r]] = await d.query("SELECT * FROM tenants WHERE id=?", [id]);
-				inserted.push(r);
+				if (recent < 3) {
+					const code = String(crypto.randomInt(0, 1e6)).padStart(6, "0");
+					const id = uuid();
+					await d.query(
+						"INSERT INTO portal_otps (id,tenant_id,code_hash,expires_at) VALUES (?,?,?,NOW() + INTERVAL ? MINUTE)",
+						[id, t.id, hashToken(`${id}:${code}`), OTP_MINUTES],
+					);
+					await deliverPortalCode(
+						org,
+						email ? "email" : "sms",
+						email || phone,
+						code,
+					);
+				}
+				await logPortalAccess(req, t.id, null, "otp_request");
+			}
+			res.json({ sent: true });
+		} catch (e) {
+			res.status(500).json({ error: e.message });
+		}
+	},
+);
+
+app.post(
+	"/api/portal/otp/verify",
+	validate({
+		body: {
+			...PORTAL_CONTACT_FIELDS,
+			code: field.text({ required: true, max: 10 }),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { phone, email, code } = req.body;
+			if (!phone && !email)
+				return res.status(400).json({ error: "phone or email required" });
+			const d = await db();
+			const org = await portalOrganisation(d, req.body.org);
+			const t = org && (await findTenantByContact(d, org.id, { phone, email }));
+			const [[otp]] = t
+				? await d.query(
+						`SELECT * FROM portal_otps WHERE tenant_id=? AND used_at IS NULL AND expires_at > NOW()
+           ORDER BY created_at DESC LIMIT 1`,
+						[t.id],
+					)
+				: [[]];
+			if (!otp || otp.attempts >= 5) {
+				if (t) await logPortalAccess(req, t.id, null, "otp_denied");
+				return res.status(401).json({ error: "Invalid or expired code" });
+			}
+			if (hashToken(`${otp.id}:${code}`) !== otp.code_hash) {
+				await d.query("UPDATE portal_otps SET attempts=attempts+1 WHERE id=?", [
+					otp.id,
+				]);
+				await logPortalAccess(req, t.id, null, "otp_denied");
+				return res.status(401).json({ error: "Invalid or expired code" });
 			}
-			res.json({ imported: inserted.length, tenants: inserted });
+			await d.query("UPDATE portal_otps SET used_at=NOW() WHERE id=?", [
+				otp.id,
+			]);
+			const link = await createPortalLink(d, t.id, "otp", PORTAL_SESSION_HOURS);
+			await logPortalAccess(req, t.id, link.id, "session");
+			res.json(portalToken({ ...link, tenant_id: t.id }));
 		} catch (e) {
 			res.status(500).json({ error: e.message });
 		}
 	},
 );
 
-// ─────────────────────────────────────────────────────────────────────────────
-// PAYMENTS
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/payments", auth(), async (req, res) => {
-	try {
-		const { tenant_id, from, to } = req.query;
-		let sql = `SELECT p.*, t.tenant_name, t.property_address FROM payments p 
-               LEFT JOIN tenants t ON p.tenant_id = t.id WHERE 1=1`;
-		const params = [];
-		if (tenant_id) {
-			sql += " AND p.tenant_id=?";
-			params.push(tenant_id);
-		}
-		if (from) {
-			sql += " AND p.payment_date >= ?";
-			params.push(from);
-		}
-		if (to) {
-			sql += " AND p.payment_date <= ?";
-			params.push(to);
-		}
-		sql += " ORDER BY p.payment_date DESC";
-		const [rows] = await (await db()).query(sql, params);
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-app.post("/api/payments", auth(), async (req, res) => {
+// ── Tenant: self-service ─────────────────────────────────────────────────────
+app.get("/api/portal/me", portalAuth, async (req, res) => {
 	try {
-		const {
-			tenant_id,
-			amount,
-			payment_date,
-			payment_method,
-			reference,
-			notes,
-		} = req.body;
-		if (!tenant_id || !amount)
-			return res.status(400).json({ error: "tenant_id and amount required" });
 		const d = await db();
-		const [[lastReceipt]] = await d.query(
-			"SELECT receipt_number FROM payments ORDER BY created_at DESC LIMIT 1",
-		);
-		const lastNum = lastReceipt?.receipt_number
-			? parseInt(lastReceipt.receipt_number.split("-").pop()) + 1
-			: 1;
-		const receipt_number = `RCP-${new Date().getFullYear()}-${String(lastNum).padStart(4, "0")}`;
-		const id = uuid();
-		await d.query(
-			`INSERT INTO payments (id,tenant_id,amount,payment_date,payment_method,reference,notes,receipt_number,recorded_by)
-       VALUES (?,?,?,?,?,?,?,?,?)`,
-			[
-				id,
-				tenant_id,
-				amount,
-				payment_date || new Date().toISOString().split("T")[0],
-				payment_method || "cash",
-				reference || "",
-				notes || "",
-				receipt_number,
-				req.user.id,
-			],
+		const [[t]] = await d.query(
+			`SELECT t.id,t.tenant_name,t.accommodation_type,t.property_address,t.period,t.lease_start,t.lease_end,t.rent_per_annum,t.amount_paid,t.phone,t.email,
+              t.quit_notice,t.quit_notice_date,${BALANCE_SQL} as balance
+       FROM tenants t ${LEDGER_JOIN} WHERE t.id=?`,
+			[req.portal.tenant_id],
 		);
-		// Update tenant amount_paid
-		await d.query(
-			"UPDATE tenants SET amount_paid = amount_paid + ? WHERE id=?",
-			[amount, tenant_id],
-		);
-		const [[payment]] = await d.query(
-			"SELECT p.*,t.tenant_name FROM payments p LEFT JOIN tenants t ON p.tenant_id=t.id WHERE p.id=?",
-			[id],
+		if (!t) return res.status(404).json({ error: "Not found" });
+		const [payments] = await d.query(
+			"SELECT id,amount,payment_date,payment_method,receipt_number FROM payments WHERE tenant_id=? AND status='active' ORDER BY payment_date DESC",
+			[t.id],
 		);
-		res.status(201).json(payment);
+		res.json({
+			...t,
+			payments: payments.map((p) => ({
+				...p,
+				receipt_url: `/api/portal/me/payments/${p.id}/receipt.pdf`,
+			})),
+		});
 	} catch (e) {
 		res.status(500).json({ error: e.message });
 	}
 });
 
-app.delete(
-	"/api/payments/:id",
-	auth(["admin", "manager"]),
+app.get(
+	"/api/portal/me/statement",
+	portalAuth,
+	validate({ query: DATE_RANGE }),
 	async (req, res) => {
 		try {
-			const d = await db();
-			const [[p]] = await d.query("SELECT * FROM payments WHERE id=?", [
-				req.params.id,
-			]);
-			if (!p) return res.status(404).json({ error: "Not found" });
-			await d.query(
-				"UPDATE tenants SET amount_paid = GREATEST(0, amount_paid - ?) WHERE id=?",
-				[p.amount, p.tenant_id],
+			const { from, to } = req.query;
+			res.json(
+				await buildStatement(await db(), req.portal.tenant_id, from, to),
 			);
-			await d.query("DELETE FROM payments WHERE id=?", [req.params.id]);
-			res.json({ success: true });
 		} catch (e) {
 			res.status(500).json({ error: e.message });
 		}
 	},
 );
 
-// ─────────────────────────────────────────────────────────────────────────────
-// MAINTENANCE
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/maintenance", auth(), async (req, res) => {
-	try {
-		const { status, priority } = req.query;
-		let sql =
-			"SELECT m.*, u.name as assigned_name FROM maintenance m LEFT JOIN users u ON m.assigned_to=u.id WHERE 1=1";
-		const p = [];
-		if (status) {
-			sql += " AND m.status=?";
-			p.push(status);
-		}
-		if (priority) {
-			sql += " AND m.priority=?";
-			p.push(priority);
-		}
-		sql +=
-			" ORDER BY FIELD(m.priority,'urgent','high','medium','low'), m.created_at DESC";
-		const [rows] = await (await db()).query(sql, p);
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-app.post("/api/maintenance", auth(), async (req, res) => {
-	try {
-		const {
-			tenant_id,
-			tenant_name,
-			property_address,
-			category,
-			title,
-			description,
-			priority,
-		} = req.body;
-		if (!title) return res.status(400).json({ error: "title required" });
-		const id = uuid();
-		await (
-			await db()
-		).query(
-			`INSERT INTO maintenance (id,tenant_id,tenant_name,property_address,category,title,description,priority)
-       VALUES (?,?,?,?,?,?,?,?)`,
-			[
-				id,
-				tenant_id || null,
-				tenant_name || "",
-				property_address || "",
-				category || "other",
-				title,
-				description || "",
-				priority || "medium",
-			],
-		);
-		const [[row]] = await (
-			await db()
-		).query("SELECT * FROM maintenance WHERE id=?", [id]);
-		res.status(201).json(row);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-app.patch("/api/maintenance/:id", auth(), async (req, res) => {
-	try {
-		const { status, assigned_to, priority } = req.body;
-		const resolved_at = status === "resolved" ? new Date() : null;
-		await (
-			await db()
-		).query(
-			"UPDATE maintenance SET status=?,assigned_to=?,priority=?,resolved_at=? WHERE id=?",
-			[status, assigned_to || null, priority, resolved_at, req.params.id],
-		);
-		const [[row]] = await (
-			await db()
-		).query("SELECT * FROM maintenance WHERE id=?", [req.params.id]);
-		res.json(row);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-app.delete(
-	"/api/maintenance/:id",
-	auth(["admin", "manager"]),
+app.get(
+	"/api/portal/me/payments/:paymentId/receipt.pdf",
+	portalAuth,
 	async (req, res) => {
 		try {
-			await (
-				await db()
-			).query("DELETE FROM maintenance WHERE id=?", [req.params.id]);
-			res.json({ success: true });
+			const r = await receiptData(await db(), req.params.paymentId);
+			if (!r || r.tenant_id !== req.portal.tenant_id || r.status === "void")
+				return res.status(404).json({ error: "Not found" });
+			await writeReceiptPdf(res, r, await organisation(r.org_id));
 		} catch (e) {
 			res.status(500).json({ error: e.message });
 		}
 	},
 );
 
-// ─────────────────────────────────────────────────────────────────────────────
-// NOTIFICATIONS
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/notifications", auth(), async (req, res) => {
-	try {
-		const [rows] = await (
-			await db()
-		).query(
-			"SELECT * FROM notifications WHERE user_id=? OR user_id IS NULL ORDER BY created_at DESC LIMIT 50",
-			[req.user.id],
-		);
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-app.patch("/api/notifications/:id/read", auth(), async (req, res) => {
-	try {
-		await (
-			await db()
-		).query("UPDATE notifications SET is_read=1 WHERE id=?", [req.params.id]);
-		res.json({ success: true });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+const PORTAL_ATTACHMENTS = "/api/portal/me/maintenance-attachments";
 
-app.patch("/api/notifications/read-all", auth(), async (req, res) => {
+app.get("/api/portal/me/maintenance", portalAuth, async (req, res) => {
 	try {
-		await (
-			await db()
-		).query(
-			"UPDATE notifications SET is_read=1 WHERE user_id=? OR user_id IS NULL",
-			[req.user.id],
+		const d = await db();
+		const [rows] = await d.query(
+			"SELECT id,category,title,description,priority,status,resolved_at,created_at FROM maintenance WHERE tenant_id=? ORDER BY created_at DESC",
+			[req.portal.tenant_id],
+		);
+		const [attachments] = rows.length
+			? await d.query(
+					"SELECT * FROM maintenance_attachments WHERE maintenance_id IN (?) ORDER BY created_at",
+					[rows.map((r) => r.id)],
+				)
+			: [[]];
+		res.json(
+			rows.map((r) => ({
+				...r,
+				attachments: attachments
+					.filter((a) => a.maintenance_id === r.id)
+					.map((a) => attachmentUrls(a, PORTAL_ATTACHMENTS)),
+			})),
 		);
-		res.json({ success: true });
 	} catch (e) {
 		res.status(500).json({ error: e.message });
 	}
 });
 
-// ─────────────────────────────────────────────────────────────────────────────
-// MESSAGE LOG (WhatsApp / SMS)
-// ─────────────────────────────────────────────────────────────────────────────
-app.post("/api/messages/send", auth(), async (req, res) => {
-	try {
-		const { tenant_id, tenant_name, phone, channel, message } = req.body;
-		const id = uuid();
-		await (
-			await db()
-		).query(
-			"INSERT INTO message_log (id,tenant_id,tenant_name,phone,channel,message,status,sent_by) VALUES (?,?,?,?,?,?,?,?)",
-			[
+// JSON, or multipart with the same fields plus photos in files
+app.post(
+	"/api/portal/me/maintenance",
+	portalAuth,
+	audited("maintenance"),
+	attachmentUpload.array("files", ATTACHMENT_MAX_FILES),
+	validate({
+		body: {
+			title: MAINTENANCE_FIELDS.title,
+			description: MAINTENANCE_FIELDS.description,
+			category: MAINTENANCE_FIELDS.category,
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { category, title, description } = req.body;
+			const prepared = await prepareAttachments(req.files);
+			const d = await db();
+			const [[t]] = await d.query(
+				"SELECT id,org_id,tenant_name,property_address,property_id FROM tenants WHERE id=?",
+				[req.portal.tenant_id],
+			);
+			const id = uuid();
+			await d.query(
+				`INSERT INTO maintenance (id,org_id,tenant_id,tenant_name,property_address,property_id,category,title,description,priority)
+       VALUES (?,?,?,?,?,?,?,?,?,?)`,
+				[
+					id,
+					t.org_id,
+					t.id,
+					t.tenant_name,
+					t.property_address,
+					t.property_id,
+					category || "other",
+					title,
+					description || "",
+					"medium",
+				],
+			);
+			await recordMaintenanceStatus(d, id, null, "open", {
+				type: "tenant",
+				id: t.id,
+			});
+			const attachments = await saveMaintenanceAttachments(d, id, prepared, {
+				uploaded_via: "portal",
+			});
+			const [[row]] = await d.query("SELECT * FROM maintenance WHERE id=?", [
 				id,
-				tenant_id || null,
-				tenant_name || "",
-				phone || "",
-				channel || "whatsapp",
-				message || "",
-				"sent",
-				req.user.id,
-			],
-		);
-
-		// Generate WhatsApp link (no API key needed)
-		const cleanPhone = (phone || "").replace(/\D/g, "");
-		const intlPhone = cleanPhone.startsWith("0")
-			? "234" + cleanPhone.slice(1)
-			: cleanPhone;
-		const waLink = `https://wa.me/${intlPhone}?text=${encodeURIComponent(message)}`;
+			]);
+			notifyInBackground(async () =>
+				notify(
+					d,
+					await notificationRecipients(d, t.org_id, [], t.property_id),
+					{
+						type: "maintenance",
+						title: `New maintenance request from ${t.tenant_name}`,
+						message: `${row.title}${row.property_address ? ` at ${row.property_address}` : ""}`,
+						tenant_id: t.id,
+						org_id: t.org_id,
+						dedupe_key: `maintenance:${id}`,
+					},
+				),
+			);
+			res.status(201).json({
+				...row,
+				attachments: attachments.map((a) =>
+					attachmentUrls(a, PORTAL_ATTACHMENTS),
+				),
+			});
+		} catch (e) {
+			res.status(e.status || 500).json({ error: e.message });
+		}
+	},
+);
 
-		res.json({
-			success: true,
-			id,
-			whatsapp_link: waLink,
-			message: "Message logged. Use the WhatsApp link to send.",
-		});
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+// More photos for one of the tenant's own requests, while it is still open
+app.post(
+	"/api/portal/me/maintenance/:id/attachments",
+	portalAuth,
+	audited("maintenance", { action: "attach" }),
+	attachmentUpload.array("files", ATTACHMENT_MAX_FILES),
+	async (req, res) => {
+		try {
+			if (!req.files?.length)
+				return res.status(400).json({ error: "No files uploaded" });
+			const d = await db();
+			const [[m]] = await d.query(
+				"SELECT id,status FROM maintenance WHERE id=? AND tenant_id=?",
+				[req.params.id, req.portal.tenant_id],
+			);
+			if (!m) return res.status(404).json({ error: "Not found" });
+			if (m.status === "closed")
+				return res.status(400).json({ error: "Request is closed" });
+			const prepared = await prepareAttachments(req.files);
+			const saved = await saveMaintenanceAttachments(d, m.id, prepared, {
+				uploaded_via: "portal",
+			});
+			res
+				.status(201)
+				.json(saved.map((a) => attachmentUrls(a, PORTAL_ATTACHMENTS)));
+		} catch (e) {
+			res.status(e.status || 500).json({ error: e.message });
+		}
+	},
+);
 
-app.get("/api/messages", auth(), async (req, res) => {
-	try {
-		const [rows] = await (
-			await db()
-		).query("SELECT * FROM message_log ORDER BY created_at DESC LIMIT 100");
-		res.json(rows);
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
+for (const [route, thumb] of [
+	["download", false],
+	["thumbnail", true],
+])
+	app.get(
+		`${PORTAL_ATTACHMENTS}/:id/${route}`,
+		portalAuth,
+		async (req, res) => {
+			try {
+				const [[a]] = await (
+					await db()
+				).query(
+					`SELECT a.* FROM maintenance_attachments a JOIN maintenance m ON a.maintenance_id=m.id
+         WHERE a.id=? AND m.tenant_id=?`,
+					[req.params.id, req.portal.tenant_id],
+				);
+				if (!a || (thumb && !a.thumbnail_key))
+					return res.status(404).json({ error: "Not found" });
+				await sendStoredFile(
+					res,
+					thumb ? a.thumbnail_key : a.storage_key,
+					thumb ? { ...a, mime_type: "image/jpeg" } : a,
+					thumb || req.query.inline === "1",
+				);
+			} catch (e) {
+				res.status(500).json({ error: e.message });
+			}
+		},
+	);
 
-// Bulk reminder — sends to all tenants with outstanding balance
+// Quit notice with an optional signed letter (PDF or image)
 app.post(
-	"/api/messages/bulk-reminder",
-	auth(["admin", "manager"]),
+	"/api/portal/me/quit-notice",
+	portalAuth,
+	audited("tenant", {
+		action: "quit_notice",
+		id: (req) => req.portal.tenant_id,
+	}),
+	documentUpload.single("file"),
+	validate({
+		body: {
+			notice_date: field.date({
+				check: (v) =>
+					parseDate(v) < ymd(new Date()) ? "cannot be in the past" : null,
+			}),
+			reason: field.text({ max: 1000 }),
+		},
+	}),
 	async (req, res) => {
 		try {
-			const { message_template } = req.body;
+			const notice_date = parseDate(req.body.notice_date) || ymd(new Date());
 			const d = await db();
-			const [tenants] = await d.query(
-				"SELECT * FROM tenants WHERE amount_paid < rent_per_annum AND phone != ''",
+			const [[t]] = await d.query(
+				"SELECT id,org_id,tenant_name,property_address,property_id,created_by FROM tenants WHERE id=?",
+				[req.portal.tenant_id],
 			);
-			const links = [];
-			for (const t of tenants) {
-				const owed = t.rent_per_annum - t.amount_paid;
-				const msg = (
-					message_template ||
-					"Dear {name}, your outstanding rent balance is ₦{amount}. Please contact us. - EstateIQ"
-				)
-					.replace("{name}", t.tenant_name)
-					.replace("{amount}", Number(owed).toLocaleString("en-NG"))
-					.replace("{property}", t.property_address);
-				const id = uuid();
-				await d.query(
-					"INSERT INTO message_log (id,tenant_id,tenant_name,phone,channel,message,status,sent_by) VALUES (?,?,?,?,?,?,?,?)",
-					[
-						id,
-						t.id,
-						t.tenant_name,
-						t.phone,
-						"whatsapp",
-						msg,
-						"sent",
-						req.user.id,
-					],
-				);
-				const clean = t.phone.replace(/\D/g, "");
-				const intl = clean.startsWith("0") ? "234" + clean.slice(1) : clean;
-				links.push({
-					tenant: t.tenant_name,
-					phone: t.phone,
-					link: `https://wa.me/${intl}?text=${encodeURIComponent(msg)}`,
-					amount_owed: owed,
+			let document = null;
+			if (req.file)
+				document = await saveTenantDocument(d, t.id, "quit_notice", req.file, {
+					notes: req.body.reason,
+					uploaded_via: "portal",
 				});
-			}
-			res.json({ sent: links.length, links });
+			await d.query(
+				"UPDATE tenants SET quit_notice=1,quit_notice_date=? WHERE id=?",
+				[notice_date, t.id],
+			);
+			await notify(
+				d,
+				await notificationRecipients(
+					d,
+					t.org_id,
+					[t.created_by],
+					t.property_id,
+				),
+				{
+					type: "quit_notice",
+					title: `Quit notice: ${t.tenant_name}`,
+					message: `${t.tenant_name} (${t.property_address}) served a quit notice through the portal${req.body.reason ? `: ${req.body.reason}` : "."}`,
+					tenant_id: t.id,
+					org_id: t.org_id,
+					dedupe_key: `quit_notice:${t.id}:${ymd(notice_date)}`,
+				},
+			);
+			res
+				.status(201)
+				.json({ success: true, quit_notice_date: notice_date, document });
 		} catch (e) {
 			res.status(500).json({ error: e.message });
 		}
 	},
 );
 
-// ─────────────────────────────────────────────────────────────────────────────
-// ANALYTICS
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/stats", auth(), async (req, res) => {
-	try {
-		const d = await db();
-		const [[summary]] = await d.query(`
-      SELECT
-        COUNT(*) as total_tenants,
-        SUM(rent_per_annum) as total_rent,
-        SUM(amount_paid) as total_paid,
-        SUM(GREATEST(0, rent_per_annum - amount_paid)) as total_outstanding,
-        SUM(quit_notice=1) as quit_count,
-        SUM(amount_paid >= rent_per_annum AND rent_per_annum > 0) as fully_paid,
-        SUM(amount_paid > 0 AND amount_paid < rent_per_annum) as partial_paid,
-        SUM(amount_paid = 0) as unpaid_count,
-        SUM(lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)) as expiring_soon
-      FROM tenants
-    `);
-
-		// Monthly payments for chart (last 12 months)
-		const [monthly] = await d.query(`
-      SELECT DATE_FORMAT(payment_date,'%b %Y') as month,
-             DATE_FORMAT(payment_date,'%Y-%m') as month_key,
-             SUM(amount) as total
-      FROM payments
-      WHERE payment_date >= DATE_SUB(CURDATE(), INTERVAL 12 MONTH)
-      GROUP BY month_key, month ORDER BY month_key ASC
-    `);
-
-		// By accommodation type
-		const [byType] = await d.query(`
-      SELECT accommodation_type as type, COUNT(*) as count, SUM(rent_per_annum) as total_rent
-      FROM tenants GROUP BY accommodation_type ORDER BY count DESC
-    `);
-
-		// Maintenance by status
-		const [maintStats] = await d.query(`
-      SELECT status, COUNT(*) as count FROM maintenance GROUP BY status
-    `);
-
-		res.json({ summary, monthly, byType, maintStats });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-// ─────────────────────────────────────────────────────────────────────────────
-// ALERTS — Check expiring leases & overdue rent
-// ─────────────────────────────────────────────────────────────────────────────
-app.get("/api/alerts", auth(), async (req, res) => {
-	try {
-		const d = await db();
-		const [expiring] = await d.query(`
-      SELECT id, tenant_name, property_address, lease_end, phone,
-             DATEDIFF(lease_end, CURDATE()) as days_remaining
-      FROM tenants WHERE lease_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 60 DAY)
-      ORDER BY lease_end ASC
-    `);
-		const [overdue] = await d.query(`
-      SELECT id, tenant_name, property_address, rent_per_annum, amount_paid, phone,
-             (rent_per_annum - amount_paid) as amount_owed
-      FROM tenants WHERE amount_paid < rent_per_annum AND rent_per_annum > 0
-      ORDER BY amount_owed DESC
-    `);
-		const [quitNotices] = await d.query(`
-      SELECT id, tenant_name, property_address, quit_notice_date, phone
-      FROM tenants WHERE quit_notice = 1
-    `);
-		res.json({ expiring, overdue, quitNotices });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
-	}
-});
-
-// ── TENANT PORTAL (public, by token) ─────────────────────────────────────────
-app.get("/api/portal/:tenantId", async (req, res) => {
-	try {
-		const [[t]] = await (
-			await db()
-		).query(
-			"SELECT id,tenant_name,accommodation_type,property_address,period,lease_start,lease_end,rent_per_annum,amount_paid,phone FROM tenants WHERE id=?",
-			[req.params.tenantId],
-		);
-		if (!t) return res.status(404).json({ error: "Not found" });
-		const [payments] = await (
-			await db()
-		).query(
-			"SELECT amount,payment_date,payment_method,receipt_number FROM payments WHERE tenant_id=? ORDER BY payment_date DESC",
-			[req.params.tenantId],
-		);
-		res.json({ ...t, payments });
-	} catch (e) {
-		res.status(500).json({ error: e.message });
+// Upload errors (size/type limits) are the client's fault, not a 500, as are
+// body parser errors (malformed JSON 400, too large 413), which carry a status.
+// Anything else is ours: logged, and answered without internal detail.
+app.use((err, req, res, next) => {
+	if (err instanceof multer.MulterError)
+		return res.status(400).json({
+			error:
+				err.code === "LIMIT_UNEXPECTED_FILE"
+					? "Unsupported file type"
+					: err.message,
+		});
+	const status = err.status || err.statusCode || 500;
+	if (status >= 500) {
+		console.error(`${req.method} ${req.originalUrl} failed:`, err);
+		return res.status(status).json({ error: "Internal server error" });
 	}
+	res.status(status).json({ error: err.message });
 });
 
 // ── START ─────────────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, "0.0.0.0", () =>
-	console.log(`\n🚀 EstateIQ API v2 on port ${PORT}\n`),
-);
+// The schema is brought up to date (see migrate.js) before any request is taken
+migrateOnStart()
+	.then(() =>
+		app.listen(PORT, "0.0.0.0", () => {
+			console.log(`\n🚀 EstateIQ API v2 on port ${PORT}\n`);
+			scheduleNotificationJob();
+			if (PAYMENT_GATEWAY)
+				setInterval(
+					() =>
+						reconcilePaymentTransactions().catch((e) =>
+							console.error("Payment reconciliation failed:", e.message),
+						),
+					3600e3,
+				);
+		}),
+	)
+	.catch((e) => {
+		console.error("Database migration failed:", e.message);
+		process.exit(1);
+	});
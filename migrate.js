@@ -0,0 +1,300 @@
+// Versioned schema migrations: migrations/NNN_name.up.sql with a matching
+// NNN_name.down.sql, recorded in schema_migrations. index.js applies pending
+// migrations before it starts listening; the same runner is a CLI:
+//
+//   node migrate.js status          applied, pending and edited migrations
+//   node migrate.js up [version]    apply pending migrations (up to version)
+//   node migrate.js down [steps]    roll back the latest (or latest n)
+//   node migrate.js seed            load seeds/*.sql (demo admin and data)
+//   node migrate.js create <name>   start a new numbered pair of files
+//
+// MySQL commits DDL as it goes, so a migration that fails part way is not
+// recorded but may leave some of its changes behind. Write statements that
+// can run again (IF NOT EXISTS, INSERT ... WHERE NOT EXISTS, and for existing
+// tables the schema_* procedures from migration 003), fix, re-run.
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+const MIGRATION_FILE_RE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// A MySQL named lock, so instances starting together migrate one at a time
+const LOCK_NAME = "estateiq_schema_migrations";
+const LOCK_SECONDS = +process.env.MIGRATION_LOCK_TIMEOUT || 60;
+
+// Connection settings, shared with the app's pool in index.js
+function dbConfig(extra = {}) {
+	if (process.env.DATABASE_URL)
+		return { uri: process.env.DATABASE_URL, ...extra };
+	return {
+		host: process.env.DB_HOST || "localhost",
+		port: +process.env.DB_PORT || 3306,
+		user: process.env.DB_USER || "root",
+		password: process.env.DB_PASSWORD || "",
+		database: process.env.DB_NAME || "estateiq",
+		...extra,
+	};
+}
+
+// Creates the database on a fresh install (with DATABASE_URL it must exist)
+async function connect() {
+	if (!process.env.DATABASE_URL) {
+		const { database, ...server } = dbConfig();
+		const conn = await mysql.createConnection(server);
+		try {
+			await conn.query(
+				`CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(database)}`,
+			);
+		} finally {
+			await conn.end();
+		}
+	}
+	return mysql.createConnection(dbConfig({ multipleStatements: true }));
+}
+
+const checksum = (file) =>
+	crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+
+// [{ version, name, up, down }] in version order
+function migrationFiles() {
+	const found = new Map();
+	for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+		const m = file.match(MIGRATION_FILE_RE);
+		if (!m) continue;
+		const version = +m[1];
+		const entry = found.get(version) || { version, name: m[2] };
+		if (entry.name !== m[2])
+			throw new Error(
+				`Migration ${m[1]} is used by both ${entry.name} and ${m[2]}`,
+			);
+		entry[m[3]] = path.join(MIGRATIONS_DIR, file);
+		found.set(version, entry);
+	}
+	for (const m of found.values())
+		if (!m.up)
+			throw new Error(`Migration ${m.version}_${m.name} has no .up.sql`);
+	return [...found.values()].sort((a, b) => a.version - b.version);
+}
+
+async function appliedMigrations(conn) {
+	await conn.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    execution_ms INT,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+	const [rows] = await conn.query(
+		"SELECT * FROM schema_migrations ORDER BY version",
+	);
+	return rows;
+}
+
+async function withLock(conn, fn) {
+	const [[{ locked }]] = await conn.query("SELECT GET_LOCK(?, ?) as locked", [
+		LOCK_NAME,
+		LOCK_SECONDS,
+	]);
+	if (locked !== 1)
+		throw new Error(
+			`Another instance is migrating (no lock after ${LOCK_SECONDS}s)`,
+		);
+	try {
+		return await fn();
+	} finally {
+		await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+	}
+}
+
+// state: applied | pending | changed (file edited since it was applied) |
+// missing (applied, but the file is gone)
+async function status(conn) {
+	const applied = new Map(
+		(await appliedMigrations(conn)).map((r) => [r.version, r]),
+	);
+	const files = migrationFiles();
+	const rows = files.map((f) => {
+		const a = applied.get(f.version);
+		return {
+			version: f.version,
+			name: f.name,
+			state: !a
+				? "pending"
+				: a.checksum === checksum(f.up)
+					? "applied"
+					: "changed",
+			applied_at: a?.applied_at || null,
+		};
+	});
+	for (const a of applied.values())
+		if (!files.some((f) => f.version === a.version))
+			rows.push({
+				version: a.version,
+				name: a.name,
+				state: "missing",
+				applied_at: a.applied_at,
+			});
+	return rows.sort((a, b) => a.version - b.version);
+}
+
+// Applies pending migrations in order, up to and including `to` if given.
+// Returns the ones applied.
+async function up(conn, { to, log = console.log } = {}) {
+	return withLock(conn, async () => {
+		const applied = new Set(
+			(await appliedMigrations(conn)).map((r) => r.version),
+		);
+		const pending = migrationFiles().filter(
+			(m) => !applied.has(m.version) && (to === undefined || m.version <= to),
+		);
+		for (const m of pending) {
+			const started = Date.now();
+			log(`Applying ${m.version}_${m.name}`);
+			try {
+				await conn.query(fs.readFileSync(m.up, "utf8"));
+			} catch (e) {
+				throw new Error(`${m.version}_${m.name} failed: ${e.message}`);
+			}
+			await conn.query(
+				"INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?,?,?,?)",
+				[m.version, m.name, checksum(m.up), Date.now() - started],
+			);
+		}
+		return pending;
+	});
+}
+
+// Rolls back the latest `steps` applied migrations, newest first
+async function down(conn, { steps = 1, log = console.log } = {}) {
+	return withLock(conn, async () => {
+		const files = new Map(migrationFiles().map((m) => [m.version, m]));
+		const latest = (await appliedMigrations(conn)).reverse().slice(0, steps);
+		for (const a of latest) {
+			const m = files.get(a.version);
+			if (!m?.down)
+				throw new Error(`${a.version}_${a.name} has no .down.sql to roll back`);
+			log(`Rolling back ${m.version}_${m.name}`);
+			try {
+				await conn.query(fs.readFileSync(m.down, "utf8"));
+			} catch (e) {
+				throw new Error(`${m.version}_${m.name} rollback failed: ${e.message}`);
+			}
+			await conn.query("DELETE FROM schema_migrations WHERE version=?", [
+				a.version,
+			]);
+		}
+		return latest;
+	});
+}
+
+// Seeds are not recorded; each file must be safe to load more than once
+async function seed(conn, { log = console.log } = {}) {
+	const files = fs
+		.readdirSync(SEEDS_DIR)
+		.filter((f) => f.endsWith(".sql"))
+		.sort();
+	for (const file of files) {
+		log(`Seeding ${file}`);
+		await conn.query(fs.readFileSync(path.join(SEEDS_DIR, file), "utf8"));
+	}
+	return files;
+}
+
+function create(name) {
+	const slug = String(name || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_|_$/g, "");
+	if (!slug) throw new Error("Usage: node migrate.js create <name>");
+	const last = migrationFiles().at(-1)?.version || 0;
+	const base = `${String(last + 1).padStart(3, "0")}_${slug}`;
+	for (const [kind, body] of [
+		[
+			"up",
+			"-- Safe to re-run where possible (IF NOT EXISTS, WHERE NOT EXISTS,\n-- CALL schema_add_column(...) and the other helpers from 003)\n",
+		],
+		["down", "-- Undoes the matching .up.sql\n"],
+	])
+		fs.writeFileSync(path.join(MIGRATIONS_DIR, `${base}.${kind}.sql`), body);
+	return base;
+}
+
+// Called by index.js before it listens. MIGRATIONS=auto (the default) applies
+// pending migrations, check refuses to start while any are pending (for
+// deployments that run `npm run migrate` themselves), off skips both.
+async function migrateOnStart(mode = process.env.MIGRATIONS || "auto") {
+	if (mode === "off") return;
+	if (!["auto", "check"].includes(mode))
+		throw new Error(`MIGRATIONS must be auto, check or off, not "${mode}"`);
+	const conn = await connect();
+	try {
+		if (mode === "auto") {
+			const applied = await up(conn);
+			if (applied.length) console.log(`Applied ${applied.length} migration(s)`);
+			return;
+		}
+		const pending = (await status(conn)).filter((m) => m.state === "pending");
+		if (pending.length)
+			throw new Error(
+				`${pending.length} pending migration(s); run npm run migrate`,
+			);
+	} finally {
+		await conn.end();
+	}
+}
+
+async function cli(command = "status", arg) {
+	if (command === "create")
+		return console.log(`Created migrations/${create(arg)}.{up,down}.sql`);
+	if (!["status", "up", "down", "seed"].includes(command))
+		throw new Error(
+			`Unknown command "${command}". Use status, up, down, seed or create`,
+		);
+	const conn = await connect();
+	try {
+		if (command === "status") {
+			for (const m of await status(conn))
+				console.log(
+					[
+						String(m.version).padStart(3, "0"),
+						m.state.padEnd(8),
+						m.name,
+						m.applied_at ? new Date(m.applied_at).toISOString() : "",
+					].join("  "),
+				);
+		} else if (command === "up") {
+			if (arg && !/^\d+$/.test(arg))
+				throw new Error("version must be a migration number");
+			const applied = await up(conn, { to: arg ? +arg : undefined });
+			console.log(
+				applied.length
+					? `Applied ${applied.length} migration(s)`
+					: "Up to date",
+			);
+		} else if (command === "down") {
+			const steps = arg ? +arg : 1;
+			if (!(Number.isInteger(steps) && steps > 0))
+				throw new Error("steps must be a positive whole number");
+			const rolledBack = await down(conn, { steps });
+			console.log(`Rolled back ${rolledBack.length} migration(s)`);
+		} else {
+			await seed(conn);
+		}
+	} finally {
+		await conn.end();
+	}
+}
+
+if (require.main === module)
+	cli(...process.argv.slice(2)).then(
+		() => process.exit(0),
+		(e) => {
+			console.error(e.message);
+			process.exit(1);
+		},
+	);
+
+module.exports = { dbConfig, migrateOnStart, status, up, down, seed };
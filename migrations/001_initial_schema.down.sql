@@ -0,0 +1,8 @@
+-- Drops everything 001 created. All data is lost.
+DROP TABLE IF EXISTS message_log;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS maintenance;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS tenants;
+DROP TABLE IF EXISTS properties;
+DROP TABLE IF EXISTS users;
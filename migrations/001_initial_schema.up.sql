@@ -1,8 +1,8 @@
--- EstateIQ v2 — Full Database Schema
--- Run this to upgrade your existing database OR start fresh
+-- 001 — the schema as it stood before migrations were introduced (the
+-- original schema.sql). Tables use IF NOT EXISTS, so a database created from
+-- that file takes this without changes; the migrations after it bring it up
+-- to date. Demo logins and data are in seeds/.
 
-CREATE DATABASE IF NOT EXISTS estateiq;
-USE estateiq;
 
 -- ── USERS (with roles & auth) ─────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS users (
@@ -111,39 +111,3 @@ CREATE TABLE IF NOT EXISTS message_log (
   sent_by VARCHAR(36),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
-
--- ── SEED: Default Admin User ──────────────────────────────────────────────────
--- Default password: Admin@1234 (bcrypt hash)
-INSERT IGNORE INTO users (id, name, email, phone, password_hash, role)
-VALUES (
-  'admin-001',
-  'Admin User',
-  'admin@estateiq.ng',
-  '08000000000',
-  '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi',
-  'admin'
-);
-
--- ── SEED: Sample Tenants ──────────────────────────────────────────────────────
-INSERT IGNORE INTO tenants (id, tenant_name, accommodation_type, property_address, period, lease_start, lease_end, rent_per_annum, amount_paid, phone, email, whatsapp, quit_notice)
-VALUES
-  ('t-001','Adebayo Okafor','2-Bedroom Flat','Block A, No. 5','Jan 2024 - Dec 2024','2024-01-01','2024-12-31',480000,480000,'08012345678','adebayo@email.com','08012345678',FALSE),
-  ('t-002','Ngozi Eze','Self-Contain','Block B, No. 2','Mar 2024 - Feb 2025','2024-03-01','2025-02-28',220000,150000,'08023456789','ngozi@email.com','08023456789',FALSE),
-  ('t-003','Emeka Nwosu','3-Bedroom Flat','Block C, No. 1','Jun 2023 - May 2024','2023-06-01','2024-05-31',650000,0,'08034567890','emeka@email.com','08034567890',TRUE),
-  ('t-004','Fatima Bello','1-Bedroom Flat','Block A, No. 8','Apr 2024 - Mar 2025','2024-04-01','2025-03-31',320000,320000,'08045678901','fatima@email.com','08045678901',FALSE),
-  ('t-005','Chukwudi Obi','Self-Contain','Block D, No. 3','Feb 2024 - Jan 2025','2024-02-01','2025-01-31',200000,100000,'08056789012','chukwudi@email.com','08056789012',FALSE);
-
--- ── SEED: Sample Payments ─────────────────────────────────────────────────────
-INSERT IGNORE INTO payments (id, tenant_id, amount, payment_date, payment_method, receipt_number)
-VALUES
-  (UUID(),'t-001',480000,'2024-01-05','bank_transfer','RCP-2024-001'),
-  (UUID(),'t-002',150000,'2024-03-10','cash','RCP-2024-002'),
-  (UUID(),'t-004',320000,'2024-04-02','bank_transfer','RCP-2024-003'),
-  (UUID(),'t-005',100000,'2024-02-15','pos','RCP-2024-004');
-
--- ── SEED: Sample Maintenance ──────────────────────────────────────────────────
-INSERT IGNORE INTO maintenance (id, tenant_id, tenant_name, property_address, category, title, priority, status)
-VALUES
-  (UUID(),'t-002','Ngozi Eze','Block B, No. 2','plumbing','Leaking pipe in kitchen','high','open'),
-  (UUID(),'t-004','Fatima Bello','Block A, No. 8','electrical','Faulty socket in bedroom','medium','in_progress'),
-  (UUID(),'t-005','Chukwudi Obi','Block D, No. 3','structural','Crack in ceiling','urgent','open');
@@ -0,0 +1,6 @@
+-- Drops the list indexes 002 added. No data is lost.
+DROP INDEX idx_notifications_user_created ON notifications;
+DROP INDEX idx_message_log_created ON message_log;
+DROP INDEX idx_maintenance_created ON maintenance;
+DROP INDEX idx_payments_date ON payments;
+DROP INDEX idx_tenants_lease_end ON tenants;
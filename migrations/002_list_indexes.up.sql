@@ -0,0 +1,9 @@
+-- 002 — indexes for the paged, sorted and filtered list endpoints. None leads
+-- with org_id, so the indexes MySQL made for the org_id foreign keys stay in
+-- place and down can drop these freely. MySQL has no CREATE INDEX IF NOT
+-- EXISTS: if this fails part way, drop the ones it made before re-running.
+CREATE INDEX idx_tenants_lease_end ON tenants (lease_end);
+CREATE INDEX idx_payments_date ON payments (payment_date, created_at);
+CREATE INDEX idx_maintenance_created ON maintenance (created_at);
+CREATE INDEX idx_message_log_created ON message_log (created_at);
+CREATE INDEX idx_notifications_user_created ON notifications (user_id, created_at);
@@ -0,0 +1,9 @@
+-- Drops the procedures 003 added. Later migrations' down files use them, so
+-- this only runs once those are rolled back.
+DROP PROCEDURE IF EXISTS schema_drop_foreign_key;
+DROP PROCEDURE IF EXISTS schema_add_foreign_key;
+DROP PROCEDURE IF EXISTS schema_change_index;
+DROP PROCEDURE IF EXISTS schema_drop_index;
+DROP PROCEDURE IF EXISTS schema_add_index;
+DROP PROCEDURE IF EXISTS schema_drop_column;
+DROP PROCEDURE IF EXISTS schema_add_column;
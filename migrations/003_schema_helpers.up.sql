@@ -0,0 +1,107 @@
+-- 003 — procedures the later migrations use to change existing tables. MySQL
+-- has no ADD COLUMN IF NOT EXISTS (or the same for indexes and foreign keys),
+-- so each of these checks information_schema first and does nothing when the
+-- change is already there. That keeps every migration safe to re-run, even on
+-- databases that already have some of the changes (from a newer schema.sql).
+
+-- Foreign keys in this schema are unnamed, so they are found by table, column
+-- and referenced table; every one of them references id.
+DROP PROCEDURE IF EXISTS schema_add_column;
+CREATE PROCEDURE schema_add_column(tbl VARCHAR(64), col VARCHAR(64), definition TEXT)
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.COLUMNS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND COLUMN_NAME = col) THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` ADD COLUMN `', col, '` ', definition);
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+DROP PROCEDURE IF EXISTS schema_drop_column;
+CREATE PROCEDURE schema_drop_column(tbl VARCHAR(64), col VARCHAR(64))
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND COLUMN_NAME = col) THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` DROP COLUMN `', col, '`');
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+-- kind is INDEX or UNIQUE INDEX; cols is the column list without brackets
+DROP PROCEDURE IF EXISTS schema_add_index;
+CREATE PROCEDURE schema_add_index(tbl VARCHAR(64), idx VARCHAR(64), kind VARCHAR(20), cols TEXT)
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.STATISTICS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND INDEX_NAME = idx) THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` ADD ', kind, ' `', idx, '` (', cols, ')');
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+DROP PROCEDURE IF EXISTS schema_drop_index;
+CREATE PROCEDURE schema_drop_index(tbl VARCHAR(64), idx VARCHAR(64))
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND INDEX_NAME = idx) THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` DROP INDEX `', idx, '`');
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+-- Re-creates the existing index idx over cols (kind as above, or PRIMARY KEY
+-- with idx PRIMARY) unless it already covers exactly those columns. Dropping
+-- and adding in one statement keeps a foreign key that relies on the index
+-- satisfied throughout.
+DROP PROCEDURE IF EXISTS schema_change_index;
+CREATE PROCEDURE schema_change_index(tbl VARCHAR(64), idx VARCHAR(64), kind VARCHAR(20), cols TEXT)
+BEGIN
+  IF NOT (SELECT COALESCE(GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX SEPARATOR ', '), '') = cols
+          FROM information_schema.STATISTICS
+          WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND INDEX_NAME = idx) THEN
+    IF idx = 'PRIMARY' THEN
+      SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` DROP PRIMARY KEY, ADD PRIMARY KEY (', cols, ')');
+    ELSE
+      SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` DROP INDEX `', idx, '`, ADD ', kind, ' `', idx, '` (', cols, ')');
+    END IF;
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+-- actions is the ON DELETE clause, or '' for the default (RESTRICT)
+DROP PROCEDURE IF EXISTS schema_add_foreign_key;
+CREATE PROCEDURE schema_add_foreign_key(tbl VARCHAR(64), col VARCHAR(64), ref_tbl VARCHAR(64), actions VARCHAR(100))
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.KEY_COLUMN_USAGE
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND COLUMN_NAME = col
+                   AND REFERENCED_TABLE_NAME = ref_tbl) THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` ADD FOREIGN KEY (`', col, '`) REFERENCES `', ref_tbl, '` (id) ', actions);
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
+
+DROP PROCEDURE IF EXISTS schema_drop_foreign_key;
+CREATE PROCEDURE schema_drop_foreign_key(tbl VARCHAR(64), col VARCHAR(64), ref_tbl VARCHAR(64))
+BEGIN
+  DECLARE fk VARCHAR(64) DEFAULT NULL;
+  SELECT CONSTRAINT_NAME INTO fk FROM information_schema.KEY_COLUMN_USAGE
+  WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = tbl AND COLUMN_NAME = col
+    AND REFERENCED_TABLE_NAME = ref_tbl
+  LIMIT 1;
+  IF fk IS NOT NULL THEN
+    SET @schema_ddl = CONCAT('ALTER TABLE `', tbl, '` DROP FOREIGN KEY `', fk, '`');
+    PREPARE schema_stmt FROM @schema_ddl;
+    EXECUTE schema_stmt;
+    DEALLOCATE PREPARE schema_stmt;
+  END IF;
+END;
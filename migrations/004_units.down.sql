@@ -0,0 +1,4 @@
+-- Undoes 004. Tenants keep their property and address text.
+CALL schema_drop_foreign_key('tenants', 'unit_id', 'units');
+CALL schema_drop_column('tenants', 'unit_id');
+DROP TABLE IF EXISTS units;
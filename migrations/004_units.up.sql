@@ -0,0 +1,19 @@
+-- 004 — units within a property, and the unit each tenant occupies.
+
+-- ── UNITS (flats/rooms within a property) ─────────────────────────────────────
+CREATE TABLE IF NOT EXISTS units (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  property_id VARCHAR(36) NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  unit_type VARCHAR(100),
+  default_rent DECIMAL(15,2) DEFAULT 0,
+  status ENUM('vacant','occupied','under_repair') DEFAULT 'vacant',
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_unit_label (property_id, label),
+  FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+);
+
+CALL schema_add_column('tenants', 'unit_id', 'VARCHAR(36) NULL AFTER property_id');
+CALL schema_add_foreign_key('tenants', 'unit_id', 'units', 'ON DELETE SET NULL');
@@ -0,0 +1,2 @@
+-- Drops the ledger. Balances recorded on tenants (amount_paid) are kept.
+DROP TABLE IF EXISTS ledger_entries;
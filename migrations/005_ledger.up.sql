@@ -0,0 +1,49 @@
+-- 005 — the tenant ledger (charges and credits), opened for existing tenants.
+
+-- ── LEDGER (charges & credits per tenant) ────────────────────────────────────
+-- Balances are derived from here: SUM(charges) - SUM(credits).
+-- Credits carry applies_to so we know which rent period a payment covered.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NOT NULL,
+  entry_type ENUM('charge','credit') NOT NULL,
+  category ENUM('rent','service_charge','other_fee','payment','adjustment') NOT NULL,
+  description VARCHAR(255),
+  amount DECIMAL(15,2) NOT NULL,
+  entry_date DATE NOT NULL,
+  period_start DATE NULL,
+  period_end DATE NULL,
+  applies_to VARCHAR(36) NULL,
+  payment_id VARCHAR(36) NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ledger_tenant (tenant_id, entry_date),
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (applies_to) REFERENCES ledger_entries(id) ON DELETE SET NULL
+);
+
+-- ── BACKFILL: Ledger for tenants recorded before it existed ──────────────────
+-- Safe to re-run: each step skips rows that already have ledger entries.
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, period_start, period_end)
+SELECT UUID(), t.id, 'charge', 'rent', TRIM(CONCAT('Rent ', COALESCE(t.period,''))), t.rent_per_annum,
+       COALESCE(t.lease_start, DATE(t.created_at)), t.lease_start, t.lease_end
+FROM tenants t
+WHERE t.rent_per_annum > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.tenant_id = t.id AND l.entry_type = 'charge');
+
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, applies_to, payment_id, created_by)
+SELECT UUID(), p.tenant_id, 'credit', 'payment', CONCAT('Payment ', COALESCE(p.receipt_number,'')), p.amount, p.payment_date,
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = p.tenant_id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1),
+       p.id, p.recorded_by
+FROM payments p
+WHERE NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.payment_id = p.id);
+
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, applies_to)
+SELECT UUID(), t.id, 'credit', 'adjustment', 'Opening balance',
+       t.amount_paid - COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.tenant_id = t.id),0),
+       COALESCE(t.lease_start, DATE(t.created_at)),
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = t.id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1)
+FROM tenants t
+WHERE t.amount_paid > COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.tenant_id = t.id),0)
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.tenant_id = t.id AND l.entry_type = 'credit' AND l.payment_id IS NULL);
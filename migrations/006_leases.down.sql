@@ -0,0 +1,2 @@
+-- Drops the lease history. Each tenant's current term stays on the tenant.
+DROP TABLE IF EXISTS leases;
@@ -0,0 +1,31 @@
+-- 006 — lease history: one row per term, starting existing tenants at term 1.
+
+-- ── LEASES (one row per lease term, kept when a tenant renews) ──────────────
+CREATE TABLE IF NOT EXISTS leases (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NOT NULL,
+  term_no INT NOT NULL DEFAULT 1,
+  period VARCHAR(100),
+  lease_start DATE NULL,
+  lease_end DATE NULL,
+  rent_per_annum DECIMAL(15,2) DEFAULT 0,
+  previous_rent DECIMAL(15,2) NULL,
+  increase_percent DECIMAL(7,2) NULL,
+  rent_charge_id VARCHAR(36) NULL,
+  renewed_from VARCHAR(36) NULL,
+  status ENUM('active','ended') DEFAULT 'active',
+  notes TEXT,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_lease_term (tenant_id, term_no),
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (rent_charge_id) REFERENCES ledger_entries(id) ON DELETE SET NULL
+);
+
+-- Every tenant without a lease history starts with their current term as term 1
+INSERT INTO leases (id, tenant_id, term_no, period, lease_start, lease_end, rent_per_annum, rent_charge_id, status)
+SELECT UUID(), t.id, 1, t.period, t.lease_start, t.lease_end, t.rent_per_annum,
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = t.id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1),
+       'active'
+FROM tenants t
+WHERE NOT EXISTS (SELECT 1 FROM leases l WHERE l.tenant_id = t.id);
@@ -0,0 +1,9 @@
+-- Undoes 007. Voided payments count as active again once status is gone;
+-- duplicate receipt numbers renamed by 007 keep their new numbers.
+DROP TABLE IF EXISTS receipt_sequences;
+CALL schema_drop_index('payments', 'uq_receipt_number');
+CALL schema_drop_column('payments', 'voided_at');
+CALL schema_drop_column('payments', 'voided_by');
+CALL schema_drop_column('payments', 'void_reason');
+CALL schema_drop_column('payments', 'status');
+CALL schema_drop_column('properties', 'receipt_prefix');
@@ -0,0 +1,28 @@
+-- 007 — per-property receipt prefixes, numbered receipts and voided payments.
+-- Receipt numbers become unique, so the duplicates the old numbering handed
+-- out are renamed before the key is added.
+CALL schema_add_column('properties', 'receipt_prefix', 'VARCHAR(10) NULL AFTER total_units');
+
+CALL schema_add_column('payments', 'status', "ENUM('active','void') DEFAULT 'active' AFTER receipt_number");
+CALL schema_add_column('payments', 'void_reason', 'VARCHAR(255) AFTER status');
+CALL schema_add_column('payments', 'voided_by', 'VARCHAR(36) AFTER void_reason');
+CALL schema_add_column('payments', 'voided_at', 'TIMESTAMP NULL AFTER voided_by');
+
+-- The earliest payment keeps each duplicated receipt number; later ones get
+-- -2, -3... appended. Blank numbers were never real receipts.
+UPDATE payments SET receipt_number = NULL WHERE receipt_number = '';
+UPDATE payments p
+JOIN (SELECT id, ROW_NUMBER() OVER (PARTITION BY receipt_number ORDER BY created_at, id) as n
+      FROM payments WHERE receipt_number IS NOT NULL) d ON d.id = p.id
+SET p.receipt_number = CONCAT(p.receipt_number, '-', d.n)
+WHERE d.n > 1;
+CALL schema_add_index('payments', 'uq_receipt_number', 'UNIQUE INDEX', 'receipt_number');
+
+-- ── RECEIPT NUMBER SEQUENCES (one counter per prefix per year) ───────────────
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+  prefix VARCHAR(10) NOT NULL,
+  year INT NOT NULL,
+  last_number INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (prefix, year)
+);
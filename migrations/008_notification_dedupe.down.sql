@@ -0,0 +1,3 @@
+-- Undoes 008.
+CALL schema_drop_index('notifications', 'uq_notification_dedupe');
+CALL schema_drop_column('notifications', 'dedupe_key');
@@ -0,0 +1,3 @@
+-- 008 — dedupe keys, so scheduled alerts are raised once per user.
+CALL schema_add_column('notifications', 'dedupe_key', 'VARCHAR(191) NULL AFTER is_read');
+CALL schema_add_index('notifications', 'uq_notification_dedupe', 'UNIQUE INDEX', 'user_id, dedupe_key');
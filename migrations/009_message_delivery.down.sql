@@ -0,0 +1,15 @@
+-- Undoes 009. Messages logged as manual, delivered or read are first mapped
+-- to the nearest value the old enums have.
+UPDATE message_log SET channel = 'whatsapp' WHERE channel = 'manual';
+UPDATE message_log SET status = 'sent' WHERE status IN ('delivered','read');
+ALTER TABLE message_log
+  MODIFY channel ENUM('whatsapp','sms','email') DEFAULT 'whatsapp',
+  MODIFY status ENUM('sent','failed','pending') DEFAULT 'pending';
+CALL schema_drop_index('message_log', 'idx_provider_message');
+CALL schema_drop_column('message_log', 'updated_at');
+CALL schema_drop_column('message_log', 'delivered_at');
+CALL schema_drop_column('message_log', 'error');
+CALL schema_drop_column('message_log', 'provider_message_id');
+CALL schema_drop_column('message_log', 'provider');
+CALL schema_drop_column('message_log', 'subject');
+CALL schema_drop_column('message_log', 'email');
@@ -0,0 +1,13 @@
+-- 009 — message delivery through SMS/email providers, with delivery status.
+-- Widening the enums keeps every existing value.
+CALL schema_add_column('message_log', 'email', 'VARCHAR(255) AFTER phone');
+ALTER TABLE message_log
+  MODIFY channel ENUM('whatsapp','sms','email','manual') DEFAULT 'whatsapp',
+  MODIFY status ENUM('pending','sent','delivered','read','failed') DEFAULT 'pending';
+CALL schema_add_column('message_log', 'subject', 'VARCHAR(255) AFTER channel');
+CALL schema_add_column('message_log', 'provider', 'VARCHAR(50) AFTER status');
+CALL schema_add_column('message_log', 'provider_message_id', 'VARCHAR(255) AFTER provider');
+CALL schema_add_column('message_log', 'error', 'TEXT AFTER provider_message_id');
+CALL schema_add_column('message_log', 'delivered_at', 'TIMESTAMP NULL AFTER error');
+CALL schema_add_column('message_log', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at');
+CALL schema_add_index('message_log', 'idx_provider_message', 'INDEX', 'provider, provider_message_id');
@@ -0,0 +1,2 @@
+-- Drops the message templates.
+DROP TABLE IF EXISTS message_templates;
@@ -0,0 +1,15 @@
+-- 010 — editable message templates. The defaults are in seeds/001_defaults.sql.
+
+-- ── MESSAGE TEMPLATES ─────────────────────────────────────────────────────────
+-- Placeholders: {name} {amount} {property} {lease_end} {days_remaining} {receipt_number}
+CREATE TABLE IF NOT EXISTS message_templates (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  purpose ENUM('rent_reminder','lease_expiry','receipt','quit_notice_ack','general') DEFAULT 'general',
+  channel ENUM('whatsapp','sms','email','manual') NULL,
+  subject VARCHAR(255),
+  body TEXT NOT NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
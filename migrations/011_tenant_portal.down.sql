@@ -0,0 +1,5 @@
+-- Drops the portal tables and the document records (the files stay in storage).
+DROP TABLE IF EXISTS portal_access_log;
+DROP TABLE IF EXISTS portal_otps;
+DROP TABLE IF EXISTS portal_links;
+DROP TABLE IF EXISTS tenant_documents;
@@ -0,0 +1,56 @@
+-- 011 — tenant documents and the tenant portal (links, codes, access log).
+
+-- ── TENANT DOCUMENTS (files on disk under UPLOAD_DIR) ─────────────────────────
+CREATE TABLE IF NOT EXISTS tenant_documents (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NOT NULL,
+  kind ENUM('quit_notice','lease','id','other') DEFAULT 'other',
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100),
+  size INT,
+  storage_path VARCHAR(500) NOT NULL,
+  notes TEXT,
+  uploaded_via ENUM('staff','portal') DEFAULT 'staff',
+  uploaded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+-- ── TENANT PORTAL (signed links, OTP codes, access log) ──────────────────────
+-- Only SHA-256 hashes of link tokens and codes are stored.
+CREATE TABLE IF NOT EXISTS portal_links (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NOT NULL,
+  kind ENUM('link','otp') DEFAULT 'link',
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  revoked_by VARCHAR(36),
+  last_used_at TIMESTAMP NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS portal_otps (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  attempts INT DEFAULT 0,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_otp_tenant (tenant_id, created_at),
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS portal_access_log (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  tenant_id VARCHAR(36) NULL,
+  link_id VARCHAR(36) NULL,
+  action VARCHAR(255) NOT NULL,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_portal_access_tenant (tenant_id, created_at)
+);
@@ -0,0 +1,2 @@
+-- Drops the checkout records. Payments they created are kept.
+DROP TABLE IF EXISTS payment_transactions;
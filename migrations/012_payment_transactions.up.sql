@@ -0,0 +1,24 @@
+-- 012 — online payments: one row per gateway checkout.
+
+-- ── ONLINE PAYMENT TRANSACTIONS (gateway checkouts) ──────────────────────────
+CREATE TABLE IF NOT EXISTS payment_transactions (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  reference VARCHAR(100) NOT NULL UNIQUE,
+  tenant_id VARCHAR(36) NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  gateway VARCHAR(30) NOT NULL,
+  gateway_reference VARCHAR(255),
+  checkout_url TEXT,
+  charge_id VARCHAR(36) NULL,
+  status ENUM('pending','success','failed','abandoned') DEFAULT 'pending',
+  failure_reason VARCHAR(255),
+  payment_id VARCHAR(36) NULL,
+  initiated_via ENUM('portal','staff') DEFAULT 'portal',
+  created_by VARCHAR(36),
+  verified_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_tx_status (status, created_at),
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+);
@@ -0,0 +1,4 @@
+-- Drops the statement imports. Payments confirmed from them are kept.
+DROP TABLE IF EXISTS bank_statement_lines;
+DROP TABLE IF EXISTS bank_statement_imports;
+CALL schema_drop_column('tenants', 'bank_reference');
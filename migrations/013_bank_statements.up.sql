@@ -0,0 +1,42 @@
+-- 013 — bank statement imports, and the reference tenants pay with.
+CALL schema_add_column('tenants', 'bank_reference', 'VARCHAR(50) NULL AFTER whatsapp');
+
+-- ── BANK STATEMENT IMPORTS (uploaded statements and their credit lines) ──────
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  filename VARCHAR(255),
+  profile VARCHAR(30),
+  credit_lines INT DEFAULT 0,
+  new_lines INT DEFAULT 0,
+  duplicate_lines INT DEFAULT 0,
+  skipped_lines INT DEFAULT 0,
+  uploaded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- line_hash identifies a credit across uploads so overlapping statements
+-- never produce duplicate payments.
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  import_id VARCHAR(36) NOT NULL,
+  line_hash CHAR(64) NOT NULL UNIQUE,
+  txn_date DATE NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  narration TEXT,
+  reference VARCHAR(255),
+  balance_text VARCHAR(50),
+  status ENUM('unmatched','proposed','confirmed','ignored') DEFAULT 'unmatched',
+  proposed_tenant_id VARCHAR(36) NULL,
+  match_score INT NULL,
+  candidates JSON,
+  tenant_id VARCHAR(36) NULL,
+  payment_id VARCHAR(36) NULL,
+  confirmed_by VARCHAR(36),
+  confirmed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_bank_line_status (import_id, status),
+  FOREIGN KEY (import_id) REFERENCES bank_statement_imports(id) ON DELETE CASCADE,
+  FOREIGN KEY (proposed_tenant_id) REFERENCES tenants(id) ON DELETE SET NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+);
@@ -0,0 +1,2 @@
+-- Drops the import history. Imported tenants are kept.
+DROP TABLE IF EXISTS tenant_imports;
@@ -0,0 +1,13 @@
+-- 014 — tenant CSV imports, with the per-row report.
+
+-- ── TENANT IMPORTS (CSV uploads, with the per-row report) ────────────────────
+CREATE TABLE IF NOT EXISTS tenant_imports (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  filename VARCHAR(255),
+  dry_run BOOLEAN DEFAULT FALSE,
+  on_duplicate ENUM('skip','update','create') DEFAULT 'skip',
+  summary JSON,
+  report JSON,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+-- Drops the audit log. Its entries are lost.
+DROP TABLE IF EXISTS audit_log;
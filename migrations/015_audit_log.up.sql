@@ -0,0 +1,25 @@
+-- 015 — the audit log.
+
+-- ── AUDIT LOG (who changed what, plus login attempts) ────────────────────────
+-- tenant_id ties payments, ledger entries etc. back to a tenant for their
+-- history view; no foreign keys so entries outlive the rows they describe.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  actor_type ENUM('user','tenant','system','anonymous') DEFAULT 'user',
+  user_id VARCHAR(36) NULL,
+  user_name VARCHAR(255),
+  user_role VARCHAR(20),
+  action VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(100) NULL,
+  tenant_id VARCHAR(36) NULL,
+  changes JSON,
+  details JSON,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_entity (entity_type, entity_id, created_at),
+  INDEX idx_audit_user (user_id, created_at),
+  INDEX idx_audit_tenant (tenant_id, created_at),
+  INDEX idx_audit_created (created_at)
+);
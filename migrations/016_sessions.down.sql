@@ -0,0 +1,6 @@
+-- Undoes 016. Everyone signed in has to log in again.
+DROP TABLE IF EXISTS password_resets;
+DROP TABLE IF EXISTS refresh_tokens;
+CALL schema_drop_column('users', 'locked_until');
+CALL schema_drop_column('users', 'failed_logins');
+CALL schema_drop_column('users', 'token_version');
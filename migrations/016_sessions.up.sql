@@ -0,0 +1,34 @@
+-- 016 — refresh token sessions, password resets and login lockout.
+CALL schema_add_column('users', 'token_version', 'INT NOT NULL DEFAULT 0 AFTER is_active');
+CALL schema_add_column('users', 'failed_logins', 'INT NOT NULL DEFAULT 0 AFTER token_version');
+CALL schema_add_column('users', 'locked_until', 'TIMESTAMP NULL AFTER failed_logins');
+
+-- ── SESSIONS (rotating refresh tokens) & PASSWORD RESETS ────────────────────
+-- Only SHA-256 hashes of tokens are stored. family_id groups one login's
+-- chain of rotated tokens so a replayed token can revoke the whole chain.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  user_id VARCHAR(36) NOT NULL,
+  family_id VARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  replaced_by VARCHAR(36) NULL,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_refresh_family (family_id),
+  INDEX idx_refresh_user (user_id, revoked_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  user_id VARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  ip VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
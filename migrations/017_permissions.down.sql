@@ -0,0 +1,5 @@
+-- Undoes 017. Every user sees every property again.
+DROP TABLE IF EXISTS user_properties;
+DROP TABLE IF EXISTS role_permissions;
+CALL schema_drop_column('maintenance', 'property_id');
+CALL schema_drop_column('users', 'all_properties');
@@ -0,0 +1,30 @@
+-- 017 — per-role permissions and property assignments. Until role_permissions
+-- has rows, the built-in defaults (PERMISSIONS in index.js) apply.
+CALL schema_add_column('users', 'all_properties', 'BOOLEAN DEFAULT FALSE AFTER is_active');
+CALL schema_add_column('maintenance', 'property_id', 'VARCHAR(36) NULL AFTER property_address');
+
+-- ── PERMISSIONS (per-role grants) & PROPERTY ASSIGNMENTS ────────────────────
+-- Admins always have every permission and see every property. Other users see
+-- the properties assigned to them, or all of them when all_properties is set.
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role ENUM('manager','staff') NOT NULL,
+  permission VARCHAR(50) NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE IF NOT EXISTS user_properties (
+  user_id VARCHAR(36) NOT NULL,
+  property_id VARCHAR(36) NOT NULL,
+  PRIMARY KEY (user_id, property_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+);
+
+-- Managers who predate property assignments keep seeing every property
+UPDATE users u SET u.all_properties = TRUE
+WHERE u.role = 'manager' AND NOT EXISTS (SELECT 1 FROM user_properties up WHERE up.user_id = u.id);
+
+-- Maintenance requests take their property from the tenant
+UPDATE maintenance m JOIN tenants t ON m.tenant_id = t.id
+SET m.property_id = t.property_id
+WHERE m.property_id IS NULL AND t.property_id IS NOT NULL;
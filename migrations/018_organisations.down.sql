@@ -0,0 +1,51 @@
+-- Undoes 018. Only for installs where the original organisation is the only
+-- one: every other organisation's rows would merge into one pool, and the
+-- install-wide keys reject any receipt numbers, counters, statement lines,
+-- template names or grants they share.
+CALL schema_drop_index('audit_log', 'idx_audit_org');
+CALL schema_drop_column('audit_log', 'org_id');
+
+CALL schema_drop_foreign_key('message_templates', 'org_id', 'organisations');
+CALL schema_add_index('message_templates', 'name', 'UNIQUE INDEX', 'name');
+CALL schema_drop_index('message_templates', 'uq_template_name');
+
+CALL schema_drop_foreign_key('receipt_sequences', 'org_id', 'organisations');
+CALL schema_change_index('receipt_sequences', 'PRIMARY', 'PRIMARY KEY', 'prefix, year');
+
+CALL schema_drop_foreign_key('bank_statement_lines', 'org_id', 'organisations');
+CALL schema_add_index('bank_statement_lines', 'line_hash', 'UNIQUE INDEX', 'line_hash');
+CALL schema_drop_index('bank_statement_lines', 'uq_bank_line_hash');
+
+CALL schema_drop_foreign_key('payments', 'org_id', 'organisations');
+CALL schema_change_index('payments', 'uq_receipt_number', 'UNIQUE INDEX', 'receipt_number');
+
+CALL schema_drop_foreign_key('role_permissions', 'org_id', 'organisations');
+CALL schema_change_index('role_permissions', 'PRIMARY', 'PRIMARY KEY', 'role, permission');
+
+CALL schema_drop_foreign_key('tenant_imports', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('message_log', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('notifications', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('maintenance', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('bank_statement_imports', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('payment_transactions', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('tenants', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('properties', 'org_id', 'organisations');
+CALL schema_drop_foreign_key('users', 'org_id', 'organisations');
+
+CALL schema_drop_column('message_templates', 'org_id');
+CALL schema_drop_column('receipt_sequences', 'org_id');
+CALL schema_drop_column('bank_statement_lines', 'org_id');
+CALL schema_drop_column('payments', 'org_id');
+CALL schema_drop_column('role_permissions', 'org_id');
+CALL schema_drop_column('tenant_imports', 'org_id');
+CALL schema_drop_column('message_log', 'org_id');
+CALL schema_drop_column('notifications', 'org_id');
+CALL schema_drop_column('maintenance', 'org_id');
+CALL schema_drop_column('bank_statement_imports', 'org_id');
+CALL schema_drop_column('payment_transactions', 'org_id');
+CALL schema_drop_column('tenants', 'org_id');
+CALL schema_drop_column('properties', 'org_id');
+CALL schema_drop_column('users', 'platform_admin');
+CALL schema_drop_column('users', 'org_id');
+
+DROP TABLE IF EXISTS organisations;
@@ -0,0 +1,101 @@
+-- 018 — organisations. Every existing row joins the original organisation
+-- (org-default), and the keys that were unique across the install become
+-- unique per organisation: receipt numbers, receipt counters, statement lines,
+-- template names and role grants.
+
+-- ── ORGANISATIONS (agencies sharing the install; each sees only its own data)
+-- Blank branding falls back to the organisation name, and for the original
+-- organisation to the COMPANY_* / RECEIPT_LOGO settings in .env. Every other
+-- table's org_id defaults to the original organisation, so rows from before
+-- organisations existed belong to it; the API always sets org_id itself.
+CREATE TABLE IF NOT EXISTS organisations (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  company_name VARCHAR(255),
+  address TEXT,
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  logo_path VARCHAR(500),
+  brand_color VARCHAR(7),
+  receipt_prefix VARCHAR(10) NULL,
+  currency_code CHAR(3) NOT NULL DEFAULT 'NGN',
+  currency_symbol VARCHAR(5) NOT NULL DEFAULT '₦',
+  currency_locale VARCHAR(20) NOT NULL DEFAULT 'en-NG',
+  currency_unit VARCHAR(30) NOT NULL DEFAULT 'Naira',
+  currency_subunit VARCHAR(30) NOT NULL DEFAULT 'Kobo',
+  sender_name VARCHAR(100),
+  sms_sender_id VARCHAR(11),
+  email_from VARCHAR(255),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO organisations (id, name, slug, sender_name)
+VALUES ('org-default', 'EstateIQ Property Management', 'default', 'EstateIQ');
+
+-- Admins run their organisation; platform_admin also lets a user create
+-- organisations. Emails stay unique across organisations so login needs no slug.
+CALL schema_add_column('users', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_column('users', 'platform_admin', 'BOOLEAN DEFAULT FALSE AFTER all_properties');
+CALL schema_add_foreign_key('users', 'org_id', 'organisations', '');
+
+CALL schema_add_column('properties', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('properties', 'org_id', 'organisations', '');
+
+-- An organisation with no rows here uses the built-in defaults
+CALL schema_add_column('role_permissions', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' FIRST");
+CALL schema_change_index('role_permissions', 'PRIMARY', 'PRIMARY KEY', 'org_id, role, permission');
+CALL schema_add_foreign_key('role_permissions', 'org_id', 'organisations', '');
+
+CALL schema_add_column('tenants', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('tenants', 'org_id', 'organisations', '');
+
+CALL schema_add_column('payments', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_change_index('payments', 'uq_receipt_number', 'UNIQUE INDEX', 'org_id, receipt_number');
+CALL schema_add_foreign_key('payments', 'org_id', 'organisations', '');
+
+CALL schema_add_column('payment_transactions', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('payment_transactions', 'org_id', 'organisations', '');
+
+CALL schema_add_column('bank_statement_imports', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('bank_statement_imports', 'org_id', 'organisations', '');
+
+-- line_hash only has to be unique within one organisation
+CALL schema_add_column('bank_statement_lines', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_index('bank_statement_lines', 'uq_bank_line_hash', 'UNIQUE INDEX', 'org_id, line_hash');
+CALL schema_drop_index('bank_statement_lines', 'line_hash');
+CALL schema_add_foreign_key('bank_statement_lines', 'org_id', 'organisations', '');
+
+CALL schema_add_column('receipt_sequences', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' FIRST");
+CALL schema_change_index('receipt_sequences', 'PRIMARY', 'PRIMARY KEY', 'org_id, prefix, year');
+CALL schema_add_foreign_key('receipt_sequences', 'org_id', 'organisations', '');
+
+CALL schema_add_column('maintenance', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('maintenance', 'org_id', 'organisations', '');
+
+CALL schema_add_column('notifications', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('notifications', 'org_id', 'organisations', '');
+
+CALL schema_add_column('message_log', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('message_log', 'org_id', 'organisations', '');
+
+CALL schema_add_column('tenant_imports', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_foreign_key('tenant_imports', 'org_id', 'organisations', '');
+
+-- Placeholders gain {currency} {sender}; names are unique per organisation
+CALL schema_add_column('message_templates', 'org_id', "VARCHAR(36) NOT NULL DEFAULT 'org-default' AFTER id");
+CALL schema_add_index('message_templates', 'uq_template_name', 'UNIQUE INDEX', 'org_id, name');
+CALL schema_drop_index('message_templates', 'name');
+CALL schema_add_foreign_key('message_templates', 'org_id', 'organisations', '');
+
+-- audit_log.org_id is NULL when no organisation is known (a failed login)
+CALL schema_add_column('audit_log', 'org_id', 'VARCHAR(36) NULL AFTER id');
+CALL schema_add_index('audit_log', 'idx_audit_org', 'INDEX', 'org_id, created_at');
+
+-- Audit entries from before organisations existed belong to the original one
+UPDATE audit_log SET org_id = 'org-default' WHERE org_id IS NULL AND user_id IS NOT NULL;
+
+-- The seeded admin can create further organisations
+UPDATE users SET platform_admin = TRUE WHERE id = 'admin-001';
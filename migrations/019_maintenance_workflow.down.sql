@@ -0,0 +1,12 @@
+-- Undoes 019. Status history, comments and vendors are lost; charges already
+-- billed stay on the tenant ledger.
+DROP TABLE IF EXISTS maintenance_comments;
+DROP TABLE IF EXISTS maintenance_status_history;
+CALL schema_drop_foreign_key('maintenance', 'billed_charge_id', 'ledger_entries');
+CALL schema_drop_foreign_key('maintenance', 'vendor_id', 'vendors');
+CALL schema_drop_column('maintenance', 'closed_at');
+CALL schema_drop_column('maintenance', 'billed_charge_id');
+CALL schema_drop_column('maintenance', 'actual_cost');
+CALL schema_drop_column('maintenance', 'estimated_cost');
+CALL schema_drop_column('maintenance', 'vendor_id');
+DROP TABLE IF EXISTS vendors;
@@ -0,0 +1,59 @@
+-- 019 — maintenance workflow: vendors, costs, closing, status history and
+-- comments. The SLA due time is derived from priority and created_at
+-- (MAINTENANCE_SLA_HOURS); billed_charge_id is the ledger charge when the cost
+-- was billed to the tenant.
+
+-- ── VENDORS (contractors assigned to maintenance alongside staff) ────────────
+CREATE TABLE IF NOT EXISTS vendors (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  org_id VARCHAR(36) NOT NULL DEFAULT 'org-default',
+  name VARCHAR(255) NOT NULL,
+  trade VARCHAR(100),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  notes TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (org_id) REFERENCES organisations(id)
+);
+
+CALL schema_add_column('maintenance', 'vendor_id', 'VARCHAR(36) NULL AFTER assigned_to');
+CALL schema_add_column('maintenance', 'estimated_cost', 'DECIMAL(15,2) NULL AFTER vendor_id');
+CALL schema_add_column('maintenance', 'actual_cost', 'DECIMAL(15,2) NULL AFTER estimated_cost');
+CALL schema_add_column('maintenance', 'billed_charge_id', 'VARCHAR(36) NULL AFTER actual_cost');
+CALL schema_add_column('maintenance', 'closed_at', 'TIMESTAMP NULL AFTER resolved_at');
+CALL schema_add_foreign_key('maintenance', 'vendor_id', 'vendors', 'ON DELETE SET NULL');
+CALL schema_add_foreign_key('maintenance', 'billed_charge_id', 'ledger_entries', 'ON DELETE SET NULL');
+
+-- Every status a request has been through, and who moved it there
+CREATE TABLE IF NOT EXISTS maintenance_status_history (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  maintenance_id VARCHAR(36) NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_type ENUM('user','tenant','system') DEFAULT 'user',
+  changed_by VARCHAR(36) NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_maintenance_history (maintenance_id, created_at),
+  FOREIGN KEY (maintenance_id) REFERENCES maintenance(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS maintenance_comments (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  maintenance_id VARCHAR(36) NOT NULL,
+  user_id VARCHAR(36) NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_maintenance_comments (maintenance_id, created_at),
+  FOREIGN KEY (maintenance_id) REFERENCES maintenance(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Requests from before status history start it with their current status
+INSERT INTO maintenance_status_history (id, maintenance_id, from_status, to_status, actor_type, note, created_at)
+SELECT UUID(), m.id, NULL, m.status, 'system', 'Status when history began', m.created_at
+FROM maintenance m
+WHERE NOT EXISTS (SELECT 1 FROM maintenance_status_history h WHERE h.maintenance_id = m.id);
@@ -0,0 +1,2 @@
+-- Drops the attachment records. The files stay in storage.
+DROP TABLE IF EXISTS maintenance_attachments;
@@ -0,0 +1,18 @@
+-- 020 — maintenance photos and PDFs, kept in the configured storage driver.
+
+-- Photos and PDFs; keys point into the configured storage driver (local/S3)
+CREATE TABLE IF NOT EXISTS maintenance_attachments (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  maintenance_id VARCHAR(36) NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100),
+  size INT,
+  storage_key VARCHAR(500) NOT NULL,
+  thumbnail_key VARCHAR(500) NULL,
+  uploaded_via ENUM('staff','portal') DEFAULT 'staff',
+  uploaded_by VARCHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_maintenance_attachments (maintenance_id, created_at),
+  FOREIGN KEY (maintenance_id) REFERENCES maintenance(id) ON DELETE CASCADE,
+  FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,2 @@
+-- Drops the expenses. Their receipts stay in storage.
+DROP TABLE IF EXISTS expenses;
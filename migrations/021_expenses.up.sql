@@ -0,0 +1,27 @@
+-- 021 — expenses paid out per property.
+
+-- ── EXPENSES (money paid out per property; receipts in the storage driver) ───
+CREATE TABLE IF NOT EXISTS expenses (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  org_id VARCHAR(36) NOT NULL DEFAULT 'org-default',
+  property_id VARCHAR(36) NOT NULL,
+  maintenance_id VARCHAR(36) NULL,
+  vendor_id VARCHAR(36) NULL,
+  category ENUM('repairs','cleaning','security','levies','agent_fees','utilities','insurance','other') DEFAULT 'other',
+  description VARCHAR(500),
+  amount DECIMAL(15,2) NOT NULL,
+  expense_date DATE NOT NULL,
+  reference VARCHAR(100),
+  notes TEXT,
+  receipt_key VARCHAR(500) NULL,
+  receipt_filename VARCHAR(255) NULL,
+  receipt_mime_type VARCHAR(100) NULL,
+  recorded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_expenses_org_date (org_id, expense_date),
+  INDEX idx_expenses_property_date (property_id, expense_date),
+  FOREIGN KEY (org_id) REFERENCES organisations(id),
+  FOREIGN KEY (property_id) REFERENCES properties(id),
+  FOREIGN KEY (maintenance_id) REFERENCES maintenance(id) ON DELETE SET NULL,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE SET NULL
+);
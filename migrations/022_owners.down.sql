@@ -0,0 +1,7 @@
+-- Undoes 022. Owners, their remittances and property commissions are lost.
+CALL schema_drop_foreign_key('properties', 'owner_id', 'owners');
+CALL schema_drop_column('properties', 'commission_rate');
+CALL schema_drop_column('properties', 'commission_type');
+CALL schema_drop_column('properties', 'owner_id');
+DROP TABLE IF EXISTS owner_remittances;
+DROP TABLE IF EXISTS owners;
@@ -0,0 +1,41 @@
+-- 022 — property owners, their commission and remittances to them.
+
+-- ── OWNERS (landlords whose properties we manage) & REMITTANCES TO THEM ──────
+CREATE TABLE IF NOT EXISTS owners (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  org_id VARCHAR(36) NOT NULL DEFAULT 'org-default',
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20),
+  email VARCHAR(255),
+  address TEXT,
+  bank_name VARCHAR(100),
+  bank_account_name VARCHAR(255),
+  bank_account_number VARCHAR(20),
+  notes TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_owners_org (org_id, name),
+  FOREIGN KEY (org_id) REFERENCES organisations(id)
+);
+
+CREATE TABLE IF NOT EXISTS owner_remittances (
+  id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+  org_id VARCHAR(36) NOT NULL DEFAULT 'org-default',
+  owner_id VARCHAR(36) NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  remitted_on DATE NOT NULL,
+  method ENUM('bank_transfer','cash','cheque') DEFAULT 'bank_transfer',
+  reference VARCHAR(100),
+  notes TEXT,
+  recorded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_owner_remittances (owner_id, remitted_on),
+  FOREIGN KEY (org_id) REFERENCES organisations(id),
+  FOREIGN KEY (owner_id) REFERENCES owners(id)
+);
+
+CALL schema_add_column('properties', 'owner_id', 'VARCHAR(36) NULL AFTER receipt_prefix');
+CALL schema_add_column('properties', 'commission_type', "ENUM('percentage','flat') NULL AFTER owner_id");
+CALL schema_add_column('properties', 'commission_rate', 'DECIMAL(15,2) DEFAULT 0 AFTER commission_type');
+CALL schema_add_foreign_key('properties', 'owner_id', 'owners', '');
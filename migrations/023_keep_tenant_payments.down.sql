@@ -0,0 +1,3 @@
+-- Undoes 023: deleting a tenant deletes their payments again.
+CALL schema_drop_foreign_key('payments', 'tenant_id', 'tenants');
+CALL schema_add_foreign_key('payments', 'tenant_id', 'tenants', 'ON DELETE CASCADE');
@@ -0,0 +1,4 @@
+-- 023 — deleting a tenant no longer deletes their payments: the API refuses
+-- while any exist, and the foreign key now does too.
+CALL schema_drop_foreign_key('payments', 'tenant_id', 'tenants');
+CALL schema_add_foreign_key('payments', 'tenant_id', 'tenants', 'ON DELETE RESTRICT');
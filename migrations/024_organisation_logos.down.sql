@@ -0,0 +1,4 @@
+-- Undoes 024. Uploaded logos stay in storage but are no longer referenced.
+CALL schema_add_column('organisations', 'logo_path', 'VARCHAR(500) AFTER email');
+CALL schema_drop_column('organisations', 'logo_mime_type');
+CALL schema_drop_column('organisations', 'logo_key');
@@ -0,0 +1,6 @@
+-- 024 — organisation logos are uploaded files in storage (STORAGE_DRIVER)
+-- instead of a path on the server typed into the settings. Saved paths are
+-- dropped; the original organisation still falls back to RECEIPT_LOGO.
+CALL schema_add_column('organisations', 'logo_key', 'VARCHAR(500) NULL AFTER email');
+CALL schema_add_column('organisations', 'logo_mime_type', 'VARCHAR(100) NULL AFTER logo_key');
+CALL schema_drop_column('organisations', 'logo_path');
@@ -0,0 +1,54 @@
+-- Default admin login, role permissions and message templates for the
+-- original organisation. Safe to re-run; nothing already there is changed.
+
+-- ── SEED: Default Admin User ──────────────────────────────────────────────────
+-- Default password: Admin@1234 (bcrypt hash)
+INSERT IGNORE INTO users (id, org_id, name, email, phone, password_hash, role, platform_admin)
+VALUES (
+  'admin-001',
+  'org-default',
+  'Admin User',
+  'admin@estateiq.ng',
+  '08000000000',
+  '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi',
+  'admin',
+  TRUE
+);
+
+-- ── SEED: Default Role Permissions (only into an empty table, so edits stick) ─
+INSERT INTO role_permissions (role, permission)
+SELECT d.role, d.permission FROM (
+  SELECT 'manager' as role, 'properties:manage' as permission
+  UNION ALL SELECT 'manager', 'tenants:create'
+  UNION ALL SELECT 'staff', 'tenants:create'
+  UNION ALL SELECT 'manager', 'tenants:edit'
+  UNION ALL SELECT 'staff', 'tenants:edit'
+  UNION ALL SELECT 'manager', 'tenants:edit_financials'
+  UNION ALL SELECT 'manager', 'tenants:delete'
+  UNION ALL SELECT 'manager', 'tenants:import'
+  UNION ALL SELECT 'staff', 'tenants:import'
+  UNION ALL SELECT 'manager', 'payments:create'
+  UNION ALL SELECT 'staff', 'payments:create'
+  UNION ALL SELECT 'manager', 'payments:delete'
+  UNION ALL SELECT 'manager', 'payments:reconcile'
+  UNION ALL SELECT 'manager', 'maintenance:manage'
+  UNION ALL SELECT 'staff', 'maintenance:manage'
+  UNION ALL SELECT 'manager', 'maintenance:delete'
+  UNION ALL SELECT 'manager', 'expenses:manage'
+  UNION ALL SELECT 'manager', 'owners:manage'
+  UNION ALL SELECT 'manager', 'messages:send'
+  UNION ALL SELECT 'staff', 'messages:send'
+  UNION ALL SELECT 'manager', 'messages:bulk'
+  UNION ALL SELECT 'manager', 'messages:templates'
+  UNION ALL SELECT 'manager', 'portal:manage'
+  UNION ALL SELECT 'staff', 'portal:manage'
+) d
+WHERE NOT EXISTS (SELECT 1 FROM role_permissions WHERE org_id = 'org-default');
+
+-- ── SEED: Default Message Templates ───────────────────────────────────────────
+INSERT IGNORE INTO message_templates (id, name, purpose, channel, subject, body)
+VALUES
+  ('tpl-rent-reminder','Rent reminder','rent_reminder',NULL,'Outstanding rent balance','Dear {name}, your outstanding rent balance for {property} is {currency}{amount}. Please contact us. - {sender}'),
+  ('tpl-lease-expiry','Lease expiry','lease_expiry',NULL,'Your lease ends on {lease_end}','Dear {name}, your lease at {property} ends on {lease_end} ({days_remaining} days). Please contact us about renewal. - {sender}'),
+  ('tpl-receipt','Payment receipt','receipt',NULL,'Receipt {receipt_number}','Dear {name}, thank you for your payment. Your receipt number is {receipt_number}. Outstanding balance: {currency}{amount}. - {sender}'),
+  ('tpl-quit-ack','Quit notice acknowledgement','quit_notice_ack',NULL,'Quit notice received','Dear {name}, we have received your quit notice for {property}. Your lease ends on {lease_end}. - {sender}');
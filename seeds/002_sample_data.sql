@@ -0,0 +1,64 @@
+-- Sample tenants, payments and maintenance requests for trying the API out.
+-- Not for production databases.
+
+-- ── SEED: Sample Tenants ──────────────────────────────────────────────────────
+INSERT IGNORE INTO tenants (id, tenant_name, accommodation_type, property_address, period, lease_start, lease_end, rent_per_annum, amount_paid, phone, email, whatsapp, quit_notice)
+VALUES
+  ('t-001','Adebayo Okafor','2-Bedroom Flat','Block A, No. 5','Jan 2024 - Dec 2024','2024-01-01','2024-12-31',480000,480000,'08012345678','adebayo@email.com','08012345678',FALSE),
+  ('t-002','Ngozi Eze','Self-Contain','Block B, No. 2','Mar 2024 - Feb 2025','2024-03-01','2025-02-28',220000,150000,'08023456789','ngozi@email.com','08023456789',FALSE),
+  ('t-003','Emeka Nwosu','3-Bedroom Flat','Block C, No. 1','Jun 2023 - May 2024','2023-06-01','2024-05-31',650000,0,'08034567890','emeka@email.com','08034567890',TRUE),
+  ('t-004','Fatima Bello','1-Bedroom Flat','Block A, No. 8','Apr 2024 - Mar 2025','2024-04-01','2025-03-31',320000,320000,'08045678901','fatima@email.com','08045678901',FALSE),
+  ('t-005','Chukwudi Obi','Self-Contain','Block D, No. 3','Feb 2024 - Jan 2025','2024-02-01','2025-01-31',200000,100000,'08056789012','chukwudi@email.com','08056789012',FALSE);
+
+-- ── SEED: Sample Payments ─────────────────────────────────────────────────────
+INSERT IGNORE INTO payments (id, tenant_id, amount, payment_date, payment_method, receipt_number)
+VALUES
+  (UUID(),'t-001',480000,'2024-01-05','bank_transfer','RCP-2024-001'),
+  (UUID(),'t-002',150000,'2024-03-10','cash','RCP-2024-002'),
+  (UUID(),'t-004',320000,'2024-04-02','bank_transfer','RCP-2024-003'),
+  (UUID(),'t-005',100000,'2024-02-15','pos','RCP-2024-004');
+
+-- ── SEED: Sample Maintenance ──────────────────────────────────────────────────
+INSERT IGNORE INTO maintenance (id, tenant_id, tenant_name, property_address, category, title, priority, status)
+VALUES
+  (UUID(),'t-002','Ngozi Eze','Block B, No. 2','plumbing','Leaking pipe in kitchen','high','open'),
+  (UUID(),'t-004','Fatima Bello','Block A, No. 8','electrical','Faulty socket in bedroom','medium','in_progress'),
+  (UUID(),'t-005','Chukwudi Obi','Block D, No. 3','structural','Crack in ceiling','urgent','open');
+
+-- ── Ledger, lease terms and status history for the sample rows ──────────────
+-- The same statements as the backfills in migrations 005, 006 and 019; each
+-- skips rows that already have them.
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, period_start, period_end)
+SELECT UUID(), t.id, 'charge', 'rent', TRIM(CONCAT('Rent ', COALESCE(t.period,''))), t.rent_per_annum,
+       COALESCE(t.lease_start, DATE(t.created_at)), t.lease_start, t.lease_end
+FROM tenants t
+WHERE t.rent_per_annum > 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.tenant_id = t.id AND l.entry_type = 'charge');
+
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, applies_to, payment_id, created_by)
+SELECT UUID(), p.tenant_id, 'credit', 'payment', CONCAT('Payment ', COALESCE(p.receipt_number,'')), p.amount, p.payment_date,
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = p.tenant_id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1),
+       p.id, p.recorded_by
+FROM payments p
+WHERE NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.payment_id = p.id);
+
+INSERT INTO ledger_entries (id, tenant_id, entry_type, category, description, amount, entry_date, applies_to)
+SELECT UUID(), t.id, 'credit', 'adjustment', 'Opening balance',
+       t.amount_paid - COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.tenant_id = t.id),0),
+       COALESCE(t.lease_start, DATE(t.created_at)),
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = t.id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1)
+FROM tenants t
+WHERE t.amount_paid > COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.tenant_id = t.id),0)
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.tenant_id = t.id AND l.entry_type = 'credit' AND l.payment_id IS NULL);
+
+INSERT INTO leases (id, tenant_id, term_no, period, lease_start, lease_end, rent_per_annum, rent_charge_id, status)
+SELECT UUID(), t.id, 1, t.period, t.lease_start, t.lease_end, t.rent_per_annum,
+       (SELECT c.id FROM ledger_entries c WHERE c.tenant_id = t.id AND c.category = 'rent' ORDER BY c.entry_date DESC LIMIT 1),
+       'active'
+FROM tenants t
+WHERE NOT EXISTS (SELECT 1 FROM leases l WHERE l.tenant_id = t.id);
+
+INSERT INTO maintenance_status_history (id, maintenance_id, from_status, to_status, actor_type, note, created_at)
+SELECT UUID(), m.id, NULL, m.status, 'system', 'Status when history began', m.created_at
+FROM maintenance m
+WHERE NOT EXISTS (SELECT 1 FROM maintenance_status_history h WHERE h.maintenance_id = m.id);